@@ -242,6 +242,11 @@ function initUserSessionUI() {
         registerBtn.setAttribute('href', '#');
         registerBtn.addEventListener('click', function(e) {
             e.preventDefault();
+            fetch('/api/user/logout', {
+                method: 'POST',
+                headers: getUserAuthHeaders(),
+                keepalive: true
+            }).catch(() => {});
             localStorage.removeItem('user');
             localStorage.removeItem(USER_TOKEN_STORAGE_KEY);
             window.location.href = 'index.html';
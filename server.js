@@ -56,6 +56,7 @@ app.get('/api/health', (req, res) => {
         success: true,
         status: 'ok',
         uptimeSeconds: Math.round(process.uptime()),
+        storage: storage.name,
         timestamp: new Date().toISOString()
     });
 });
@@ -69,6 +70,32 @@ const usersFile = path.join(dataDir, 'users.json');
 const announcementFile = path.join(dataDir, 'announcement.json');
 const gamificationConfigFile = path.join(dataDir, 'gamification.json');
 const coursePricingFile = path.join(dataDir, 'course-pricing.json');
+const sessionsFile = path.join(dataDir, 'sessions.json');
+const staffFile = path.join(dataDir, 'staff.json');
+const paymentsFile = path.join(dataDir, 'payments.json');
+const installmentPlansFile = path.join(dataDir, 'installment-plans.json');
+const receiptsFile = path.join(dataDir, 'receipts.json');
+const couponsFile = path.join(dataDir, 'coupons.json');
+const referralProgramFile = path.join(dataDir, 'referral-program.json');
+const coursesFile = path.join(dataDir, 'courses.json');
+const curriculaFile = path.join(dataDir, 'curricula.json');
+const batchesFile = path.join(dataDir, 'batches.json');
+const attendanceFile = path.join(dataDir, 'attendance.json');
+const certificatesFile = path.join(dataDir, 'certificates.json');
+const certificatePolicyFile = path.join(dataDir, 'certificate-policy.json');
+const assignmentsFile = path.join(dataDir, 'assignments.json');
+const submissionsFile = path.join(dataDir, 'assignment-submissions.json');
+// Uploaded files live on disk next to the data files, not in the storage layer.
+const assignmentUploadsDir = path.join(dataDir, 'assignment-uploads');
+const questionBankFile = path.join(dataDir, 'question-bank.json');
+const examsFile = path.join(dataDir, 'exams.json');
+const examAttemptsFile = path.join(dataDir, 'exam-attempts.json');
+const skillTracksFile = path.join(dataDir, 'skill-analyzer-tracks.json');
+const careerPathsFile = path.join(dataDir, 'career-paths.json');
+const practiceSubmissionsFile = path.join(dataDir, 'practice-submissions.json');
+const practiceChallengesFile = path.join(dataDir, 'practice-challenges.json');
+const contestsFile = path.join(dataDir, 'contests.json');
+const contestSubmissionsFile = path.join(dataDir, 'contest-submissions.json');
 
 function ensureDataDir() {
     if (!fs.existsSync(dataDir)) {
@@ -76,11 +103,172 @@ function ensureDataDir() {
     }
 }
 
+// Write to a sibling temp file, flush it, then rename over the target so a
+// crash mid-write leaves either the old or the new file, never a torn one.
+function writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    let fd = null;
+    try {
+        fd = fs.openSync(tempPath, 'w');
+        fs.writeSync(fd, content, null, 'utf8');
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+        fd = null;
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        if (fd !== null) {
+            try {
+                fs.closeSync(fd);
+            } catch (closeError) {
+                // Ignore close errors.
+            }
+        }
+        try {
+            fs.rmSync(tempPath, { force: true });
+        } catch (cleanupError) {
+            // Ignore cleanup errors.
+        }
+        throw error;
+    }
+}
+
+function getStorageKey(filePath) {
+    return path.basename(String(filePath || ''));
+}
+
+// Storage adapters share one shape: load(filePath, fallback) and save(filePath, data).
+// "json" keeps one pretty-printed file per collection (the original layout);
+// "journal" appends every save to data/storage.journal and compacts into a snapshot.
+function createJsonStorageAdapter() {
+    return {
+        name: 'json',
+        load(filePath, fallback) {
+            if (!fs.existsSync(filePath)) return fallback;
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        },
+        save(filePath, data) {
+            writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+        }
+    };
+}
+
+function createJournalStorageAdapter(options = {}) {
+    const journalFile = options.journalFile || path.join(dataDir, 'storage.journal');
+    const snapshotFile = options.snapshotFile || path.join(dataDir, 'storage.snapshot.json');
+    const compactEvery = Math.max(10, Number(options.compactEvery) || 200);
+    const state = new Map();
+    let seq = 0;
+    let entriesSinceCompact = 0;
+
+    const readSnapshot = () => {
+        if (!fs.existsSync(snapshotFile)) return;
+        const snapshot = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+        seq = Math.max(0, Number(snapshot.seq) || 0);
+        const collections = snapshot.collections && typeof snapshot.collections === 'object' ? snapshot.collections : {};
+        Object.keys(collections).forEach(key => state.set(key, collections[key]));
+    };
+
+    const replayJournal = () => {
+        if (!fs.existsSync(journalFile)) return;
+        const lines = fs.readFileSync(journalFile, 'utf8').split('\n');
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+            let entry = null;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A torn final line is expected after a crash; anything earlier is real corruption.
+                if (index < lines.length - 1 && lines.slice(index + 1).some(rest => rest.trim())) {
+                    console.error(`Skipping corrupt journal entry at line ${index + 1}`);
+                }
+                return;
+            }
+            if (!entry || !entry.key || Number(entry.seq) <= seq) return;
+            state.set(entry.key, entry.data);
+            seq = Number(entry.seq);
+            entriesSinceCompact += 1;
+        });
+    };
+
+    const compact = () => {
+        const collections = {};
+        state.forEach((value, key) => {
+            collections[key] = value;
+        });
+        writeFileAtomic(snapshotFile, JSON.stringify({ seq, compactedAt: new Date().toISOString(), collections }));
+        writeFileAtomic(journalFile, '');
+        entriesSinceCompact = 0;
+    };
+
+    readSnapshot();
+    replayJournal();
+
+    return {
+        name: 'journal',
+        has(filePath) {
+            return state.has(getStorageKey(filePath));
+        },
+        load(filePath, fallback) {
+            const key = getStorageKey(filePath);
+            if (!state.has(key)) return fallback;
+            // Hand out a copy so in-memory edits only land through save().
+            return JSON.parse(JSON.stringify(state.get(key)));
+        },
+        save(filePath, data) {
+            const key = getStorageKey(filePath);
+            const snapshot = JSON.parse(JSON.stringify(data));
+            seq += 1;
+            const line = `${JSON.stringify({ seq, key, at: new Date().toISOString(), data: snapshot })}\n`;
+            const fd = fs.openSync(journalFile, 'a');
+            try {
+                fs.writeSync(fd, line, null, 'utf8');
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+            state.set(key, snapshot);
+            entriesSinceCompact += 1;
+            if (entriesSinceCompact >= compactEvery) {
+                compact();
+            }
+        },
+        compact
+    };
+}
+
+// One-time import of the legacy data/*.json files into a non-JSON adapter.
+// Only collections the adapter has never seen are imported, so re-running is safe.
+function migrateJsonFilesToStorage(adapter, filePaths = []) {
+    if (!adapter || adapter.name === 'json' || typeof adapter.has !== 'function') return [];
+    const legacy = createJsonStorageAdapter();
+    const imported = [];
+    filePaths.forEach(filePath => {
+        if (adapter.has(filePath) || !fs.existsSync(filePath)) return;
+        try {
+            adapter.save(filePath, legacy.load(filePath, null));
+            imported.push(getStorageKey(filePath));
+        } catch (error) {
+            console.error(`Failed to import ${filePath} into ${adapter.name} storage:`, error.message);
+        }
+    });
+    if (imported.length) {
+        console.log(`Imported ${imported.join(', ')} into ${adapter.name} storage.`);
+    }
+    return imported;
+}
+
+function createStorageAdapter(driver = '') {
+    const name = String(driver || '').trim().toLowerCase();
+    if (name === 'journal') return createJournalStorageAdapter();
+    if (name && name !== 'json') {
+        console.error(`Unknown STORAGE_DRIVER "${driver}", falling back to json.`);
+    }
+    return createJsonStorageAdapter();
+}
+
 function loadData(filePath, fallback = []) {
     try {
-        if (!fs.existsSync(filePath)) return fallback;
-        const raw = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(raw);
+        return storage.load(filePath, fallback);
     } catch (error) {
         console.error(`Failed to read ${filePath}:`, error.message);
         return fallback;
@@ -90,17 +278,63 @@ function loadData(filePath, fallback = []) {
 function saveData(filePath, data) {
     try {
         ensureDataDir();
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+        storage.save(filePath, data);
     } catch (error) {
         console.error(`Failed to write ${filePath}:`, error.message);
     }
 }
 
 ensureDataDir();
+const storage = createStorageAdapter(process.env.STORAGE_DRIVER);
+migrateJsonFilesToStorage(storage, [
+    inquiriesFile,
+    usersFile,
+    announcementFile,
+    gamificationConfigFile,
+    coursePricingFile,
+    sessionsFile,
+    staffFile,
+    paymentsFile,
+    installmentPlansFile,
+    receiptsFile,
+    couponsFile,
+    referralProgramFile,
+    coursesFile,
+    curriculaFile,
+    batchesFile,
+    attendanceFile,
+    certificatesFile,
+    certificatePolicyFile,
+    assignmentsFile,
+    submissionsFile,
+    questionBankFile,
+    examsFile,
+    examAttemptsFile,
+    skillTracksFile,
+    careerPathsFile,
+    practiceSubmissionsFile,
+    practiceChallengesFile,
+    contestsFile,
+    contestSubmissionsFile
+]);
 
 // Persistent storage for inquiries and users
 const inquiries = loadData(inquiriesFile, []);
 const users = loadData(usersFile, []);
+const payments = loadData(paymentsFile, []);
+const receipts = loadData(receiptsFile, []);
+const coupons = loadData(couponsFile, []);
+const batches = loadData(batchesFile, []);
+const attendanceSessions = loadData(attendanceFile, []);
+const certificates = loadData(certificatesFile, []);
+const assignments = loadData(assignmentsFile, []);
+const submissions = loadData(submissionsFile, []);
+const questionBank = loadData(questionBankFile, []);
+const exams = loadData(examsFile, []);
+const examAttempts = loadData(examAttemptsFile, []);
+const practiceSubmissions = loadData(practiceSubmissionsFile, []);
+const contests = loadData(contestsFile, []);
+const contestSubmissions = loadData(contestSubmissionsFile, []);
 const announcementState = loadData(announcementFile, {
     title: '',
     message: '',
@@ -128,6 +362,135 @@ function normalizeCoursePricing(raw = {}) {
 
 let coursePricingOverrides = normalizeCoursePricing(loadData(coursePricingFile, {}));
 saveData(coursePricingFile, coursePricingOverrides);
+
+// Installment plans store each part as a percentage of the course price plus a
+// due offset in days, so a plan stays valid when the price is changed later.
+const MAX_INSTALLMENT_PARTS = 6;
+
+function normalizeInstallmentParts(rawParts) {
+    if (!Array.isArray(rawParts) || rawParts.length < 2 || rawParts.length > MAX_INSTALLMENT_PARTS) {
+        return null;
+    }
+    const parts = rawParts.map((part, index) => ({
+        label: String((part && part.label) || '').trim().slice(0, 40) || `Installment ${index + 1}`,
+        percent: Math.round(Number(part && part.percent)),
+        dueInDays: Math.round(Number(part && part.dueInDays))
+    }));
+    const valid = parts.every((part, index) => (
+        Number.isFinite(part.percent) && part.percent > 0
+        && Number.isFinite(part.dueInDays) && part.dueInDays >= 0
+        && (index === 0 || part.dueInDays > parts[index - 1].dueInDays)
+    ));
+    const totalPercent = parts.reduce((sum, part) => sum + part.percent, 0);
+    return valid && totalPercent === 100 ? parts : null;
+}
+
+function normalizeInstallmentPlans(raw = {}) {
+    const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+    const normalized = {};
+    Object.keys(source).forEach((key) => {
+        const slug = String(key || '').trim().toLowerCase();
+        const parts = normalizeInstallmentParts(source[key] && source[key].parts);
+        if (!slug || !parts) return;
+        normalized[slug] = { parts, updatedAt: source[key].updatedAt || null };
+    });
+    return normalized;
+}
+
+const installmentPlans = normalizeInstallmentPlans(loadData(installmentPlansFile, {}));
+
+// Authored curricula, keyed by course slug. Lesson titles double as progress
+// keys on the course page, so they must be unique within a course.
+const MAX_CURRICULUM_MODULES = 20;
+const MAX_MODULE_LESSONS = 40;
+
+function normalizeTextList(value, limit, maxLength = 200) {
+    const list = Array.isArray(value) ? value : String(value || '').split('\n');
+    return list
+        .map(item => String(item || '').trim().slice(0, maxLength))
+        .filter(Boolean)
+        .slice(0, limit);
+}
+
+function normalizeCurriculumResources(value) {
+    const list = Array.isArray(value) ? value : [];
+    return list.slice(0, 10).map(item => {
+        const url = String((item && item.url) || item || '').trim();
+        return {
+            title: String((item && item.title) || '').trim().slice(0, 120) || url,
+            url
+        };
+    }).filter(item => item.url);
+}
+
+function normalizeCurriculumModules(rawModules) {
+    if (!Array.isArray(rawModules) || !rawModules.length || rawModules.length > MAX_CURRICULUM_MODULES) {
+        return { error: `Provide 1-${MAX_CURRICULUM_MODULES} modules.` };
+    }
+
+    const seenLessons = new Set();
+    const modules = [];
+    for (const [moduleIndex, rawModule] of rawModules.entries()) {
+        const name = String((rawModule && rawModule.name) || '').trim().slice(0, 120);
+        if (!name) return { error: `Module ${moduleIndex + 1} needs a name.` };
+        const rawLessons = rawModule && rawModule.lessons;
+        if (!Array.isArray(rawLessons) || !rawLessons.length || rawLessons.length > MAX_MODULE_LESSONS) {
+            return { error: `Module "${name}" needs 1-${MAX_MODULE_LESSONS} lessons.` };
+        }
+
+        const lessons = [];
+        for (const rawLesson of rawLessons) {
+            const title = String((rawLesson && rawLesson.title) || '').trim().slice(0, 160);
+            if (!title) return { error: `Every lesson in "${name}" needs a title.` };
+            const key = title.toLowerCase();
+            if (seenLessons.has(key)) return { error: `Lesson "${title}" appears more than once.` };
+            seenLessons.add(key);
+
+            const hours = Number(rawLesson.hours || 0);
+            if (!Number.isFinite(hours) || hours < 0 || hours > 200) {
+                return { error: `Estimated hours for "${title}" must be between 0 and 200.` };
+            }
+            const resources = normalizeCurriculumResources(rawLesson.resources);
+            if (resources.some(item => !/^https?:\/\//i.test(item.url))) {
+                return { error: `Resources for "${title}" must be http(s) links.` };
+            }
+            lessons.push({
+                title,
+                objectives: normalizeTextList(rawLesson.objectives, 10),
+                hours: Math.round(hours * 10) / 10,
+                resources
+            });
+        }
+
+        modules.push({
+            name,
+            objectives: normalizeTextList(rawModule.objectives, 10),
+            lessons
+        });
+    }
+    return { modules };
+}
+
+function normalizeCurricula(raw = {}) {
+    const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+    const normalized = {};
+    Object.keys(source).forEach((key) => {
+        const slug = String(key || '').trim().toLowerCase();
+        const entry = source[key] || {};
+        const { modules } = normalizeCurriculumModules(entry.modules);
+        if (!slug || !modules) return;
+        normalized[slug] = {
+            modules,
+            updatedAt: entry.updatedAt || null,
+            updatedBy: entry.updatedBy || ''
+        };
+    });
+    return normalized;
+}
+
+const curricula = normalizeCurricula(loadData(curriculaFile, {}));
+// Sessions are keyed by a SHA-256 of the bearer token, so a leaked sessions.json
+// cannot be replayed. Each map holds only one kind ("user" or "admin").
 const adminSessions = new Map();
 const userSessions = new Map();
 
@@ -138,6 +501,18 @@ const GEMINI_API_KEY = process.env.GEMINI_API_KEY || process.env.GIMINI_API_KEY
 const GEMINI_MODEL = process.env.GEMINI_MODEL || process.env.GIMINI_MODEL || process.env.GOOGLE_GEMINI_MODEL || 'gemini-1.5-flash';
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
 const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4.1-mini';
+const INSTITUTE_PROFILE = {
+    name: process.env.INSTITUTE_NAME || 'Tejas Computer Institute',
+    address: process.env.INSTITUTE_ADDRESS || '',
+    phone: process.env.INSTITUTE_PHONE || '',
+    email: process.env.INSTITUTE_EMAIL || '',
+    gstin: process.env.INSTITUTE_GSTIN || '',
+    state: process.env.INSTITUTE_STATE || '',
+    receiptPrefix: process.env.RECEIPT_PREFIX || 'TCI',
+    // SAC 999293: commercial training and coaching services.
+    sacCode: process.env.INSTITUTE_SAC_CODE || '999293',
+    gstRate: Number.isFinite(Number(process.env.GST_RATE)) ? Number(process.env.GST_RATE) : 18
+};
 const GEMINI_FALLBACK_MODELS = [
     'gemini-1.5-flash-latest',
     'gemini-1.5-pro-latest',
@@ -186,6 +561,31 @@ function normalizeGamificationConfig(config = {}) {
 let gamificationConfig = normalizeGamificationConfig(loadData(gamificationConfigFile, DEFAULT_GAMIFICATION_CONFIG));
 saveData(gamificationConfigFile, gamificationConfig);
 
+const DEFAULT_REFERRAL_PROGRAM = {
+    active: true,
+    refereeDiscountPercent: 5,
+    rewardType: 'xp',
+    rewardXp: 150,
+    rewardCredit: 500
+};
+
+function normalizeReferralProgram(config = {}) {
+    const source = config && typeof config === 'object' ? config : {};
+    const readNumber = (value, fallback, max) => {
+        const number = Number(value);
+        return Number.isFinite(number) && number >= 0 ? Math.min(max, Math.round(number)) : fallback;
+    };
+    return {
+        active: source.active === undefined ? DEFAULT_REFERRAL_PROGRAM.active : Boolean(source.active),
+        refereeDiscountPercent: readNumber(source.refereeDiscountPercent, DEFAULT_REFERRAL_PROGRAM.refereeDiscountPercent, 50),
+        rewardType: source.rewardType === 'credit' ? 'credit' : 'xp',
+        rewardXp: readNumber(source.rewardXp, DEFAULT_REFERRAL_PROGRAM.rewardXp, 5000),
+        rewardCredit: readNumber(source.rewardCredit, DEFAULT_REFERRAL_PROGRAM.rewardCredit, 100000)
+    };
+}
+
+let referralProgram = normalizeReferralProgram(loadData(referralProgramFile, DEFAULT_REFERRAL_PROGRAM));
+
 const GAMIFICATION_BADGES = [
     { id: 'first-enroll', label: 'First Step', icon: 'fa-seedling', description: 'Enroll in your first course.' },
     { id: 'three-courses', label: 'Multi Learner', icon: 'fa-layer-group', description: 'Enroll in 3 or more courses.' },
@@ -193,50 +593,463 @@ const GAMIFICATION_BADGES = [
     { id: 'xp-500', label: 'XP Warrior', icon: 'fa-bolt', description: 'Reach 500 XP.' },
     { id: 'streak-3', label: 'Consistency 3', icon: 'fa-fire', description: 'Maintain a 3-day streak.' },
     { id: 'streak-7', label: 'Consistency 7', icon: 'fa-fire-flame-curved', description: 'Maintain a 7-day streak.' },
-    { id: 'course-master', label: 'Course Master', icon: 'fa-medal', description: 'Reach 100% in any enrolled course.' }
+    { id: 'course-master', label: 'Course Master', icon: 'fa-medal', description: 'Reach 100% in any enrolled course.' },
+    { id: 'contest-coder', label: 'Contest Coder', icon: 'fa-flag-checkered', description: 'Solve a problem in a coding contest.' },
+    { id: 'contest-podium', label: 'Contest Podium', icon: 'fa-trophy', description: 'Finish in the top 3 of a coding contest.' }
 ];
 
+// Stored as "scrypt$N$r$p$salt$hash" so cost parameters can be raised later
+// without breaking hashes that were created with the old ones.
+const PASSWORD_HASH_PARAMS = { N: 16384, r: 8, p: 1, keyLength: 64, saltBytes: 16 };
+
+function scryptAsync(password, salt, keyLength, options) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, keyLength, options, (error, derivedKey) => {
+            if (error) return reject(error);
+            return resolve(derivedKey);
+        });
+    });
+}
+
+async function hashPassword(password) {
+    const { N, r, p, keyLength, saltBytes } = PASSWORD_HASH_PARAMS;
+    const salt = crypto.randomBytes(saltBytes);
+    const derived = await scryptAsync(String(password), salt, keyLength, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('hex'), derived.toString('hex')].join('$');
+}
+
+// Only used at startup: the first owner account and the dummy login hash.
+function hashPasswordSync(password) {
+    const { N, r, p, keyLength, saltBytes } = PASSWORD_HASH_PARAMS;
+    const salt = crypto.randomBytes(saltBytes);
+    const derived = crypto.scryptSync(String(password), salt, keyLength, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('hex'), derived.toString('hex')].join('$');
+}
+
+// Checked when the account is unknown, so a failed login costs the same scrypt
+// run either way and response times do not reveal which emails are registered.
+const DUMMY_PASSWORD_HASH = hashPasswordSync(crypto.randomBytes(16).toString('hex'));
+
+function isPasswordHash(value) {
+    return typeof value === 'string' && value.startsWith('scrypt$') && value.split('$').length === 6;
+}
+
+function safeEqualStrings(a, b) {
+    // Compare fixed-length digests so neither content nor length leaks through timing.
+    const left = crypto.createHash('sha256').update(String(a)).digest();
+    const right = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(left, right);
+}
+
+async function verifyPassword(password, storedHash) {
+    if (!isPasswordHash(storedHash)) return false;
+    const [, nText, rText, pText, saltHex, hashHex] = storedHash.split('$');
+    const expected = Buffer.from(hashHex, 'hex');
+    try {
+        const derived = await scryptAsync(String(password), Buffer.from(saltHex, 'hex'), expected.length, {
+            N: Number(nText),
+            r: Number(rText),
+            p: Number(pText)
+        });
+        return derived.length === expected.length && crypto.timingSafeEqual(derived, expected);
+    } catch (error) {
+        console.error('Password verification failed:', error.message);
+        return false;
+    }
+}
+
+// Checks a login attempt against either a scrypt hash or a legacy plaintext
+// password. Legacy accounts are re-hashed in place on their first successful login.
+async function checkUserPassword(user, password) {
+    if (!password) return false;
+    if (user && isPasswordHash(user.passwordHash)) {
+        return verifyPassword(password, user.passwordHash);
+    }
+    const legacy = user && typeof user.password === 'string' ? user.password : '';
+    if (!legacy || !safeEqualStrings(legacy, password)) {
+        await verifyPassword(password, DUMMY_PASSWORD_HASH);
+        return false;
+    }
+    user.passwordHash = await hashPassword(password);
+    delete user.password;
+    return true;
+}
+
 function getBearerToken(req) {
     const authHeader = req.headers.authorization || '';
     if (!authHeader.startsWith('Bearer ')) return null;
     return authHeader.slice('Bearer '.length).trim();
 }
 
-function createUserSession(user = {}) {
-    const email = String(user.email || '').trim().toLowerCase();
-    if (!email) return '';
-    const token = crypto.randomBytes(32).toString('hex');
-    userSessions.set(token, {
-        email,
-        createdAt: new Date().toISOString()
+function readDurationMs(value, unitMs, fallback) {
+    const amount = Number(value);
+    return Number.isFinite(amount) && amount > 0 ? Math.round(amount * unitMs) : fallback * unitMs;
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const SESSION_POLICY = {
+    user: {
+        idleMs: readDurationMs(process.env.USER_SESSION_IDLE_HOURS, HOUR_MS, 72),
+        absoluteMs: readDurationMs(process.env.USER_SESSION_MAX_HOURS, HOUR_MS, 30 * 24)
+    },
+    admin: {
+        idleMs: readDurationMs(process.env.ADMIN_SESSION_IDLE_HOURS, HOUR_MS, 2),
+        absoluteMs: readDurationMs(process.env.ADMIN_SESSION_MAX_HOURS, HOUR_MS, 12)
+    }
+};
+// lastSeenAt is only flushed to disk when it moved by at least this much.
+const SESSION_TOUCH_PERSIST_MS = 60 * 1000;
+
+function hashSessionToken(token = '') {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function getSessionMap(kind) {
+    return kind === 'admin' ? adminSessions : userSessions;
+}
+
+function getSessionExpiry(session = {}) {
+    const policy = SESSION_POLICY[session.kind] || SESSION_POLICY.user;
+    const createdAt = new Date(session.createdAt).getTime() || 0;
+    const lastSeenAt = new Date(session.lastSeenAt || session.createdAt).getTime() || createdAt;
+    const absolute = createdAt + policy.absoluteMs;
+    const idle = lastSeenAt + policy.idleMs;
+    return Math.min(absolute, idle);
+}
+
+function isSessionExpired(session = {}, now = Date.now()) {
+    return getSessionExpiry(session) <= now;
+}
+
+function persistSessions() {
+    saveData(sessionsFile, [...userSessions.values(), ...adminSessions.values()]);
+}
+
+function loadSessions() {
+    const stored = loadData(sessionsFile, []);
+    const now = Date.now();
+    let pruned = false;
+    (Array.isArray(stored) ? stored : []).forEach(session => {
+        if (!session || !session.tokenHash || !session.subject || !['user', 'admin'].includes(session.kind)) {
+            pruned = true;
+            return;
+        }
+        if (isSessionExpired(session, now)) {
+            pruned = true;
+            return;
+        }
+        getSessionMap(session.kind).set(session.tokenHash, session);
+    });
+    if (pruned) persistSessions();
+}
+
+function pruneExpiredSessions() {
+    const now = Date.now();
+    let removed = 0;
+    [userSessions, adminSessions].forEach(map => {
+        for (const [key, session] of map.entries()) {
+            if (isSessionExpired(session, now)) {
+                map.delete(key);
+                removed += 1;
+            }
+        }
     });
+    if (removed) persistSessions();
+    return removed;
+}
+
+function describeClient(req) {
+    if (!req || !req.headers) return { userAgent: '', ip: '' };
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    return {
+        userAgent: String(req.headers['user-agent'] || '').slice(0, 200),
+        ip: (forwarded || req.ip || req.socket?.remoteAddress || '').slice(0, 64)
+    };
+}
+
+function createSession(kind, subject, req) {
+    const normalizedSubject = String(subject || '').trim().toLowerCase();
+    if (!normalizedSubject) return '';
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date().toISOString();
+    const session = {
+        id: crypto.randomBytes(9).toString('hex'),
+        kind,
+        tokenHash: hashSessionToken(token),
+        subject: normalizedSubject,
+        createdAt: now,
+        lastSeenAt: now,
+        ...describeClient(req)
+    };
+    getSessionMap(kind).set(session.tokenHash, session);
+    persistSessions();
     return token;
 }
 
+// Returns the live session for a bearer token, or null when it is unknown or
+// expired. Pass touch=false for heartbeat checks that should not extend idle time.
+function resolveSession(kind, token, options = {}) {
+    if (!token) return null;
+    const map = getSessionMap(kind);
+    const tokenHash = hashSessionToken(token);
+    const session = map.get(tokenHash);
+    if (!session) return null;
+    const now = Date.now();
+    if (isSessionExpired(session, now)) {
+        map.delete(tokenHash);
+        persistSessions();
+        return null;
+    }
+    if (options.touch !== false) {
+        const lastSeen = new Date(session.lastSeenAt).getTime() || 0;
+        session.lastSeenAt = new Date(now).toISOString();
+        if (now - lastSeen >= SESSION_TOUCH_PERSIST_MS) {
+            persistSessions();
+        }
+    }
+    return session;
+}
+
+function revokeSessions(kind, predicate) {
+    const map = getSessionMap(kind);
+    let removed = 0;
+    for (const [key, session] of map.entries()) {
+        if (predicate(session)) {
+            map.delete(key);
+            removed += 1;
+        }
+    }
+    if (removed) persistSessions();
+    return removed;
+}
+
+function toClientSession(session = {}, currentTokenHash = '') {
+    return {
+        id: session.id,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: new Date(getSessionExpiry(session)).toISOString(),
+        userAgent: session.userAgent || '',
+        ip: session.ip || '',
+        current: Boolean(currentTokenHash && session.tokenHash === currentTokenHash)
+    };
+}
+
+function createUserSession(user = {}, req = null) {
+    return createSession('user', user.email, req);
+}
+
 function requireUserAuth(req, res, next) {
     const token = getBearerToken(req);
-    const session = token ? userSessions.get(token) : null;
-    if (!session || !session.email) {
+    const session = resolveSession('user', token);
+    if (!session) {
         return res.status(401).json({
             success: false,
             message: 'Unauthorized. Please login again.'
         });
     }
-    req.authUserEmail = String(session.email).trim().toLowerCase();
+    req.authSession = session;
+    req.authUserEmail = session.subject;
     next();
 }
 
+// Staff accounts and role permissions. Admin sessions use the staff username
+// as their subject, so disabling or deleting an account locks it out at once.
+const STAFF_PERMISSIONS = [
+    'inquiries:read',
+    'inquiries:write',
+    'inquiries:delete',
+    'users:read',
+    'users:write',
+    'users:delete',
+    'announcement:read',
+    'announcement:write',
+    'gamification:read',
+    'gamification:write',
+    'pricing:read',
+    'pricing:write',
+    'insights:read',
+    'payments:read',
+    'payments:write',
+    'courses:read',
+    'courses:write',
+    'courses:content',
+    'batches:read',
+    'batches:write',
+    'attendance:read',
+    'attendance:write',
+    'certificates:read',
+    'certificates:write',
+    'assignments:read',
+    'assignments:write',
+    'exams:read',
+    'exams:write',
+    'careers:read',
+    'careers:write',
+    'practice:read',
+    'practice:write',
+    'staff:manage'
+];
+
+const STAFF_ROLES = {
+    owner: {
+        label: 'Owner',
+        permissions: STAFF_PERMISSIONS
+    },
+    counsellor: {
+        label: 'Counsellor',
+        permissions: [
+            'inquiries:read',
+            'inquiries:write',
+            'inquiries:delete',
+            'users:read',
+            'announcement:read',
+            'announcement:write',
+            'insights:read',
+            'payments:read',
+            'courses:read',
+            'batches:read',
+            'batches:write',
+            'attendance:read',
+            'certificates:read',
+            'assignments:read',
+            'exams:read',
+            'careers:read',
+            'careers:write'
+        ]
+    },
+    faculty: {
+        label: 'Faculty',
+        permissions: [
+            'inquiries:read',
+            'users:read',
+            'announcement:read',
+            'gamification:read',
+            'gamification:write',
+            'insights:read',
+            'courses:read',
+            'courses:content',
+            'batches:read',
+            'attendance:read',
+            'attendance:write',
+            'certificates:read',
+            'certificates:write',
+            'assignments:read',
+            'assignments:write',
+            'exams:read',
+            'exams:write',
+            'careers:read',
+            'careers:write',
+            'practice:read',
+            'practice:write'
+        ]
+    },
+    accountant: {
+        label: 'Accountant',
+        permissions: [
+            'users:read',
+            'pricing:read',
+            'pricing:write',
+            'insights:read',
+            'payments:read',
+            'payments:write'
+        ]
+    }
+};
+
+const staffAccounts = loadData(staffFile, []);
+
+function normalizeStaffUsername(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+function getRolePermissions(role) {
+    const definition = STAFF_ROLES[role];
+    return definition ? definition.permissions : [];
+}
+
+function staffHasPermission(staff, permission) {
+    if (!staff || staff.status !== 'active') return false;
+    return getRolePermissions(staff.role).includes(permission);
+}
+
+function findStaffByUsername(username) {
+    const normalized = normalizeStaffUsername(username);
+    if (!normalized) return null;
+    return staffAccounts.find(item => item.username === normalized) || null;
+}
+
+function countActiveOwners(excludeId = null) {
+    return staffAccounts.filter(item => (
+        item.role === 'owner' && item.status === 'active' && item.id !== excludeId
+    )).length;
+}
+
+function toClientStaff(staff = {}) {
+    const { passwordHash, ...safeStaff } = staff;
+    return {
+        ...safeStaff,
+        roleLabel: STAFF_ROLES[staff.role] ? STAFF_ROLES[staff.role].label : staff.role,
+        permissions: getRolePermissions(staff.role)
+    };
+}
+
+// The env credentials only seed the first owner; after that, staff.json is the source of truth.
+function bootstrapStaffAccounts() {
+    if (staffAccounts.length) return;
+    const now = new Date().toISOString();
+    staffAccounts.push({
+        id: 1,
+        username: normalizeStaffUsername(ADMIN_USERNAME),
+        displayName: 'Owner',
+        role: 'owner',
+        status: 'active',
+        passwordHash: hashPasswordSync(ADMIN_PASSWORD),
+        createdAt: now,
+        updatedAt: now
+    });
+    saveData(staffFile, staffAccounts);
+}
+
 function requireAdminAuth(req, res, next) {
     const token = getBearerToken(req);
-    if (!token || !adminSessions.has(token)) {
+    const session = resolveSession('admin', token);
+    if (!session) {
         return res.status(401).json({
             success: false,
             message: 'Unauthorized. Admin login required.'
         });
     }
+    const staff = findStaffByUsername(session.subject);
+    if (!staff || staff.status !== 'active') {
+        revokeSessions('admin', item => item.subject === session.subject);
+        return res.status(401).json({
+            success: false,
+            message: 'Staff account is no longer active.'
+        });
+    }
+    req.adminSession = session;
+    req.staff = staff;
     next();
 }
 
+function requireAdminPermission(permission) {
+    return (req, res, next) => requireAdminAuth(req, res, () => {
+        if (!staffHasPermission(req.staff, permission)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to perform this action.'
+            });
+        }
+        next();
+    });
+}
+
+loadSessions();
+setInterval(pruneExpiredSessions, HOUR_MS).unref();
+bootstrapStaffAccounts();
+
 function normalizeAnnouncement(payload = {}) {
     const allowedTypes = new Set(['info', 'success', 'warning']);
     const type = allowedTypes.has(payload.type) ? payload.type : 'info';
@@ -433,6 +1246,9 @@ function applyBadges(user = {}) {
     if (gamification.streakCurrent >= 3) unlocked.add('streak-3');
     if (gamification.streakCurrent >= 7) unlocked.add('streak-7');
     if (hasCourseMaster) unlocked.add('course-master');
+    const contestResults = Array.isArray(user.contestResults) ? user.contestResults : [];
+    if (contestResults.some(item => item.solved > 0)) unlocked.add('contest-coder');
+    if (contestResults.some(item => item.rank <= 3 && item.score > 0)) unlocked.add('contest-podium');
 
     gamification.badges = [...unlocked];
     gamification.level = levelFromXp(gamification.xp);
@@ -534,10 +1350,12 @@ function getNextTopicForUser(user = {}) {
         const completedCount = Math.max(0, Number(progress.completedCount) || 0);
         const percent = Math.min(100, Math.round((completedCount / course.topics.length) * 100));
         const nextTopic = course.topics[Math.min(completedCount, course.topics.length - 1)];
+        const nextModule = (course.topicModules || []).find(module => module.topics.includes(nextTopic));
 
         const candidate = {
             courseTitle: course.title,
             nextTopic,
+            moduleName: nextModule ? nextModule.name : '',
             completionPercent: percent
         };
 
@@ -563,12 +1381,20 @@ function buildMentorMessage(user = {}) {
     const normalizedUser = normalizeUserEnrollment(user);
     const firstName = String(normalizedUser.firstName || 'Student').trim() || 'Student';
     const focus = getNextTopicForUser(normalizedUser);
-    const role = getCareerRoleByCourse(focus.courseTitle || normalizedUser.course || '');
+    const plan = summarizeCareerPlan(normalizedUser);
+    const role = plan ? plan.title : getCareerRoleByCourse(focus.courseTitle || normalizedUser.course || '');
     const completionText = Number.isFinite(Number(focus.completionPercent)) ? `${focus.completionPercent}%` : '0%';
     return {
+        careerPlan: plan ? {
+            title: plan.title,
+            progressPercent: plan.progressPercent,
+            nextMilestone: plan.nextMilestone,
+            projectedCompletionAt: plan.projectedCompletionAt,
+            onTrack: plan.onTrack
+        } : null,
         greeting: `Hi ${firstName}, I am your AI Mentor.`,
         mainMessage: `${firstName}, complete ${focus.nextTopic} today to stay on track for ${role} role.`,
-        nextStudy: focus.nextTopic,
+        nextStudy: focus.moduleName && focus.moduleName !== focus.courseTitle ? `${focus.moduleName}: ${focus.nextTopic}` : focus.nextTopic,
         recommendedRole: role,
         courseTitle: focus.courseTitle || normalizedUser.course || 'Learning Track',
         completionPercent: completionText
@@ -613,6 +1439,7 @@ function generateMentorChatReply(user = {}, message = '') {
     const weakAreas = Array.isArray(normalizedUser.skillAnalyzer?.weakAreas)
         ? normalizedUser.skillAnalyzer.weakAreas
         : [];
+    const skillDeltas = getSkillAnalyzerDeltaNotes(normalizedUser);
 
     let reply = '';
     let suggestions = [];
@@ -627,15 +1454,39 @@ function generateMentorChatReply(user = {}, message = '') {
     } else if (/(weak|difficult|struggle|problem area)/i.test(question)) {
         if (weakAreas.length) {
             reply = `Your current weak areas are ${weakAreas.join(', ')}. Focus on one weak area per day: learn concept (20m), practice (25m), and self-quiz (15m).`;
+            if (Number(normalizedUser.skillAnalyzer?.gap) >= 20) {
+                reply += ` Your last Skill Analyzer quiz scored ${normalizedUser.skillAnalyzer.gap} points below your self-rating, so lean on practice over re-reading.`;
+            }
         } else {
             reply = 'No major weak area is flagged yet. Keep consistency and challenge yourself with harder practice sets this week.';
         }
+        if (skillDeltas.length) {
+            reply += ` Since your first Skill Analyzer attempt, ${skillDeltas.join(' and ')}.`;
+        }
         suggestions = [
             'Create a weekly improvement plan',
             'What topic should I finish today?'
         ];
+    } else if (/(improved|skill progress|skill score|retake)/i.test(question)) {
+        if (skillDeltas.length) {
+            reply = `Good momentum: ${skillDeltas.join(' and ')}. Retake the Skill Analyzer after your next module to keep measuring the change.`;
+        } else {
+            reply = 'Take the Skill Analyzer again after finishing your next module. Once you have two attempts on the same track, I can show you which skills improved.';
+        }
+        suggestions = [
+            'What are my weak areas?',
+            'What should I study next?'
+        ];
     } else if (/(career|job|role|placement)/i.test(question)) {
-        reply = `You are currently on track for ${mentor.recommendedRole}. To become job-ready faster, keep course completion above 70% and build 2 project case studies from your current track.`;
+        const plan = mentor.careerPlan;
+        if (plan) {
+            const projection = plan.projectedCompletionAt
+                ? ` At your current pace you will finish around ${new Date(plan.projectedCompletionAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}${plan.onTrack === false ? ', which is behind the planned schedule' : ''}.`
+                : ' Tick off your first milestone so I can project your finish date.';
+            reply = `You are ${plan.progressPercent}% through your ${plan.title} plan.${plan.nextMilestone ? ` Next milestone: ${plan.nextMilestone}.` : ''}${projection}`;
+        } else {
+            reply = `You are currently on track for ${mentor.recommendedRole}. To become job-ready faster, keep course completion above 70% and build 2 project case studies from your current track.`;
+        }
         suggestions = [
             'Suggest project ideas for my role',
             'What should I complete this week?'
@@ -682,6 +1533,8 @@ function buildMentorContext(user = {}) {
         weeklyChallenge: gamification.weeklyChallenge || {},
         streakCurrent: gamification.streakCurrent || 0,
         weakAreas,
+        skillProgress: getSkillAnalyzerDeltaNotes(normalizedUser, 3),
+        careerPlan: mentor.careerPlan,
         enrolledCourses: enrolled.map(item => item.title)
     };
 }
@@ -1109,7 +1962,7 @@ function normalizeUserEnrollment(user = {}) {
         if (!title) return;
         const slug = String(entry.slug || slugifyCourse(title)).trim();
         if (!map.has(slug)) {
-            map.set(slug, { title, slug });
+            map.set(slug, entry.batchId ? { title, slug, batchId: Number(entry.batchId) } : { title, slug });
         }
     });
 
@@ -1136,7 +1989,7 @@ function normalizeUserEnrollment(user = {}) {
 
 function toClientUser(user = {}) {
     const normalized = normalizeUserEnrollment(user);
-    const { password: _, ...safeUser } = normalized;
+    const { password: _, passwordHash: __, ...safeUser } = normalized;
     return safeUser;
 }
 
@@ -1209,7 +2062,7 @@ const COURSE_SPECIAL_TRACKS = {
     'Blockchain Development': ['Blockchain architecture', 'Consensus algorithms', 'Smart contract development', 'Web3 integrations', 'Token standards overview', 'DApp security essentials']
 };
 
-const SKILL_ANALYZER_TRACKS = {
+const DEFAULT_SKILL_ANALYZER_TRACKS = {
     'web-development': {
         id: 'web-development',
         title: 'Web Development',
@@ -1236,6 +2089,28 @@ const SKILL_ANALYZER_TRACKS = {
             { id: 'wd-6', skill: 'debugging', prompt: 'How do you handle debugging and fixing production bugs?', options: ['Struggle a lot', 'Need frequent help', 'Can debug independently', 'Can diagnose complex cross-layer issues'] },
             { id: 'wd-7', skill: 'deployment', prompt: 'Have you deployed full-stack apps to cloud platforms?', options: ['Never', 'Once or twice', 'Regularly', 'With monitoring and scaling'] },
             { id: 'wd-8', skill: 'deployment', prompt: 'How strong is your Git workflow (branching, PRs, conflict resolution)?', options: ['Beginner', 'Basic commits only', 'Comfortable team workflow', 'Advanced release workflow'] }
+        ],
+        checks: [
+            { id: 'wd-k1', type: 'mcq', skill: 'html_css', prompt: 'Which CSS declaration makes a flex container stack its children vertically?', options: ['display: column', 'flex-direction: column', 'align-items: column', 'flex-wrap: column'], answer: 1 },
+            { id: 'wd-k2', type: 'mcq', skill: 'javascript', prompt: 'What does [1, 2, 3].map(n => n * 2).filter(n => n > 2) return?', options: ['[2, 4, 6]', '[4, 6]', '[1, 2, 3]', '[6]'], answer: 1 },
+            { id: 'wd-k3', type: 'mcq', skill: 'javascript', prompt: 'In what order is this logged? console.log(1); setTimeout(() => console.log(2), 0); Promise.resolve().then(() => console.log(3)); console.log(4);', options: ['1 2 3 4', '1 4 2 3', '1 4 3 2', '1 3 4 2'], answer: 2 },
+            { id: 'wd-k4', type: 'mcq', skill: 'react_ui', prompt: 'What happens when a React component calls its state setter with a new value?', options: ['The whole page reloads', 'The component re-renders with the new state', 'The DOM changes without a re-render', 'The parent props are updated'], answer: 1 },
+            { id: 'wd-k5', type: 'mcq', skill: 'api_backend', prompt: 'Which HTTP status code fits a request that has no valid login token?', options: ['200', '301', '401', '500'], answer: 2 },
+            { id: 'wd-k6', type: 'mcq', skill: 'deployment', prompt: 'Which Git command creates a new branch and switches to it?', options: ['git branch -d feature', 'git checkout -b feature', 'git merge feature', 'git push feature'], answer: 1 },
+            {
+                id: 'wd-c1',
+                type: 'code',
+                skill: 'debugging',
+                language: 'javascript',
+                prompt: 'Write solve(items) that returns the cart total, where each item is { price, qty }. An empty cart totals 0.',
+                functionName: 'solve',
+                starterCode: `function solve(items) {\n  // return the sum of price * qty\n  return 0;\n}`,
+                tests: [
+                    { args: [[{ price: 100, qty: 2 }, { price: 50, qty: 1 }]], expected: 250 },
+                    { args: [[]], expected: 0 },
+                    { args: [[{ price: 19.5, qty: 2 }]], expected: 39 }
+                ]
+            }
         ]
     },
     'python-programming': {
@@ -1264,6 +2139,28 @@ const SKILL_ANALYZER_TRACKS = {
             { id: 'py-6', skill: 'data', prompt: 'How comfortable are you with pandas for data transformation?', options: ['Never used', 'Basic operations', 'Confident analysis', 'Advanced data pipelines'] },
             { id: 'py-7', skill: 'testing', prompt: 'Do you write tests (unit/integration) for your Python code?', options: ['Never', 'Sometimes', 'Usually', 'Consistently with quality checks'] },
             { id: 'py-8', skill: 'backend', prompt: 'Have you deployed Python projects?', options: ['Not yet', 'Once', 'Multiple times', 'With CI/CD and monitoring'] }
+        ],
+        checks: [
+            { id: 'py-k1', type: 'mcq', skill: 'syntax', prompt: 'What does print([x * x for x in range(4) if x % 2 == 0]) output?', options: ['[0, 4]', '[0, 1, 4, 9]', '[4]', '[1, 9]'], answer: 0 },
+            { id: 'py-k2', type: 'mcq', skill: 'syntax', prompt: 'Inside an instance method, what does self refer to?', options: ['The class itself', 'The current instance', 'The parent class', 'The module'], answer: 1 },
+            { id: 'py-k3', type: 'mcq', skill: 'automation', prompt: 'Which standard library module is the usual choice for walking folders and renaming files?', options: ['pathlib', 'math', 'random', 'json'], answer: 0 },
+            { id: 'py-k4', type: 'mcq', skill: 'backend', prompt: 'In FastAPI, which decorator registers a handler for POST /items?', options: ['@app.route("/items")', '@app.post("/items")', '@app.handler("POST /items")', '@post("/items")'], answer: 1 },
+            { id: 'py-k5', type: 'mcq', skill: 'data', prompt: 'In pandas, which expression returns only the rows where marks is above 50?', options: ['df.marks > 50', 'df[df["marks"] > 50]', 'df.filter(marks > 50)', 'df.where("marks > 50")'], answer: 1 },
+            { id: 'py-k6', type: 'mcq', skill: 'testing', prompt: 'What does pytest collect as tests by default?', options: ['Every function in every file', 'test_* functions in test_*.py or *_test.py files', 'Only unittest.TestCase subclasses', 'Functions decorated with @test'], answer: 1 },
+            {
+                id: 'py-c1',
+                type: 'code',
+                skill: 'dsa',
+                language: 'python',
+                prompt: 'Write solve(nums) that returns the second largest distinct number, or None when there is no such number.',
+                functionName: 'solve',
+                starterCode: `def solve(nums):\n    return None`,
+                tests: [
+                    { args: [[3, 1, 4, 4, 2]], expected: 3 },
+                    { args: [[5, 5]], expected: null },
+                    { args: [[-1, -7, 0]], expected: -1 }
+                ]
+            }
         ]
     },
     'data-science-ai': {
@@ -1292,6 +2189,27 @@ const SKILL_ANALYZER_TRACKS = {
             { id: 'ds-6', skill: 'deployment', prompt: 'Have you deployed ML models to an API/app?', options: ['Never', 'Once', 'Multiple times', 'Production-grade deployments'] },
             { id: 'ds-7', skill: 'statistics', prompt: 'Can you explain model decisions to non-technical stakeholders?', options: ['Hard for me', 'Somewhat', 'Usually', 'Very confident communicator'] },
             { id: 'ds-8', skill: 'ml', prompt: 'How consistently do you run experiments and track outcomes?', options: ['Rarely', 'Sometimes', 'Regularly', 'Disciplined experiment workflow'] }
+        ],
+        checks: [
+            { id: 'ds-k1', type: 'mcq', skill: 'statistics', prompt: 'What is the median of [3, 9, 1, 7, 5]?', options: ['3', '5', '7', '9'], answer: 1 },
+            { id: 'ds-k2', type: 'mcq', skill: 'ml', prompt: 'A model scores 99% on training data and 62% on validation data. What is most likely happening?', options: ['Underfitting', 'Overfitting', 'Perfect generalization', 'Too little training time'], answer: 1 },
+            { id: 'ds-k3', type: 'mcq', skill: 'feature_eng', prompt: 'Which technique turns a text column such as city into model-ready numeric features?', options: ['One-hot encoding', 'Min-max scaling', 'Dropping null rows', 'Log transform'], answer: 0 },
+            { id: 'ds-k4', type: 'mcq', skill: 'evaluation', prompt: 'Only 1% of rows are fraud. Which metric is least useful on its own?', options: ['Recall', 'Precision', 'Accuracy', 'F1 score'], answer: 2 },
+            { id: 'ds-k5', type: 'mcq', skill: 'deployment', prompt: 'What is a common way to serve a trained scikit-learn model to a web app?', options: ['Email the model file to users', 'Load it behind an HTTP API such as FastAPI or Flask', 'Retrain it on every request', 'Export the model as a CSV file'], answer: 1 },
+            {
+                id: 'ds-c1',
+                type: 'code',
+                skill: 'python_data',
+                language: 'python',
+                prompt: 'Write solve(values) that returns the mean of the numbers rounded to 2 decimals, skipping None entries. Return None when there are no numbers.',
+                functionName: 'solve',
+                starterCode: `def solve(values):\n    return None`,
+                tests: [
+                    { args: [[10, null, 25]], expected: 17.5 },
+                    { args: [[1, 2, 2]], expected: 1.67 },
+                    { args: [[null]], expected: null }
+                ]
+            }
         ]
     },
     'java-programming': {
@@ -1320,11 +2238,19 @@ const SKILL_ANALYZER_TRACKS = {
             { id: 'jv-6', skill: 'testing', prompt: 'How often do you write tests and debug efficiently?', options: ['Rarely', 'Sometimes', 'Regularly', 'Consistent quality workflow'] },
             { id: 'jv-7', skill: 'spring', prompt: 'Do you understand dependency injection and layered architecture?', options: ['Not yet', 'Basic', 'Confident', 'Can mentor others'] },
             { id: 'jv-8', skill: 'core_java', prompt: 'How prepared are you for Java technical interviews?', options: ['Not prepared', 'Some basics', 'Mostly prepared', 'Strong readiness'] }
+        ],
+        checks: [
+            { id: 'jv-k1', type: 'mcq', skill: 'core_java', prompt: 'What does System.out.println(7 / 2); print?', options: ['3.5', '3', '4', 'Compilation error'], answer: 1 },
+            { id: 'jv-k2', type: 'mcq', skill: 'oops', prompt: 'Which keyword lets a class take on an interface contract?', options: ['extends', 'implements', 'inherits', 'uses'], answer: 1 },
+            { id: 'jv-k3', type: 'mcq', skill: 'collections', prompt: 'Which collection keeps unique elements in insertion order?', options: ['HashSet', 'TreeSet', 'LinkedHashSet', 'ArrayList'], answer: 2 },
+            { id: 'jv-k4', type: 'mcq', skill: 'spring', prompt: 'Which Spring Boot annotation marks a class whose methods return REST responses?', options: ['@Entity', '@RestController', '@Repository', '@Bean'], answer: 1 },
+            { id: 'jv-k5', type: 'mcq', skill: 'sql', prompt: 'Which JDBC type should run a query that includes user input?', options: ['Statement', 'PreparedStatement', 'ResultSet', 'DriverManager'], answer: 1 },
+            { id: 'jv-k6', type: 'mcq', skill: 'testing', prompt: 'In JUnit 5, which annotation marks a test method?', options: ['@Test', '@Check', '@RunWith', '@Case'], answer: 0 }
         ]
     }
 };
 
-const CAREER_PATH_BLUEPRINTS = {
+const DEFAULT_CAREER_PATH_BLUEPRINTS = {
     'data-analyst': {
         id: 'data-analyst',
         title: 'Data Analyst',
@@ -1639,7 +2565,7 @@ const CAREER_PATH_BLUEPRINTS = {
     }
 };
 
-const PRACTICE_CHALLENGES = [
+const DEFAULT_PRACTICE_CHALLENGES = [
     {
         id: 'two-sum',
         title: 'Two Sum',
@@ -1653,12 +2579,27 @@ const PRACTICE_CHALLENGES = [
         examples: [{ input: 'nums = [2,7,11,15], target = 9', output: '[0,1]' }],
         tests: [
             { args: [[2, 7, 11, 15], 9], expected: [0, 1] },
-            { args: [[3, 2, 4], 6], expected: [1, 2] },
-            { args: [[3, 3], 6], expected: [0, 1] }
+            { args: [[3, 2, 4], 6], expected: [1, 2], hidden: true },
+            { args: [[3, 3], 6], expected: [0, 1], hidden: true },
+            { args: [[-3, 4, 3, 90], 0], expected: [0, 2], hidden: true },
+            { args: [[1, 5, 9, 14], 23], expected: [2, 3], hidden: true }
         ],
+        limits: { timeMs: 1000, memoryMb: 128 },
+        stress: [{ generator: 'two-sum-far-pair', size: 100000 }],
+        signature: {
+            params: [{ name: 'nums', type: 'int[]' }, { name: 'target', type: 'int' }],
+            returns: 'int[]'
+        },
         starterCode: {
             javascript: `function solve(nums, target) {\n  // return [i, j]\n  return [];\n}`,
-            python: `def solve(nums, target):\n    # return [i, j]\n    return []`
+            python: `def solve(nums, target):\n    # return [i, j]\n    return []`,
+            c: `int* solve(int* nums, int numsSize, int target, int* returnSize) {\n  *returnSize = 0;\n  return NULL;\n}`,
+            cpp: `vector<int> solve(vector<int>& nums, int target) {\n  return {};\n}`,
+            java: `class Solution {\n  public int[] solve(int[] nums, int target) {\n    return new int[0];\n  }\n}`,
+            go: `func solve(nums []int, target int) []int {\n  return []int{}\n}`,
+            ruby: `def solve(nums, target)\n  []\nend`,
+            php: `<?php\nfunction solve($nums, $target) {\n    return [];\n}`,
+            csharp: `public class Solution {\n  public int[] solve(int[] nums, int target) {\n    return new int[0];\n  }\n}`
         }
     },
     {
@@ -1674,12 +2615,27 @@ const PRACTICE_CHALLENGES = [
         examples: [{ input: 's = "()[]{}"', output: 'true' }],
         tests: [
             { args: ['()[]{}'], expected: true },
-            { args: ['(]'], expected: false },
-            { args: ['([{}])'], expected: true }
+            { args: ['(]'], expected: false, hidden: true },
+            { args: ['([{}])'], expected: true, hidden: true },
+            { args: ['(('], expected: false, hidden: true },
+            { args: ['{[]}'], expected: true, hidden: true }
         ],
+        limits: { timeMs: 1000, memoryMb: 128 },
+        stress: [{ generator: 'deep-brackets', size: 100000 }],
+        signature: {
+            params: [{ name: 's', type: 'string' }],
+            returns: 'bool'
+        },
         starterCode: {
             javascript: `function solve(s) {\n  return false;\n}`,
-            python: `def solve(s):\n    return False`
+            python: `def solve(s):\n    return False`,
+            c: `bool solve(char* s) {\n  return false;\n}`,
+            cpp: `bool solve(string& s) {\n  return false;\n}`,
+            java: `class Solution {\n  public boolean solve(String s) {\n    return false;\n  }\n}`,
+            go: `func solve(s string) bool {\n  return false\n}`,
+            ruby: `def solve(s)\n  false\nend`,
+            php: `<?php\nfunction solve($s) {\n    return false;\n}`,
+            csharp: `public class Solution {\n  public bool solve(string s) {\n    return false;\n  }\n}`
         }
     },
     {
@@ -1695,12 +2651,27 @@ const PRACTICE_CHALLENGES = [
         examples: [{ input: 'nums=[-1,0,3,5,9,12], target=9', output: '4' }],
         tests: [
             { args: [[-1, 0, 3, 5, 9, 12], 9], expected: 4 },
-            { args: [[-1, 0, 3, 5, 9, 12], 2], expected: -1 },
-            { args: [[1], 1], expected: 0 }
+            { args: [[-1, 0, 3, 5, 9, 12], 2], expected: -1, hidden: true },
+            { args: [[1], 1], expected: 0, hidden: true },
+            { args: [[2, 4, 6, 8, 10], 10], expected: 4, hidden: true },
+            { args: [[2, 4, 6, 8, 10], 1], expected: -1, hidden: true }
         ],
+        limits: { timeMs: 1000, memoryMb: 128 },
+        stress: [{ generator: 'sorted-last-target', size: 100000 }],
+        signature: {
+            params: [{ name: 'nums', type: 'int[]' }, { name: 'target', type: 'int' }],
+            returns: 'int'
+        },
         starterCode: {
             javascript: `function solve(nums, target) {\n  return -1;\n}`,
-            python: `def solve(nums, target):\n    return -1`
+            python: `def solve(nums, target):\n    return -1`,
+            c: `int solve(int* nums, int numsSize, int target) {\n  return -1;\n}`,
+            cpp: `int solve(vector<int>& nums, int target) {\n  return -1;\n}`,
+            java: `class Solution {\n  public int solve(int[] nums, int target) {\n    return -1;\n  }\n}`,
+            go: `func solve(nums []int, target int) int {\n  return -1\n}`,
+            ruby: `def solve(nums, target)\n  -1\nend`,
+            php: `<?php\nfunction solve($nums, $target) {\n    return -1;\n}`,
+            csharp: `public class Solution {\n  public int solve(int[] nums, int target) {\n    return -1;\n  }\n}`
         }
     },
     {
@@ -1716,12 +2687,26 @@ const PRACTICE_CHALLENGES = [
         examples: [{ input: '["eat","tea","tan","ate","nat","bat"]', output: '[["eat","tea","ate"],["tan","nat"],["bat"]]' }],
         tests: [
             { args: [['eat', 'tea', 'tan', 'ate', 'nat', 'bat']], expected: [['ate', 'eat', 'tea'], ['nat', 'tan'], ['bat']] },
-            { args: [['']], expected: [['']] }
+            { args: [['']], expected: [['']], hidden: true },
+            { args: [['a']], expected: [['a']], hidden: true },
+            { args: [['abc', 'bca', 'xyz', 'zyx', 'q']], expected: [['abc', 'bca'], ['xyz', 'zyx'], ['q']], hidden: true }
         ],
         normalize: 'sort-nested',
+        limits: { timeMs: 1000, memoryMb: 128 },
+        signature: {
+            params: [{ name: 'strs', type: 'string[]' }],
+            returns: 'string[][]'
+        },
         starterCode: {
             javascript: `function solve(strs) {\n  return [];\n}`,
-            python: `def solve(strs):\n    return []`
+            python: `def solve(strs):\n    return []`,
+            c: `char*** solve(char** strs, int strsSize, int* returnSize, int** returnColumnSizes) {\n  *returnSize = 0;\n  *returnColumnSizes = NULL;\n  return NULL;\n}`,
+            cpp: `vector<vector<string>> solve(vector<string>& strs) {\n  return {};\n}`,
+            java: `class Solution {\n  public List<List<String>> solve(String[] strs) {\n    return new ArrayList<>();\n  }\n}`,
+            go: `func solve(strs []string) [][]string {\n  return [][]string{}\n}`,
+            ruby: `def solve(strs)\n  []\nend`,
+            php: `<?php\nfunction solve($strs) {\n    return [];\n}`,
+            csharp: `public class Solution {\n  public IList<IList<string>> solve(string[] strs) {\n    return new List<IList<string>>();\n  }\n}`
         }
     },
     {
@@ -1737,12 +2722,27 @@ const PRACTICE_CHALLENGES = [
         examples: [{ input: '"abcabcbb"', output: '3' }],
         tests: [
             { args: ['abcabcbb'], expected: 3 },
-            { args: ['bbbbb'], expected: 1 },
-            { args: ['pwwkew'], expected: 3 }
+            { args: ['bbbbb'], expected: 1, hidden: true },
+            { args: ['pwwkew'], expected: 3, hidden: true },
+            { args: [''], expected: 0, hidden: true },
+            { args: ['dvdf'], expected: 3, hidden: true }
         ],
+        limits: { timeMs: 1000, memoryMb: 128 },
+        stress: [{ generator: 'alphabet-cycle', size: 100000 }],
+        signature: {
+            params: [{ name: 's', type: 'string' }],
+            returns: 'int'
+        },
         starterCode: {
             javascript: `function solve(s) {\n  return 0;\n}`,
-            python: `def solve(s):\n    return 0`
+            python: `def solve(s):\n    return 0`,
+            c: `int solve(char* s) {\n  return 0;\n}`,
+            cpp: `int solve(string& s) {\n  return 0;\n}`,
+            java: `class Solution {\n  public int solve(String s) {\n    return 0;\n  }\n}`,
+            go: `func solve(s string) int {\n  return 0\n}`,
+            ruby: `def solve(s)\n  0\nend`,
+            php: `<?php\nfunction solve($s) {\n    return 0;\n}`,
+            csharp: `public class Solution {\n  public int solve(string s) {\n    return 0;\n  }\n}`
         }
     },
     {
@@ -1758,12 +2758,27 @@ const PRACTICE_CHALLENGES = [
         examples: [{ input: 'nums=[1,1,1,2,2,3], k=2', output: '[1,2]' }],
         tests: [
             { args: [[1, 1, 1, 2, 2, 3], 2], expected: [1, 2] },
-            { args: [[1], 1], expected: [1] }
+            { args: [[1], 1], expected: [1], hidden: true },
+            { args: [[4, 4, 4, 5, 5, 6, 6, 6, 6], 2], expected: [6, 4], hidden: true },
+            { args: [[7, 7, 8], 1], expected: [7], hidden: true }
         ],
         normalize: 'sort',
+        limits: { timeMs: 1000, memoryMb: 128 },
+        stress: [{ generator: 'staircase-frequencies', size: 100000 }],
+        signature: {
+            params: [{ name: 'nums', type: 'int[]' }, { name: 'k', type: 'int' }],
+            returns: 'int[]'
+        },
         starterCode: {
             javascript: `function solve(nums, k) {\n  return [];\n}`,
-            python: `def solve(nums, k):\n    return []`
+            python: `def solve(nums, k):\n    return []`,
+            c: `int* solve(int* nums, int numsSize, int k, int* returnSize) {\n  *returnSize = 0;\n  return NULL;\n}`,
+            cpp: `vector<int> solve(vector<int>& nums, int k) {\n  return {};\n}`,
+            java: `class Solution {\n  public int[] solve(int[] nums, int k) {\n    return new int[0];\n  }\n}`,
+            go: `func solve(nums []int, k int) []int {\n  return []int{}\n}`,
+            ruby: `def solve(nums, k)\n  []\nend`,
+            php: `<?php\nfunction solve($nums, $k) {\n    return [];\n}`,
+            csharp: `public class Solution {\n  public int[] solve(int[] nums, int k) {\n    return new int[0];\n  }\n}`
         }
     },
     {
@@ -1779,11 +2794,26 @@ const PRACTICE_CHALLENGES = [
         examples: [{ input: '[[1,3],[2,6],[8,10],[15,18]]', output: '[[1,6],[8,10],[15,18]]' }],
         tests: [
             { args: [[[1, 3], [2, 6], [8, 10], [15, 18]]], expected: [[1, 6], [8, 10], [15, 18]] },
-            { args: [[[1, 4], [4, 5]]], expected: [[1, 5]] }
+            { args: [[[1, 4], [4, 5]]], expected: [[1, 5]], hidden: true },
+            { args: [[[1, 4], [0, 4]]], expected: [[0, 4]], hidden: true },
+            { args: [[[1, 2], [3, 4]]], expected: [[1, 2], [3, 4]], hidden: true }
         ],
+        limits: { timeMs: 1000, memoryMb: 128 },
+        stress: [{ generator: 'chained-intervals', size: 50000 }],
+        signature: {
+            params: [{ name: 'intervals', type: 'int[][]' }],
+            returns: 'int[][]'
+        },
         starterCode: {
             javascript: `function solve(intervals) {\n  return [];\n}`,
-            python: `def solve(intervals):\n    return []`
+            python: `def solve(intervals):\n    return []`,
+            c: `int** solve(int** intervals, int intervalsSize, int* intervalsColSize, int* returnSize, int** returnColumnSizes) {\n  *returnSize = 0;\n  *returnColumnSizes = NULL;\n  return NULL;\n}`,
+            cpp: `vector<vector<int>> solve(vector<vector<int>>& intervals) {\n  return {};\n}`,
+            java: `class Solution {\n  public int[][] solve(int[][] intervals) {\n    return new int[0][];\n  }\n}`,
+            go: `func solve(intervals [][]int) [][]int {\n  return [][]int{}\n}`,
+            ruby: `def solve(intervals)\n  []\nend`,
+            php: `<?php\nfunction solve($intervals) {\n    return [];\n}`,
+            csharp: `public class Solution {\n  public int[][] solve(int[][] intervals) {\n    return new int[0][];\n  }\n}`
         }
     },
     {
@@ -1799,12 +2829,27 @@ const PRACTICE_CHALLENGES = [
         examples: [{ input: 's="leetcode", dict=["leet","code"]', output: 'true' }],
         tests: [
             { args: ['leetcode', ['leet', 'code']], expected: true },
-            { args: ['applepenapple', ['apple', 'pen']], expected: true },
-            { args: ['catsandog', ['cats', 'dog', 'sand', 'and', 'cat']], expected: false }
+            { args: ['applepenapple', ['apple', 'pen']], expected: true, hidden: true },
+            { args: ['catsandog', ['cats', 'dog', 'sand', 'and', 'cat']], expected: false, hidden: true },
+            { args: ['aaaaaaa', ['aaaa', 'aaa']], expected: true, hidden: true },
+            { args: ['cars', ['car', 'ca', 'rs']], expected: true, hidden: true }
         ],
+        limits: { timeMs: 1000, memoryMb: 128 },
+        stress: [{ generator: 'word-break-trap', size: 200 }],
+        signature: {
+            params: [{ name: 's', type: 'string' }, { name: 'wordDict', type: 'string[]' }],
+            returns: 'bool'
+        },
         starterCode: {
             javascript: `function solve(s, wordDict) {\n  return false;\n}`,
-            python: `def solve(s, wordDict):\n    return False`
+            python: `def solve(s, wordDict):\n    return False`,
+            c: `bool solve(char* s, char** wordDict, int wordDictSize) {\n  return false;\n}`,
+            cpp: `bool solve(string& s, vector<string>& wordDict) {\n  return false;\n}`,
+            java: `class Solution {\n  public boolean solve(String s, String[] wordDict) {\n    return false;\n  }\n}`,
+            go: `func solve(s string, wordDict []string) bool {\n  return false\n}`,
+            ruby: `def solve(s, wordDict)\n  false\nend`,
+            php: `<?php\nfunction solve($s, $wordDict) {\n    return false;\n}`,
+            csharp: `public class Solution {\n  public bool solve(string s, string[] wordDict) {\n    return false;\n  }\n}`
         }
     },
     {
@@ -1819,12 +2864,27 @@ const PRACTICE_CHALLENGES = [
         constraints: ['Use O(1) get and put operations in a full design setting'],
         examples: [{ input: 'ops=[["put",1,1],["put",2,2],["get",1],["put",3,3]], capacity=2', output: '[1,3]' }],
         tests: [
-            { args: [[['put', 1, 1], ['put', 2, 2], ['get', 1], ['put', 3, 3]], 2], expected: [1, 3] }
+            { args: [[['put', 1, 1], ['put', 2, 2], ['get', 1], ['put', 3, 3]], 2], expected: [1, 3] },
+            { args: [[['put', 1, 1], ['put', 2, 2], ['put', 3, 3]], 2], expected: [2, 3], hidden: true },
+            { args: [[['put', 1, 1], ['put', 2, 2], ['get', 1], ['put', 3, 3], ['get', 2], ['put', 4, 4]], 2], expected: [3, 4], hidden: true }
         ],
         normalize: 'sort',
+        limits: { timeMs: 1000, memoryMb: 128 },
+        stress: [{ generator: 'lru-churn', size: 100000 }],
+        signature: {
+            params: [{ name: 'ops', type: 'string[][]' }, { name: 'capacity', type: 'int' }],
+            returns: 'int[]'
+        },
         starterCode: {
             javascript: `function solve(ops, capacity) {\n  // return final keys currently in cache\n  return [];\n}`,
-            python: `def solve(ops, capacity):\n    # return final keys currently in cache\n    return []`
+            python: `def solve(ops, capacity):\n    # return final keys currently in cache\n    return []`,
+            c: `int* solve(char*** ops, int opsSize, int* opsColSize, int capacity, int* returnSize) {\n  // each op arrives as strings, e.g. {"put", "1", "1"}\n  *returnSize = 0;\n  return NULL;\n}`,
+            cpp: `vector<int> solve(vector<vector<string>>& ops, int capacity) {\n  // each op arrives as strings, e.g. {"put", "1", "1"}\n  return {};\n}`,
+            java: `class Solution {\n  public int[] solve(String[][] ops, int capacity) {\n    // each op arrives as strings, e.g. {"put", "1", "1"}\n    return new int[0];\n  }\n}`,
+            go: `func solve(ops [][]string, capacity int) []int {\n  // each op arrives as strings, e.g. {"put", "1", "1"}\n  return []int{}\n}`,
+            ruby: `def solve(ops, capacity)\n  []\nend`,
+            php: `<?php\nfunction solve($ops, $capacity) {\n    return [];\n}`,
+            csharp: `public class Solution {\n  public int[] solve(string[][] ops, int capacity) {\n    // each op arrives as strings, e.g. {"put", "1", "1"}\n    return new int[0];\n  }\n}`
         }
     },
     {
@@ -1840,22 +2900,52 @@ const PRACTICE_CHALLENGES = [
         examples: [{ input: 'nums1=[1,3], nums2=[2]', output: '2.0' }],
         tests: [
             { args: [[1, 3], [2]], expected: 2.0 },
-            { args: [[1, 2], [3, 4]], expected: 2.5 }
+            { args: [[1, 2], [3, 4]], expected: 2.5, hidden: true },
+            { args: [[], [1]], expected: 1, hidden: true },
+            { args: [[0, 0], [0, 0]], expected: 0, hidden: true }
         ],
+        limits: { timeMs: 1000, memoryMb: 128 },
+        stress: [{ generator: 'interleaved-halves', size: 50000 }],
+        signature: {
+            params: [{ name: 'nums1', type: 'int[]' }, { name: 'nums2', type: 'int[]' }],
+            returns: 'double'
+        },
         starterCode: {
             javascript: `function solve(nums1, nums2) {\n  return 0;\n}`,
-            python: `def solve(nums1, nums2):\n    return 0`
+            python: `def solve(nums1, nums2):\n    return 0`,
+            c: `double solve(int* nums1, int nums1Size, int* nums2, int nums2Size) {\n  return 0;\n}`,
+            cpp: `double solve(vector<int>& nums1, vector<int>& nums2) {\n  return 0;\n}`,
+            java: `class Solution {\n  public double solve(int[] nums1, int[] nums2) {\n    return 0;\n  }\n}`,
+            go: `func solve(nums1 []int, nums2 []int) float64 {\n  return 0\n}`,
+            ruby: `def solve(nums1, nums2)\n  0\nend`,
+            php: `<?php\nfunction solve($nums1, $nums2) {\n    return 0;\n}`,
+            csharp: `public class Solution {\n  public double solve(int[] nums1, int[] nums2) {\n    return 0;\n  }\n}`
         }
     }
 ];
 
+// Tracks and career paths move into storage on first start so counsellors can
+// edit them; ids stay the same, so saved results keep pointing at their track.
+function seedFromDefaults(filePath, defaults) {
+    const records = loadData(filePath, []);
+    if (!records.length) {
+        const now = new Date().toISOString();
+        Object.values(defaults).forEach(item => records.push({ ...JSON.parse(JSON.stringify(item)), createdAt: now, updatedAt: now }));
+        saveData(filePath, records);
+    }
+    return records;
+}
+
+const skillTracks = seedFromDefaults(skillTracksFile, DEFAULT_SKILL_ANALYZER_TRACKS);
+const careerPaths = seedFromDefaults(careerPathsFile, DEFAULT_CAREER_PATH_BLUEPRINTS);
+
 function getSkillAnalyzerTrack(trackId = '') {
     const key = String(trackId || '').trim().toLowerCase();
-    return SKILL_ANALYZER_TRACKS[key] || null;
+    return skillTracks.find(track => track.id === key) || null;
 }
 
 function getSkillAnalyzerPublicTracks() {
-    return Object.values(SKILL_ANALYZER_TRACKS).map(track => ({
+    return skillTracks.map(track => ({
         id: track.id,
         title: track.title,
         description: track.description
@@ -1885,19 +2975,334 @@ function buildRoadmapByLevel(track, level) {
     }));
 }
 
+// Measured check results outweigh self-rated confidence when both exist for a skill.
+const SKILL_ANALYZER_MEASURED_WEIGHT = 0.7;
+
+function toPublicSkillCheck(check) {
+    if (check.type === 'code') {
+        return {
+            id: check.id,
+            type: 'code',
+            prompt: check.prompt,
+            language: check.language,
+            starterCode: check.starterCode || ''
+        };
+    }
+    return {
+        id: check.id,
+        type: 'mcq',
+        prompt: check.prompt,
+        options: check.options
+    };
+}
+
+function getSkillCheckAnswerError(check, answer) {
+    if (check.type === 'code') {
+        if (answer !== undefined && answer !== null && typeof answer !== 'string') return 'Code answers must be text.';
+        if (String(answer || '').length > 20000) return 'Code length exceeds allowed limit.';
+        return '';
+    }
+    const index = Number(answer);
+    if (answer === null || answer === '' || !Number.isInteger(index) || index < 0 || index >= check.options.length) {
+        return 'Please choose an option.';
+    }
+    return '';
+}
+
+async function gradeSkillCheck(check, answer) {
+    if (check.type !== 'code') {
+        const correct = Number(answer) === check.answer;
+        return { id: check.id, skill: check.skill, type: 'mcq', score: correct ? 1 : 0, correct, answer: check.answer };
+    }
+
+    const base = { id: check.id, skill: check.skill, type: 'code', score: 0, correct: false };
+    const code = String(answer || '');
+    if (!code.trim()) {
+        return { ...base, message: 'No code submitted.' };
+    }
+    const codeValidation = validateCodeByLanguage(check.language, code);
+    if (!codeValidation.valid) {
+        return { ...base, message: codeValidation.message };
+    }
+    const result = await evaluatePracticeChallenge(check.language, code, check);
+    const total = Number(result.total) || check.tests.length;
+    const passedCount = Number(result.passedCount) || 0;
+    return {
+        ...base,
+        score: total ? passedCount / total : 0,
+        correct: Boolean(result.passed),
+        passedCount,
+        total,
+        message: result.error || ''
+    };
+}
+
+function combineSkillPercents(selfPercent, measuredPercent) {
+    if (measuredPercent === null) return selfPercent;
+    if (selfPercent === null) return measuredPercent;
+    return Math.round(measuredPercent * SKILL_ANALYZER_MEASURED_WEIGHT + selfPercent * (1 - SKILL_ANALYZER_MEASURED_WEIGHT));
+}
+
+function buildSkillScores(track, answers, checkResults) {
+    const totals = new Map(Object.keys(track.skillMap).map(skill => [skill, { self: 0, selfMax: 0, measured: 0, checks: 0 }]));
+    track.questions.forEach((question, index) => {
+        const entry = totals.get(question.skill);
+        if (!entry) return;
+        entry.self += Number(answers[index]);
+        entry.selfMax += 3;
+    });
+    checkResults.forEach(result => {
+        const entry = totals.get(result.skill);
+        if (!entry) return;
+        entry.measured += result.score;
+        entry.checks += 1;
+    });
+
+    return [...totals.entries()]
+        .filter(([, entry]) => entry.selfMax || entry.checks)
+        .map(([skill, entry]) => {
+            const selfPercent = entry.selfMax ? Math.round((entry.self / entry.selfMax) * 100) : null;
+            const measuredPercent = entry.checks ? Math.round((entry.measured / entry.checks) * 100) : null;
+            return {
+                skill,
+                label: track.skillMap[skill] || skill,
+                selfPercent,
+                measuredPercent,
+                scorePercent: combineSkillPercents(selfPercent, measuredPercent),
+                gap: selfPercent !== null && measuredPercent !== null ? selfPercent - measuredPercent : null
+            };
+        });
+}
+
+const SKILL_ANALYZER_HISTORY_LIMIT = 20;
+
+function toSkillAnalyzerHistoryEntry(result, createdAt) {
+    return {
+        trackId: result.trackId,
+        trackTitle: result.trackTitle,
+        level: result.level,
+        scorePercent: result.scorePercent,
+        selfPercent: result.selfPercent ?? result.scorePercent,
+        measuredPercent: result.measuredPercent ?? null,
+        gap: result.gap ?? null,
+        skillScores: (Array.isArray(result.skillScores) ? result.skillScores : []).map(item => ({
+            skill: item.skill,
+            label: item.label,
+            scorePercent: item.scorePercent
+        })),
+        createdAt
+    };
+}
+
+function recordSkillAnalyzerAttempt(user, result, createdAt) {
+    const history = Array.isArray(user.skillAnalyzerHistory) ? user.skillAnalyzerHistory : [];
+    // Keep the pre-history result as the first baseline instead of dropping it.
+    if (!history.length && user.skillAnalyzer && user.skillAnalyzer.trackId) {
+        history.push(toSkillAnalyzerHistoryEntry(user.skillAnalyzer, user.skillAnalyzer.updatedAt || createdAt));
+    }
+    history.push(toSkillAnalyzerHistoryEntry(result, createdAt));
+    const trackAttempts = history.filter(item => item.trackId === result.trackId);
+    const overflow = new Set(trackAttempts.slice(0, Math.max(0, trackAttempts.length - SKILL_ANALYZER_HISTORY_LIMIT)));
+    user.skillAnalyzerHistory = history.filter(item => !overflow.has(item));
+}
+
+function buildSkillAnalyzerProgress(user, trackId) {
+    const history = Array.isArray(user.skillAnalyzerHistory) ? user.skillAnalyzerHistory : [];
+    const attempts = history
+        .filter(item => item.trackId === trackId)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const track = getSkillAnalyzerTrack(trackId);
+    const skillMap = track ? track.skillMap : {};
+    const skillKeys = [...new Set([
+        ...Object.keys(skillMap),
+        ...attempts.flatMap(item => item.skillScores.map(score => score.skill))
+    ])];
+
+    const skills = skillKeys.map(skill => {
+        const points = attempts.map(item => {
+            const match = item.skillScores.find(score => score.skill === skill);
+            return match ? match.scorePercent : null;
+        });
+        const measured = points.filter(value => value !== null);
+        const label = skillMap[skill]
+            || (attempts.flatMap(item => item.skillScores).find(score => score.skill === skill) || {}).label
+            || skill;
+        return {
+            skill,
+            label,
+            points,
+            first: measured.length ? measured[0] : null,
+            latest: measured.length ? measured[measured.length - 1] : null,
+            delta: measured.length > 1 ? measured[measured.length - 1] - measured[0] : null
+        };
+    }).filter(item => item.first !== null);
+
+    const first = attempts[0];
+    const latest = attempts[attempts.length - 1];
+    return {
+        trackId,
+        trackTitle: latest ? latest.trackTitle : (track ? track.title : trackId),
+        attempts: attempts.map(item => ({
+            createdAt: item.createdAt,
+            level: item.level,
+            scorePercent: item.scorePercent,
+            selfPercent: item.selfPercent,
+            measuredPercent: item.measuredPercent,
+            gap: item.gap
+        })),
+        overall: attempts.length > 1
+            ? { first: first.scorePercent, latest: latest.scorePercent, delta: latest.scorePercent - first.scorePercent }
+            : null,
+        skills
+    };
+}
+
+// Largest per-skill changes on the most recently retaken track, phrased for the mentor.
+function getSkillAnalyzerDeltaNotes(user, limit = 2) {
+    const history = Array.isArray(user.skillAnalyzerHistory) ? user.skillAnalyzerHistory : [];
+    const trackIds = [...new Set([...history]
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(item => item.trackId))];
+    for (const trackId of trackIds) {
+        const changed = buildSkillAnalyzerProgress(user, trackId).skills.filter(item => item.delta);
+        if (!changed.length) continue;
+        return changed
+            .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+            .slice(0, limit)
+            .map(item => `your ${item.label} score went from ${item.first}% to ${item.latest}%`);
+    }
+    return [];
+}
+
 function getCareerPathByGoal(goal = '') {
     const key = String(goal || '').trim().toLowerCase();
-    return CAREER_PATH_BLUEPRINTS[key] || null;
+    return careerPaths.find(item => item.id === key) || null;
 }
 
 function getCareerPathGoals() {
-    return Object.values(CAREER_PATH_BLUEPRINTS).map(item => ({
+    return careerPaths.map(item => ({
         id: item.id,
         title: item.title,
         summary: item.summary
     }));
 }
 
+// "4-6 Weeks" counts as 6 weeks and "3 months" as 13; unreadable durations count as 0.
+function parseStageWeeks(duration = '') {
+    const match = String(duration).match(/(\d+)(?:\s*-\s*(\d+))?\s*(week|month)/i);
+    if (!match) return 0;
+    const value = Number(match[2] || match[1]);
+    return /month/i.test(match[3]) ? Math.round(value * 4.33) : value;
+}
+
+// The plan keeps its own copy of the milestones, so later blueprint edits do
+// not move a student's ticks around.
+function buildCareerPlan(path, adoptedAt) {
+    let counter = 0;
+    return {
+        pathId: path.id,
+        title: path.title,
+        adoptedAt,
+        stages: path.roadmap.map(stage => ({
+            stage: stage.stage,
+            duration: stage.duration,
+            milestones: stage.milestones.map(title => {
+                counter += 1;
+                return { id: `m${counter}`, title, link: null, doneAt: null };
+            })
+        }))
+    };
+}
+
+function getCareerMilestoneLinkState(user, milestone) {
+    const link = milestone.link;
+    if (!link) return null;
+    if (link.type === 'course') {
+        const progress = ensureGamification(normalizeUserEnrollment(user)).progressByCourse[link.courseSlug] || {};
+        const percent = Math.max(0, Math.min(100, Number(progress.percent) || 0));
+        const course = getCourseByIdentifier(link.courseSlug);
+        return {
+            satisfied: percent >= 100,
+            label: `${course ? course.title : link.courseSlug}: ${percent}% complete`
+        };
+    }
+    const solved = normalizeUserEnrollment(user).practiceArena.solvedChallengeIds.includes(link.challengeId);
+    const challenge = getPracticeChallengeById(link.challengeId);
+    return {
+        satisfied: solved,
+        label: `${challenge ? challenge.title : link.challengeId}: ${solved ? 'solved' : 'not solved yet'}`
+    };
+}
+
+// Marks linked milestones done once their course or challenge is complete.
+// Returns true when anything changed so callers know to save.
+function syncCareerPlan(user) {
+    const plan = user.careerPlan;
+    if (!plan || !Array.isArray(plan.stages)) return false;
+    let changed = false;
+    const now = new Date().toISOString();
+    plan.stages.forEach(stage => stage.milestones.forEach(milestone => {
+        const state = getCareerMilestoneLinkState(user, milestone);
+        if (state && state.satisfied && !milestone.doneAt) {
+            milestone.doneAt = now;
+            changed = true;
+        }
+    }));
+    return changed;
+}
+
+// The projection extends the student's own pace since adoption; the planned
+// date adds up the blueprint's stage durations.
+function summarizeCareerPlan(user) {
+    const plan = user.careerPlan;
+    if (!plan || !Array.isArray(plan.stages)) return null;
+    const milestones = plan.stages.flatMap(stage => stage.milestones);
+    const done = milestones.filter(item => item.doneAt);
+    const total = milestones.length;
+    const next = milestones.find(item => !item.doneAt) || null;
+    const adoptedMs = new Date(plan.adoptedAt).getTime();
+    const elapsedDays = Math.max(1, (Date.now() - adoptedMs) / DAY_MS);
+    const plannedWeeks = plan.stages.reduce((sum, stage) => sum + parseStageWeeks(stage.duration), 0);
+
+    let projectedCompletionAt = null;
+    if (done.length && done.length === total) {
+        projectedCompletionAt = done.map(item => item.doneAt).sort().pop();
+    } else if (done.length) {
+        const perDay = done.length / elapsedDays;
+        projectedCompletionAt = new Date(Date.now() + ((total - done.length) / perDay) * DAY_MS).toISOString();
+    }
+    const plannedCompletionAt = plannedWeeks ? new Date(adoptedMs + plannedWeeks * 7 * DAY_MS).toISOString() : null;
+
+    return {
+        pathId: plan.pathId,
+        title: plan.title,
+        adoptedAt: plan.adoptedAt,
+        total,
+        completed: done.length,
+        progressPercent: total ? Math.round((done.length / total) * 100) : 0,
+        nextMilestone: next ? next.title : '',
+        milestonesPerWeek: Math.round((done.length / elapsedDays) * 7 * 10) / 10,
+        projectedCompletionAt,
+        plannedCompletionAt,
+        onTrack: projectedCompletionAt && plannedCompletionAt ? projectedCompletionAt <= plannedCompletionAt : null,
+        stages: plan.stages.map(stage => ({
+            stage: stage.stage,
+            duration: stage.duration,
+            milestones: stage.milestones.map(milestone => {
+                const state = getCareerMilestoneLinkState(user, milestone);
+                return {
+                    id: milestone.id,
+                    title: milestone.title,
+                    done: Boolean(milestone.doneAt),
+                    doneAt: milestone.doneAt,
+                    link: milestone.link,
+                    linkStatus: state ? state.label : ''
+                };
+            })
+        }))
+    };
+}
+
 function normalizePracticeValue(value, mode = '') {
     if (mode === 'sort' && Array.isArray(value)) {
         return [...value].sort();
@@ -1910,12 +3315,134 @@ function normalizePracticeValue(value, mode = '') {
     return value;
 }
 
+const PRACTICE_DEFAULT_LIMITS = { timeMs: 1000, memoryMb: 128 };
+const PRACTICE_MAX_RUN_MS = 10000;
+
+// Stress generators build one large test from a size and compute the expected
+// answer directly, so the inputs never have to be stored. Each one is shaped
+// so that a brute-force solution blows the time limit.
+const PRACTICE_STRESS_GENERATORS = {
+    // Only the last odd number pairs with anything, so nested loops scan almost every pair.
+    'two-sum-far-pair': size => {
+        const nums = Array.from({ length: size }, (item, index) => index * 2);
+        nums[size - 1] = 1;
+        return { args: [nums, nums[size - 2] + 1], expected: [size - 2, size - 1] };
+    },
+    // Replacing "()" until nothing is left needs size / 2 passes over the string.
+    'deep-brackets': size => ({
+        args: ['('.repeat(size / 2) + ')'.repeat(size / 2)],
+        expected: true
+    }),
+    'sorted-last-target': size => {
+        const nums = Array.from({ length: size }, (item, index) => index * 2 - size);
+        return { args: [nums, nums[size - 1]], expected: size - 1 };
+    },
+    'alphabet-cycle': size => ({
+        args: [Array.from({ length: size }, (item, index) => String.fromCharCode(97 + (index % 26))).join('')],
+        expected: 26
+    }),
+    // Value v appears v + 1 times, so the top k are the k largest values.
+    'staircase-frequencies': size => {
+        const nums = [];
+        let value = 0;
+        while (nums.length + value + 1 <= size) {
+            for (let i = 0; i <= value; i += 1) nums.push(value);
+            value += 1;
+        }
+        return { args: [nums, 3], expected: [value - 1, value - 2, value - 3] };
+    },
+    // Touching intervals given in reverse order merge into a single interval.
+    'chained-intervals': size => ({
+        args: [Array.from({ length: size }, (item, index) => [size - index - 1, size - index])],
+        expected: [[0, size]]
+    }),
+    // Plain recursion without memoisation explores an exponential number of splits.
+    'word-break-trap': size => ({
+        args: ['a'.repeat(size) + 'b', Array.from({ length: 10 }, (item, index) => 'a'.repeat(index + 1))],
+        expected: false
+    }),
+    'lru-churn': size => {
+        const capacity = 100;
+        const ops = Array.from({ length: size }, (item, index) => (
+            index % 3 === 2 ? ['get', (index * 7) % 500] : ['put', (index * 13) % 500, index]
+        ));
+        const cache = new Map();
+        ops.forEach(([op, key, value]) => {
+            if (op === 'get') {
+                if (!cache.has(key)) return;
+                const stored = cache.get(key);
+                cache.delete(key);
+                cache.set(key, stored);
+                return;
+            }
+            cache.delete(key);
+            cache.set(key, value);
+            if (cache.size > capacity) cache.delete(cache.keys().next().value);
+        });
+        return { args: [ops, capacity], expected: [...cache.keys()] };
+    },
+    'interleaved-halves': size => ({
+        args: [
+            Array.from({ length: size }, (item, index) => index * 2),
+            Array.from({ length: size }, (item, index) => index * 2 + 1)
+        ],
+        expected: (size * 2 - 1) / 2
+    })
+};
+
+const practiceStressCache = new Map();
+
+function getPracticeStressTests(challenge) {
+    const specs = Array.isArray(challenge.stress) ? challenge.stress : [];
+    return specs.map(spec => {
+        const key = `${challenge.id}:${spec.generator}:${spec.size}`;
+        if (!practiceStressCache.has(key)) {
+            const generate = PRACTICE_STRESS_GENERATORS[spec.generator];
+            if (!generate) return null;
+            practiceStressCache.set(key, { ...generate(Number(spec.size) || 1000), hidden: true, stress: true });
+        }
+        return practiceStressCache.get(key);
+    }).filter(Boolean);
+}
+
+function getPracticeLimits(challenge) {
+    return { ...PRACTICE_DEFAULT_LIMITS, ...(challenge.limits || {}) };
+}
+
+// Challenges move into storage on first start so faculty can author new ones.
+// The built-in set is published as is; authored challenges start as drafts.
+const practiceChallenges = seedFromDefaults(
+    practiceChallengesFile,
+    DEFAULT_PRACTICE_CHALLENGES.map(item => ({ ...item, status: 'published' }))
+);
+
 function getPracticeChallengeById(id = '') {
-    return PRACTICE_CHALLENGES.find(item => item.id === String(id || '').trim());
+    return practiceChallenges.find(item => item.id === String(id || '').trim() && item.status === 'published');
+}
+
+// What students see of a challenge: never the hidden tests or the reference solution.
+function toPublicPracticeChallenge(challenge) {
+    return {
+        id: challenge.id,
+        title: challenge.title,
+        difficulty: challenge.difficulty,
+        category: challenge.category,
+        interview: Boolean(challenge.interview),
+        tags: challenge.tags || [],
+        statement: challenge.statement,
+        constraints: challenge.constraints || [],
+        examples: challenge.examples || [],
+        starterCode: challenge.starterCode || {},
+        testCount: Array.isArray(challenge.tests) ? challenge.tests.length : 0,
+        sampleTests: (challenge.tests || []).filter(test => !test.hidden).map(test => ({ args: test.args, expected: test.expected })),
+        hiddenTestCount: (challenge.tests || []).filter(test => test.hidden).length,
+        stressTestCount: Array.isArray(challenge.stress) ? challenge.stress.length : 0,
+        limits: getPracticeLimits(challenge)
+    };
 }
 
 function getPracticeChallengeSummary() {
-    return PRACTICE_CHALLENGES.map(item => ({
+    return practiceChallenges.filter(item => item.status === 'published').map(item => ({
         id: item.id,
         title: item.title,
         difficulty: item.difficulty,
@@ -1925,245 +3452,975 @@ function getPracticeChallengeSummary() {
     }));
 }
 
-async function evaluatePracticeChallenge(language, code, challenge) {
-    const marker = '__PRACTICE_RESULT__:';
-    const tests = Array.isArray(challenge.tests) ? challenge.tests : [];
-    const normalizedTests = tests.map(test => ({
-        args: Array.isArray(test.args) ? test.args : [],
-        expected: test.expected
-    }));
-    const mode = challenge.normalize || '';
+const PRACTICE_LANGUAGES = ['javascript', 'python', 'c', 'cpp', 'java', 'go', 'ruby', 'php', 'csharp'];
+// Languages whose harness converts arguments through the challenge signature.
+const PRACTICE_TYPED_LANGUAGES = ['c', 'cpp', 'java', 'go', 'csharp'];
+const PRACTICE_PARAM_TYPES = ['int', 'double', 'bool', 'string', 'int[]', 'string[]', 'int[][]', 'string[][]'];
+const PRACTICE_CUSTOM_TEST_LIMIT = 5;
 
-    if (language === 'javascript') {
-        const harness = `
-${code}
-function __deepEqual(a, b) {
-  return JSON.stringify(a) === JSON.stringify(b);
+const PRACTICE_OUT_OF_MEMORY = /MemoryError|out of memory|bad_alloc|OutOfMemory/i;
+
+// Harness lines carry a random nonce per run, so code under test cannot print
+// a line the evaluator would take for a result. `done` follows the last test.
+function getPracticeMarkers(nonce) {
+    return {
+        result: `__PRACTICE_CASE_${nonce}__:`,
+        error: `__PRACTICE_ERROR_${nonce}__:`,
+        done: `__PRACTICE_DONE_${nonce}__`
+    };
+}
+
+// Typed harnesses read their arguments from stdin rather than from source
+// literals, so a stress test with 100000 numbers compiles as fast as a sample.
+// Values are coerced to the declared type and written as whitespace-separated
+// tokens: booleans as 1 or 0, strings as UTF-8 hex ("-" when empty) and arrays
+// as their length followed by the items.
+function toPracticeInputTokens(type, value) {
+    if (type === 'int') return [String(Math.trunc(Number(value) || 0))];
+    if (type === 'double') return [String(Number(value) || 0)];
+    if (type === 'bool') return [value ? '1' : '0'];
+    if (type === 'string') return [Buffer.from(String(value), 'utf8').toString('hex') || '-'];
+    const list = Array.isArray(value) ? value : [];
+    return [String(list.length), ...list.flatMap(item => toPracticeInputTokens(type.slice(0, -2), item))];
+}
+
+function buildPracticeInput(signature, argsList) {
+    return argsList
+        .map(args => signature.params.flatMap((param, index) => toPracticeInputTokens(param.type, args[index])).join(' '))
+        .join('\n') + '\n';
 }
-function __normalize(value, mode) {
-  if (mode === 'sort' && Array.isArray(value)) return [...value].sort();
-  if (mode === 'sort-nested' && Array.isArray(value)) return value.map(v => Array.isArray(v) ? [...v].sort() : v).sort((x, y) => JSON.stringify(x).localeCompare(JSON.stringify(y)));
-  return value;
+
+// C has no containers, so every array argument is read into a heap array and
+// passed with its size (and column sizes for 2-D arrays), LeetCode style.
+function buildCPracticeCase(signature, markers) {
+    const lines = [];
+    const callArgs = [];
+    signature.params.forEach((param, paramIndex) => {
+        const name = `a${paramIndex}`;
+        if (param.type === 'int[]' || param.type === 'string[]') {
+            const reader = param.type === 'int[]' ? '__read_ints' : '__read_strings';
+            const cType = param.type === 'int[]' ? 'int*' : 'char**';
+            lines.push(`int ${name}Size = __read_int(); ${cType} ${name} = ${reader}(${name}Size);`);
+            callArgs.push(name, `${name}Size`);
+        } else if (param.type === 'int[][]' || param.type === 'string[][]') {
+            const reader = param.type === 'int[][]' ? '__read_ints' : '__read_strings';
+            const cType = param.type === 'int[][]' ? 'int*' : 'char**';
+            lines.push(`int ${name}Size = __read_int(); ${cType}* ${name} = malloc(sizeof(${cType}) * (${name}Size + 1)); int* ${name}Cols = malloc(sizeof(int) * (${name}Size + 1));`);
+            lines.push(`for (int i = 0; i < ${name}Size; i++) { ${name}Cols[i] = __read_int(); ${name}[i] = ${reader}(${name}Cols[i]); }`);
+            callArgs.push(name, `${name}Size`, `${name}Cols`);
+        } else {
+            const cType = { int: 'int', double: 'double', bool: 'bool', string: 'char*' }[param.type];
+            lines.push(`${cType} ${name} = __read_${param.type}();`);
+            callArgs.push(name);
+        }
+    });
+
+    const call = (extra = []) => `${signature.functionName}(${[...callArgs, ...extra].join(', ')})`;
+    const returns = signature.returns;
+    const printer = {
+        int: 'printf("%d", r);',
+        double: 'printf("%.15g", r);',
+        bool: 'printf(r ? "true" : "false");',
+        string: '__print_string(r);',
+        'int[]': 'putchar(\'[\'); for (int i = 0; r && i < rs; i++) { if (i) putchar(\',\'); printf("%d", r[i]); } putchar(\']\');',
+        'string[]': 'putchar(\'[\'); for (int i = 0; r && i < rs; i++) { if (i) putchar(\',\'); __print_string(r[i]); } putchar(\']\');',
+        'int[][]': 'putchar(\'[\'); for (int i = 0; r && i < rs; i++) { if (i) putchar(\',\'); putchar(\'[\'); for (int j = 0; rcs && j < rcs[i]; j++) { if (j) putchar(\',\'); printf("%d", r[i][j]); } putchar(\']\'); } putchar(\']\');',
+        'string[][]': 'putchar(\'[\'); for (int i = 0; r && i < rs; i++) { if (i) putchar(\',\'); putchar(\'[\'); for (int j = 0; rcs && j < rcs[i]; j++) { if (j) putchar(\',\'); __print_string(r[i][j]); } putchar(\']\'); } putchar(\']\');'
+    }[returns];
+    const cTypes = { int: 'int', double: 'double', bool: 'bool', string: 'char*', 'int[]': 'int*', 'string[]': 'char**', 'int[][]': 'int**', 'string[][]': 'char***' };
+    lines.push('clock_t started = clock();');
+    if (returns.endsWith('[][]')) {
+        lines.push(`int rs = 0; int* rcs = NULL; ${cTypes[returns]} r = ${call(['&rs', '&rcs'])};`);
+    } else if (returns.endsWith('[]')) {
+        lines.push(`int rs = 0; ${cTypes[returns]} r = ${call(['&rs'])};`);
+    } else {
+        lines.push(`${cTypes[returns]} r = ${call()};`);
+    }
+    lines.push('double ms = (double) (clock() - started) * 1000.0 / CLOCKS_PER_SEC;');
+    lines.push(`printf("${markers.result}%d %.2f ", t, ms); ${printer} putchar('\\n'); fflush(stdout);`);
+    return `        ${lines.join('\n        ')}`;
 }
+
+// Each harness prints one marker line per test: the index, the call's runtime
+// in milliseconds and the JSON-encoded return value (or the error message).
+// Every case runs even after a failure, and the comparison happens in Node.
+function buildPracticeHarness(language, code, challenge, argsList, options = {}) {
+    const limits = options.limits || PRACTICE_DEFAULT_LIMITS;
+    const markers = getPracticeMarkers(options.nonce);
+    const fn = challenge.functionName || 'solve';
+    const signature = { ...challenge.signature, functionName: fn };
+
+    if (language === 'javascript') {
+        return `
+${code}
 (function() {
-  const fn = (typeof ${challenge.functionName} === 'function')
-    ? ${challenge.functionName}
+  'use strict';
+  const fn = (typeof ${fn} === 'function')
+    ? ${fn}
     : (typeof solve === 'function' ? solve : (typeof solution === 'function' ? solution : null));
-  if (!fn) {
-    console.log('${marker}' + JSON.stringify({ passed: false, error: 'Function not found. Define solve(...) function.' }));
-    return;
-  }
-  const tests = ${JSON.stringify(normalizedTests)};
-  const mode = ${JSON.stringify(mode)};
-  let passedCount = 0;
+  const tests = ${JSON.stringify(argsList)};
   for (let i = 0; i < tests.length; i += 1) {
-    const t = tests[i];
-    let actual;
+    if (!fn) {
+      console.log('${markers.error}' + i + ' 0.00 Function not found. Define solve(...) function.');
+      continue;
+    }
+    const before = __practiceUsage();
     try {
-      actual = fn(...(t.args || []));
+      const actual = fn(...tests[i]);
+      const after = __practiceUsage();
+      console.log('${markers.result}' + i + ' ' + (after.cpuMs - before.cpuMs).toFixed(2) + ' m' + Math.max(0, Math.round((after.heap - before.heap) / 1024)) + ' ' + JSON.stringify(typeof actual === 'undefined' ? null : actual));
     } catch (e) {
-      console.log('${marker}' + JSON.stringify({ passed: false, passedCount, total: tests.length, failedAt: i + 1, error: String(e && e.message ? e.message : e) }));
-      return;
+      const after = __practiceUsage();
+      console.log('${markers.error}' + i + ' ' + (after.cpuMs - before.cpuMs).toFixed(2) + ' m' + Math.max(0, Math.round((after.heap - before.heap) / 1024)) + ' ' + String(e && e.message ? e.message : e));
     }
-    const expected = __normalize(t.expected, mode);
-    const normalizedActual = __normalize(actual, mode);
-    if (!__deepEqual(normalizedActual, expected)) {
-      console.log('${marker}' + JSON.stringify({ passed: false, passedCount, total: tests.length, failedAt: i + 1, expected, actual: normalizedActual }));
-      return;
-    }
-    passedCount += 1;
   }
-  console.log('${marker}' + JSON.stringify({ passed: true, passedCount, total: tests.length }));
+  console.log('${markers.done}');
 })();`;
-
-        const result = runJavaScriptInSandbox(harness, '');
-        const outLines = String(result.stdout || '').split(/\r?\n/);
-        const line = [...outLines].reverse().find(item => item.startsWith(marker));
-        if (!line) {
-            return { passed: false, passedCount: 0, total: tests.length, error: result.stderr || 'Invalid evaluator output.' };
-        }
-        try {
-            return JSON.parse(line.slice(marker.length));
-        } catch (error) {
-            return { passed: false, passedCount: 0, total: tests.length, error: 'Could not parse evaluator result.' };
-        }
     }
 
     if (language === 'python') {
-        const pythonHarness = `
+        return `
 ${code}
 import json
-def __normalize(value, mode):
-    if mode == "sort" and isinstance(value, list):
-        return sorted(value)
-    if mode == "sort-nested" and isinstance(value, list):
-        normalized = []
-        for item in value:
-            if isinstance(item, list):
-                normalized.append(sorted(item))
-            else:
-                normalized.append(item)
-        return sorted(normalized, key=lambda x: json.dumps(x, sort_keys=True))
-    return value
-
-def __deep_equal(a, b):
-    return json.dumps(a, sort_keys=True) == json.dumps(b, sort_keys=True)
+import time
+import signal
+import tracemalloc
+
+class __PracticeTimeLimit(Exception):
+    pass
+
+def __on_time_limit(signum, frame):
+    raise __PracticeTimeLimit("Time limit exceeded")
 
 def __runner():
-    fn = globals().get("${challenge.functionName}") or globals().get("solve") or globals().get("solution")
-    if not callable(fn):
-        print("${marker}" + json.dumps({"passed": False, "error": "Function not found. Define solve(...) function."}))
-        return
-    tests = ${JSON.stringify(normalizedTests)}
-    mode = ${JSON.stringify(mode)}
-    passed_count = 0
-    total = len(tests)
-    for idx, t in enumerate(tests):
-        args = t.get("args", [])
-        expected = __normalize(t.get("expected"), mode)
+    try:
+        import resource
+        cap = (${limits.memoryMb} + 256) * 1024 * 1024
+        resource.setrlimit(resource.RLIMIT_AS, (cap, cap))
+    except Exception:
+        pass
+    signal.signal(signal.SIGPROF, __on_time_limit)
+    fn = globals().get("${fn}") or globals().get("solve") or globals().get("solution")
+    tests = json.loads(${JSON.stringify(JSON.stringify(argsList))})
+    for idx, args in enumerate(tests):
+        if not callable(fn):
+            print("${markers.error}%d 0.00 Function not found. Define solve(...) function." % idx, flush=True)
+            continue
+        tracemalloc.start()
+        start = time.process_time()
+        signal.setitimer(signal.ITIMER_PROF, ${(limits.timeMs + 100) / 1000})
         try:
             actual = fn(*args)
-        except Exception as err:
-            print("${marker}" + json.dumps({"passed": False, "passedCount": passed_count, "total": total, "failedAt": idx + 1, "error": str(err)}))
-            return
-        actual = __normalize(actual, mode)
-        if not __deep_equal(actual, expected):
-            print("${marker}" + json.dumps({"passed": False, "passedCount": passed_count, "total": total, "failedAt": idx + 1, "expected": expected, "actual": actual}))
-            return
-        passed_count += 1
-    print("${marker}" + json.dumps({"passed": True, "passedCount": passed_count, "total": total}))
+            error = None
+        except BaseException as err:
+            error = err
+        finally:
+            signal.setitimer(signal.ITIMER_PROF, 0)
+        elapsed = (time.process_time() - start) * 1000
+        peak_kb = tracemalloc.get_traced_memory()[1] // 1024
+        tracemalloc.stop()
+        if error is not None:
+            message = "MemoryError" if isinstance(error, MemoryError) else str(error)
+            print("${markers.error}%d %.2f m%d %s" % (idx, elapsed, peak_kb, message), flush=True)
+            continue
+        try:
+            print("${markers.result}%d %.2f m%d %s" % (idx, elapsed, peak_kb, json.dumps(actual)), flush=True)
+        except (TypeError, ValueError) as err:
+            print("${markers.error}%d %.2f m%d Return value is not JSON serializable: %s" % (idx, elapsed, peak_kb, err), flush=True)
+    print("${markers.done}", flush=True)
 
 __runner()
 `;
-        const result = await runPythonInSandbox(pythonHarness, '');
-        const outLines = String(result.stdout || '').split(/\r?\n/);
-        const line = [...outLines].reverse().find(item => item.startsWith(marker));
-        if (!line) {
-            return { passed: false, passedCount: 0, total: tests.length, error: result.stderr || 'Invalid evaluator output.' };
-        }
-        try {
-            return JSON.parse(line.slice(marker.length));
-        } catch (error) {
-            return { passed: false, passedCount: 0, total: tests.length, error: 'Could not parse evaluator result.' };
-        }
     }
 
-    return {
-        passed: false,
-        passedCount: 0,
-        total: tests.length,
-        error: 'Unsupported language for Practice Arena. Use JavaScript or Python.'
-    };
-}
+    if (language === 'ruby') {
+        return `${code}
+require 'json'
+__tests = JSON.parse(<<'__TESTS__')
+${JSON.stringify(argsList)}
+__TESTS__
+__tests.each_with_index do |args, index|
+  started = Process.clock_gettime(Process::CLOCK_MONOTONIC)
+  begin
+    result = send(:${fn}, *args)
+    elapsed = (Process.clock_gettime(Process::CLOCK_MONOTONIC) - started) * 1000
+    puts "${markers.result}#{index} #{format('%.2f', elapsed)} #{result.to_json}"
+  rescue Exception => e
+    elapsed = (Process.clock_gettime(Process::CLOCK_MONOTONIC) - started) * 1000
+    puts "${markers.error}#{index} #{format('%.2f', elapsed)} #{e.message}"
+  end
+  $stdout.flush
+end
+puts "${markers.done}"
+`;
+    }
 
-function slugifyCourse(title = '') {
-    return title
-        .toLowerCase()
-        .replace(/&/g, 'and')
-        .replace(/[^a-z0-9]+/g, '-')
-        .replace(/(^-|-$)/g, '');
+    if (language === 'php') {
+        const body = code.replace(/^\s*<\?php/, '').replace(/\?>\s*$/, '');
+        return `<?php
+${body}
+$__json = <<<'__TESTS__'
+${JSON.stringify(argsList)}
+__TESTS__;
+foreach (json_decode($__json, true) as $__index => $__args) {
+    $__started = microtime(true);
+    try {
+        $__result = call_user_func_array('${fn}', $__args);
+        echo "${markers.result}" . $__index . " " . sprintf('%.2f', (microtime(true) - $__started) * 1000) . " " . json_encode($__result) . "\\n";
+    } catch (Throwable $__error) {
+        echo "${markers.error}" . $__index . " " . sprintf('%.2f', (microtime(true) - $__started) * 1000) . " " . $__error->getMessage() . "\\n";
+    }
 }
+echo "${markers.done}\\n";
+`;
+    }
 
-function buildCourseTopics(title) {
-    const baseTopics = [
-        `${title}: orientation and roadmap`,
-        `${title}: setup and environment preparation`,
-        `${title}: terminology and core concepts`,
-        `${title}: beginner hands-on exercise 1`,
-        `${title}: beginner hands-on exercise 2`,
-        `${title}: fundamentals recap`,
-        `${title}: practical workflow design`,
-        `${title}: productivity tools and shortcuts`,
-        `${title}: common mistakes and debugging basics`,
-        `${title}: mini assignment 1`,
-        `${title}: mini assignment 2`,
-        `${title}: mentor review checkpoint`,
-        `${title}: intermediate concept block 1`,
-        `${title}: intermediate concept block 2`,
-        `${title}: intermediate concept block 3`,
-        `${title}: applied lab session 1`,
-        `${title}: applied lab session 2`,
-        `${title}: applied lab session 3`,
-        `${title}: reusable patterns and best practices`,
-        `${title}: code quality and documentation`,
-        `${title}: testing and validation basics`,
-        `${title}: data handling practices`,
-        `${title}: API and integration fundamentals`,
-        `${title}: security basics`,
-        `${title}: optimization techniques`,
-        `${title}: architecture fundamentals`,
-        `${title}: teamwork and collaboration workflow`,
-        `${title}: version control and release workflow`,
-        `${title}: project planning basics`,
-        `${title}: project milestone 1`,
-        `${title}: project milestone 2`,
-        `${title}: project milestone 3`,
-        `${title}: capstone project planning`,
-        `${title}: capstone project implementation step 1`,
-        `${title}: capstone project implementation step 2`,
-        `${title}: capstone project implementation step 3`,
-        `${title}: capstone testing and refinement`,
-        `${title}: portfolio artifact creation`,
-        `${title}: real-world case study 1`,
-        `${title}: real-world case study 2`,
-        `${title}: industry standards and conventions`,
-        `${title}: advanced module 1`,
-        `${title}: advanced module 2`,
-        `${title}: advanced module 3`,
-        `${title}: performance and scalability discussion`,
-        `${title}: interview-focused problem set 1`,
-        `${title}: interview-focused problem set 2`,
-        `${title}: mock assessment 1`,
-        `${title}: mock assessment 2`,
-        `${title}: placement readiness session`,
-        `${title}: communication and presentation skills`,
-        `${title}: resume and portfolio alignment`,
-        `${title}: final revision sprint`,
-        `${title}: final project defense`,
-        `${title}: course closure and growth plan`
-    ];
+    if (!challenge.signature) return '';
 
-    const special = COURSE_SPECIAL_TRACKS[title] || [];
-    const combined = [...baseTopics, ...special];
-    const unique = [...new Set(combined)];
-    let idx = 1;
-    while (unique.length < 56) {
-        unique.push(`${title}: guided practice extension ${idx}`);
-        idx += 1;
+    if (language === 'c') {
+        return `#include <ctype.h>
+#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+#include <stdbool.h>
+#include <time.h>
+${code}
+static char* __token(void) {
+    static char* buffer = NULL;
+    static size_t capacity = 0;
+    size_t length = 0;
+    int ch = getchar();
+    while (ch != EOF && isspace(ch)) ch = getchar();
+    for (;; ch = getchar()) {
+        if (length + 1 >= capacity) { capacity = capacity ? capacity * 2 : 64; buffer = realloc(buffer, capacity); }
+        if (ch == EOF || isspace(ch)) break;
+        buffer[length++] = (char) ch;
     }
-    return unique.slice(0, 60);
+    buffer[length] = '\\0';
+    return buffer;
 }
-
-function buildTopicModules(topics) {
-    const moduleNames = ['Foundation', 'Core Concepts', 'Hands-on Labs', 'Advanced Layer', 'Project Build', 'Career Prep'];
-    const size = Math.ceil(topics.length / moduleNames.length);
-    return moduleNames.map((name, index) => ({
-        name,
-        topics: topics.slice(index * size, (index + 1) * size)
-    })).filter(module => module.topics.length > 0);
+static int __read_int(void) { return atoi(__token()); }
+static double __read_double(void) { return atof(__token()); }
+static bool __read_bool(void) { return __token()[0] == '1'; }
+static int __nibble(char ch) { return ch <= '9' ? ch - '0' : ch - 'a' + 10; }
+static char* __read_string(void) {
+    const char* hex = __token();
+    size_t length = hex[0] == '-' ? 0 : strlen(hex) / 2;
+    char* out = malloc(length + 1);
+    for (size_t i = 0; i < length; i++) out[i] = (char) (__nibble(hex[i * 2]) * 16 + __nibble(hex[i * 2 + 1]));
+    out[length] = '\\0';
+    return out;
 }
-
-function formatInrPrice(amount) {
-    const value = Math.max(0, Math.round(Number(amount) || 0));
-    try {
-        return new Intl.NumberFormat('en-IN', {
-            style: 'currency',
-            currency: 'INR',
-            maximumFractionDigits: 0
-        }).format(value);
-    } catch (error) {
-        return `INR ${value}`;
+static int* __read_ints(int count) {
+    int* out = malloc(sizeof(int) * (count + 1));
+    for (int i = 0; i < count; i++) out[i] = __read_int();
+    return out;
+}
+static char** __read_strings(int count) {
+    char** out = malloc(sizeof(char*) * (count + 1));
+    for (int i = 0; i < count; i++) out[i] = __read_string();
+    return out;
+}
+static void __print_string(const char* s) {
+    if (!s) { printf("null"); return; }
+    putchar('"');
+    for (; *s; s++) {
+        unsigned char ch = (unsigned char) *s;
+        if (ch == '"' || ch == '\\\\') { putchar('\\\\'); putchar(ch); }
+        else if (ch < 32) printf("\\\\u%04x", ch);
+        else putchar(ch);
     }
+    putchar('"');
 }
-
-function deriveCoursePrice(course = {}) {
-    if (Number.isFinite(Number(course.price)) && Number(course.price) > 0) {
-        return Math.round(Number(course.price));
+int main(void) {
+    for (int t = 0; t < ${argsList.length}; t++) {
+${buildCPracticeCase(signature, markers)}
     }
-    const durationText = String(course.duration || '');
-    const monthMatch = durationText.match(/(\d+)/);
-    const months = monthMatch ? Math.max(1, Number(monthMatch[1])) : 3;
-    const baseByMonths = months * 2200;
+    printf("${markers.done}\\n");
+    return 0;
+}
+`;
+    }
+
+    if (language === 'cpp') {
+        const types = { int: 'int', double: 'double', bool: 'bool', string: 'string', 'int[]': 'vector<int>', 'string[]': 'vector<string>', 'int[][]': 'vector<vector<int>>', 'string[][]': 'vector<vector<string>>' };
+        const decls = signature.params.map((param, paramIndex) => `${types[param.type]} a${paramIndex}; __read(a${paramIndex});`);
+        const names = signature.params.map((param, paramIndex) => `a${paramIndex}`).join(', ');
+        return `#include <algorithm>
+#include <chrono>
+#include <climits>
+#include <cmath>
+#include <deque>
+#include <iomanip>
+#include <iostream>
+#include <list>
+#include <map>
+#include <numeric>
+#include <queue>
+#include <set>
+#include <stack>
+#include <string>
+#include <unordered_map>
+#include <unordered_set>
+#include <vector>
+using namespace std;
+${code}
+static void __json(ostream& out, int v) { out << v; }
+static void __json(ostream& out, long long v) { out << v; }
+static void __json(ostream& out, double v) { out << setprecision(15) << v; }
+static void __json(ostream& out, bool v) { out << (v ? "true" : "false"); }
+static void __json(ostream& out, const string& v) {
+    out << '"';
+    for (unsigned char ch : v) {
+        if (ch == '"' || ch == '\\\\') out << '\\\\' << ch;
+        else if (ch < 32) out << "\\\\u" << hex << setw(4) << setfill('0') << (int) ch << dec;
+        else out << ch;
+    }
+    out << '"';
+}
+template <typename T> static void __json(ostream& out, const vector<T>& v) {
+    out << '[';
+    for (size_t i = 0; i < v.size(); i++) { if (i) out << ','; __json(out, v[i]); }
+    out << ']';
+}
+static void __read(int& v) { cin >> v; }
+static void __read(double& v) { cin >> v; }
+static void __read(bool& v) { int flag = 0; cin >> flag; v = flag != 0; }
+static void __read(string& v) {
+    string hex;
+    cin >> hex;
+    v.clear();
+    if (hex == "-") return;
+    for (size_t i = 0; i + 1 < hex.size(); i += 2) v += (char) stoi(hex.substr(i, 2), nullptr, 16);
+}
+template <typename T> static void __read(vector<T>& v) {
+    int count = 0;
+    cin >> count;
+    v.assign(count, T());
+    for (auto& item : v) __read(item);
+}
+int main() {
+    for (int t = 0; t < ${argsList.length}; t++) {
+        auto started = chrono::steady_clock::now();
+        auto elapsed = [&started]() { return chrono::duration<double, milli>(chrono::steady_clock::now() - started).count(); };
+        try {
+            ${decls.join(' ')}
+            started = chrono::steady_clock::now();
+            auto r = ${fn}(${names});
+            double ms = elapsed();
+            cout << "${markers.result}" << t << " " << fixed << setprecision(2) << ms << defaultfloat << " "; __json(cout, r); cout << endl;
+        } catch (const exception& e) {
+            cout << "${markers.error}" << t << " " << fixed << setprecision(2) << elapsed() << defaultfloat << " " << e.what() << endl;
+        } catch (...) {
+            cout << "${markers.error}" << t << " " << fixed << setprecision(2) << elapsed() << defaultfloat << " unknown exception" << endl;
+        }
+    }
+    cout << "${markers.done}" << endl;
+    return 0;
+}
+`;
+    }
+
+    if (language === 'java') {
+        const body = code.replace(/\bpublic\s+(?=(?:final\s+)?class\s+Solution\b)/, '');
+        const readers = { int: '__int()', double: '__double()', bool: '__bool()', string: '__string()', 'int[]': '__ints()', 'string[]': '__strings()', 'int[][]': '__intGrid()', 'string[][]': '__stringGrid()' };
+        const types = { int: 'int', double: 'double', bool: 'boolean', string: 'String', 'int[]': 'int[]', 'string[]': 'String[]', 'int[][]': 'int[][]', 'string[][]': 'String[][]' };
+        return `import java.util.*;
+${body}
+public class Main {
+    static String __quote(String s) {
+        StringBuilder out = new StringBuilder("\\"");
+        for (char ch : s.toCharArray()) {
+            if (ch == '"' || ch == '\\\\') out.append('\\\\').append(ch);
+            else if (ch < 32) out.append(String.format("\\\\u%04x", (int) ch));
+            else out.append(ch);
+        }
+        return out.append('"').toString();
+    }
+    static String __json(Object v) {
+        if (v == null) return "null";
+        if (v instanceof String) return __quote((String) v);
+        if (v instanceof Number || v instanceof Boolean) return String.valueOf(v);
+        StringBuilder out = new StringBuilder("[");
+        if (v.getClass().isArray()) {
+            for (int i = 0; i < java.lang.reflect.Array.getLength(v); i++) {
+                if (i > 0) out.append(',');
+                out.append(__json(java.lang.reflect.Array.get(v, i)));
+            }
+        } else if (v instanceof Iterable) {
+            boolean first = true;
+            for (Object item : (Iterable<?>) v) {
+                if (!first) out.append(',');
+                out.append(__json(item));
+                first = false;
+            }
+        } else {
+            return __quote(String.valueOf(v));
+        }
+        return out.append(']').toString();
+    }
+    static String __ms(long started) {
+        return String.format(Locale.ROOT, "%.2f", (System.nanoTime() - started) / 1e6);
+    }
+    static String[] __tokens;
+    static int __position = 0;
+    static int __int() { return Integer.parseInt(__tokens[__position++]); }
+    static double __double() { return Double.parseDouble(__tokens[__position++]); }
+    static boolean __bool() { return __tokens[__position++].equals("1"); }
+    static String __string() {
+        String hex = __tokens[__position++];
+        if (hex.equals("-")) return "";
+        byte[] bytes = new byte[hex.length() / 2];
+        for (int i = 0; i < bytes.length; i++) bytes[i] = (byte) Integer.parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+        return new String(bytes, java.nio.charset.StandardCharsets.UTF_8);
+    }
+    static int[] __ints() { int[] out = new int[__int()]; for (int i = 0; i < out.length; i++) out[i] = __int(); return out; }
+    static String[] __strings() { String[] out = new String[__int()]; for (int i = 0; i < out.length; i++) out[i] = __string(); return out; }
+    static int[][] __intGrid() { int[][] out = new int[__int()][]; for (int i = 0; i < out.length; i++) out[i] = __ints(); return out; }
+    static String[][] __stringGrid() { String[][] out = new String[__int()][]; for (int i = 0; i < out.length; i++) out[i] = __strings(); return out; }
+    public static void main(String[] args) throws Exception {
+        __tokens = new String(System.in.readAllBytes(), java.nio.charset.StandardCharsets.UTF_8).trim().split("\\\\s+");
+        for (int t = 0; t < ${argsList.length}; t++) {
+            long started = System.nanoTime();
+            try {
+                ${signature.params.map((param, index) => `${types[param.type]} a${index} = ${readers[param.type]};`).join(' ')}
+                started = System.nanoTime();
+                Object result = new Solution().${fn}(${signature.params.map((param, index) => `a${index}`).join(', ')});
+                String ms = __ms(started);
+                System.out.println("${markers.result}" + t + " " + ms + " " + __json(result));
+            } catch (Throwable e) {
+                System.out.println("${markers.error}" + t + " " + __ms(started) + " " + e);
+            }
+        }
+        System.out.println("${markers.done}");
+    }
+}
+`;
+    }
+
+    if (language === 'csharp') {
+        const readers = { int: 'Int()', double: 'Double()', bool: 'Bool()', string: 'Str()', 'int[]': 'Ints()', 'string[]': 'Strs()', 'int[][]': 'IntGrid()', 'string[][]': 'StrGrid()' };
+        const types = { int: 'int', double: 'double', bool: 'bool', string: 'string', 'int[]': 'int[]', 'string[]': 'string[]', 'int[][]': 'int[][]', 'string[][]': 'string[][]' };
+        return `using System;
+using System.Collections.Generic;
+using System.Linq;
+${code}
+public static class __PracticeRunner {
+    static string Quote(string s) {
+        var out_ = new System.Text.StringBuilder("\\"");
+        foreach (char ch in s) {
+            if (ch == '"' || ch == '\\\\') out_.Append('\\\\').Append(ch);
+            else if (ch < 32) out_.Append("\\\\u" + ((int) ch).ToString("x4"));
+            else out_.Append(ch);
+        }
+        return out_.Append('"').ToString();
+    }
+    static string Json(object v) {
+        if (v == null) return "null";
+        if (v is string) return Quote((string) v);
+        if (v is bool) return (bool) v ? "true" : "false";
+        if (v is double) return ((double) v).ToString("R", System.Globalization.CultureInfo.InvariantCulture);
+        if (v is System.Collections.IEnumerable) {
+            var items = new List<string>();
+            foreach (object item in (System.Collections.IEnumerable) v) items.Add(Json(item));
+            return "[" + string.Join(",", items) + "]";
+        }
+        return Convert.ToString(v, System.Globalization.CultureInfo.InvariantCulture);
+    }
+    static string Ms(System.Diagnostics.Stopwatch watch) {
+        return watch.Elapsed.TotalMilliseconds.ToString("0.00", System.Globalization.CultureInfo.InvariantCulture);
+    }
+    static string[] Tokens;
+    static int Position = 0;
+    static int Int() { return int.Parse(Tokens[Position++], System.Globalization.CultureInfo.InvariantCulture); }
+    static double Double() { return double.Parse(Tokens[Position++], System.Globalization.CultureInfo.InvariantCulture); }
+    static bool Bool() { return Tokens[Position++] == "1"; }
+    static string Str() {
+        string hex = Tokens[Position++];
+        if (hex == "-") return "";
+        var bytes = new byte[hex.Length / 2];
+        for (int i = 0; i < bytes.Length; i++) bytes[i] = Convert.ToByte(hex.Substring(i * 2, 2), 16);
+        return System.Text.Encoding.UTF8.GetString(bytes);
+    }
+    static int[] Ints() { var out_ = new int[Int()]; for (int i = 0; i < out_.Length; i++) out_[i] = Int(); return out_; }
+    static string[] Strs() { var out_ = new string[Int()]; for (int i = 0; i < out_.Length; i++) out_[i] = Str(); return out_; }
+    static int[][] IntGrid() { var out_ = new int[Int()][]; for (int i = 0; i < out_.Length; i++) out_[i] = Ints(); return out_; }
+    static string[][] StrGrid() { var out_ = new string[Int()][]; for (int i = 0; i < out_.Length; i++) out_[i] = Strs(); return out_; }
+    public static void Main() {
+        Tokens = Console.In.ReadToEnd().Split((char[]) null, StringSplitOptions.RemoveEmptyEntries);
+        for (int t = 0; t < ${argsList.length}; t++) {
+            var watch = System.Diagnostics.Stopwatch.StartNew();
+            try {
+                ${signature.params.map((param, index) => `${types[param.type]} a${index} = ${readers[param.type]};`).join(' ')}
+                watch.Restart();
+                object result = new Solution().${fn}(${signature.params.map((param, index) => `a${index}`).join(', ')});
+                string ms = Ms(watch);
+                Console.WriteLine("${markers.result}" + t + " " + ms + " " + Json(result));
+            } catch (Exception e) {
+                Console.WriteLine("${markers.error}" + t + " " + Ms(watch) + " " + e.Message);
+            }
+        }
+        Console.WriteLine("${markers.done}");
+    }
+}
+`;
+    }
+
+    if (language === 'go') {
+        const body = code.replace(/^\s*package\s+main\s*;?/, '');
+        const readers = { int: '__int()', double: '__float()', bool: '__bool()', string: '__string()', 'int[]': '__ints()', 'string[]': '__strings()', 'int[][]': '__intGrid()', 'string[][]': '__stringGrid()' };
+        return `package main
+
+import (
+    __bufio "bufio"
+    __hex "encoding/hex"
+    __json "encoding/json"
+    __fmt "fmt"
+    __os "os"
+    __strconv "strconv"
+    __time "time"
+)
+${body}
+var __input = func() *__bufio.Scanner {
+    scanner := __bufio.NewScanner(__os.Stdin)
+    scanner.Buffer(make([]byte, 1024*1024), 64*1024*1024)
+    scanner.Split(__bufio.ScanWords)
+    return scanner
+}()
+
+func __next() string { __input.Scan(); return __input.Text() }
+func __int() int { value, _ := __strconv.Atoi(__next()); return value }
+func __float() float64 { value, _ := __strconv.ParseFloat(__next(), 64); return value }
+func __bool() bool { return __next() == "1" }
+func __string() string {
+    text := __next()
+    if text == "-" {
+        return ""
+    }
+    value, _ := __hex.DecodeString(text)
+    return string(value)
+}
+func __ints() []int {
+    out := make([]int, __int())
+    for i := range out {
+        out[i] = __int()
+    }
+    return out
+}
+func __strings() []string {
+    out := make([]string, __int())
+    for i := range out {
+        out[i] = __string()
+    }
+    return out
+}
+func __intGrid() [][]int {
+    out := make([][]int, __int())
+    for i := range out {
+        out[i] = __ints()
+    }
+    return out
+}
+func __stringGrid() [][]string {
+    out := make([][]string, __int())
+    for i := range out {
+        out[i] = __strings()
+    }
+    return out
+}
+
+func __runCase(index int, call func() interface{}) {
+    started := __time.Now()
+    elapsed := func() float64 { return float64(__time.Since(started).Microseconds()) / 1000 }
+    defer func() {
+        if err := recover(); err != nil {
+            __fmt.Printf("${markers.error}%d %.2f %v\\n", index, elapsed(), err)
+        }
+    }()
+    value := call()
+    ms := elapsed()
+    out, err := __json.Marshal(value)
+    if err != nil {
+        __fmt.Printf("${markers.error}%d %.2f %v\\n", index, ms, err)
+        return
+    }
+    __fmt.Printf("${markers.result}%d %.2f %s\\n", index, ms, out)
+}
+
+func main() {
+    for t := 0; t < ${argsList.length}; t++ {
+        ${signature.params.map((param, index) => `a${index} := ${readers[param.type]}`).join('; ')}
+        __runCase(t, func() interface{} { return ${fn}(${signature.params.map((param, index) => `a${index}`).join(', ')}) })
+    }
+    __fmt.Println("${markers.done}")
+}
+`;
+    }
+
+    return '';
+}
+
+// Go returns nil for empty slices and PHP encodes gappy arrays as objects, so
+// array results are coerced back to plain arrays before comparing.
+function coercePracticeActual(value, type = '') {
+    if (!type.endsWith('[]')) return value;
+    let list = value;
+    if (list === null) list = [];
+    if (list && typeof list === 'object' && !Array.isArray(list)) list = Object.values(list);
+    if (!Array.isArray(list)) return value;
+    return list.map(item => coercePracticeActual(item, type.slice(0, -2)));
+}
+
+// Runs a JavaScript harness in a child Node process, inside a vm context with
+// the same globals as the Code Lab sandbox. Practice runs can take seconds, and
+// running them in the server process would stall every other request.
+const PRACTICE_JS_RUNNER = `
+const vm = require('vm');
+const format = value => {
+    if (typeof value === 'string') return value;
+    try {
+        return JSON.stringify(value);
+    } catch (error) {
+        return String(value);
+    }
+};
+const print = stream => (...args) => stream.write(args.map(format).join(' ') + '\\n');
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', chunk => { input += chunk; });
+process.stdin.on('end', () => {
+    const { code, timeoutMs } = JSON.parse(input);
+    const context = vm.createContext({
+        console: { log: print(process.stdout), error: print(process.stderr), warn: print(process.stdout) },
+        Math, Date, JSON, Number, String, Boolean, Array, Object, RegExp, parseInt, parseFloat, isNaN, isFinite,
+        __practiceUsage: () => {
+            const cpu = process.cpuUsage();
+            return { cpuMs: (cpu.user + cpu.system) / 1000, heap: process.memoryUsage().heapUsed };
+        }
+    }, { codeGeneration: { strings: false, wasm: false } });
+    try {
+        new vm.Script(code, { filename: 'user-code.js' }).runInContext(context, { timeout: timeoutMs });
+    } catch (error) {
+        process.stderr.write((error && error.message ? error.message : 'Execution failed') + '\\n');
+    }
+});
+`;
+
+// The JavaScript script shares one timeout. Its heap is capped at the memory
+// limit plus room for Node itself, so a runaway allocation ends the run.
+// Python stops each test with its own CPU timer and only needs a safety net
+// here. The other languages get the same budget for the whole run (plus
+// compile time for `go run`) and read their arguments from stdin.
+async function runPracticeHarness(language, source, limits, testCount, stdinText = '') {
+    const timeoutMs = Math.min(PRACTICE_MAX_RUN_MS, limits.timeMs * Math.max(1, testCount) + 1000);
+    if (language === 'javascript') {
+        return runProcess(process.execPath, [`--max-old-space-size=${limits.memoryMb + 64}`, '-e', PRACTICE_JS_RUNNER], {
+            cwd: os.tmpdir(),
+            stdinText: JSON.stringify({ code: source, timeoutMs }),
+            timeoutMs: timeoutMs + 1000
+        });
+    }
+    if (language === 'python') return runPythonInSandbox(source, '', { timeoutMs: timeoutMs + 1000 });
+    const runOptions = { timeoutMs: timeoutMs + 1000 };
+    if (language === 'java') return runJavaInSandbox(source, stdinText, runOptions);
+    if (language === 'go') return runGoInSandbox(source, stdinText, { timeoutMs: timeoutMs + 5000 });
+    if (language === 'ruby') return runRubyInSandbox(source, stdinText, runOptions);
+    if (language === 'php') return runPhpInSandbox(source, stdinText, runOptions);
+    if (language === 'csharp') return runCSharpInSandbox(source, stdinText, runOptions);
+    return runCompiledCodeInSandbox(language, source, stdinText, runOptions);
+}
+
+// Tests run in order, so only a line for the test that is running counts; a
+// second line for the same test, or one for a test not yet started, is ignored.
+function readPracticeCaseLines(stdout = '', markers) {
+    const cases = new Map();
+    let finished = false;
+    String(stdout).split(/\r?\n/).forEach(line => {
+        if (line === markers.done) finished = true;
+        const marker = line.startsWith(markers.result) ? markers.result : (line.startsWith(markers.error) ? markers.error : '');
+        if (!marker) return;
+        const match = line.slice(marker.length).match(/^(\d+) (\d+(?:\.\d+)?)(?: m(\d+))? ?(.*)$/);
+        if (!match || Number(match[1]) !== cases.size) return;
+        cases.set(Number(match[1]), {
+            error: marker === markers.error,
+            timeMs: Math.round(Number(match[2]) * 100) / 100,
+            memoryKb: typeof match[3] === 'undefined' ? null : Number(match[3]),
+            text: match[4]
+        });
+    });
+    return { cases, finished };
+}
+
+// Runs every test and returns a verdict row per test. Sample tests run before
+// hidden ones, and hidden rows only ever carry their verdict, runtime and
+// memory: no input, expected value, output, error text or stderr. Tests
+// without an expected value (custom inputs) just report what the code returned.
+// Submissions also get the challenge's stress tests, and every test is held to
+// the challenge's time limit (and memory limit where the language reports it). Authors
+// validating a challenge pass `reveal` to see hidden rows in full (stress
+// inputs stay out, they are too large to send back).
+// A program can get at the hidden inputs while it runs, so a run that holds
+// hidden tests never reports what the program returned or printed unless it is
+// the expected answer. Failing sample rows take their output from a second run
+// over the samples alone.
+async function evaluatePracticeChallenge(language, code, challenge, options = {}) {
+    const source = Array.isArray(options.tests) ? options.tests : (Array.isArray(challenge.tests) ? challenge.tests : []);
+    const withStress = options.stress
+        ? [...source, ...getPracticeStressTests(challenge)]
+        : source;
+    const tests = [...withStress.filter(test => !test.hidden), ...withStress.filter(test => test.hidden)].map(test => ({
+        args: Array.isArray(test.args) ? test.args : [],
+        expected: test.expected,
+        hidden: Boolean(test.hidden),
+        stress: Boolean(test.stress),
+        custom: Boolean(test.custom)
+    }));
+    const graded = tests.filter(test => typeof test.expected !== 'undefined');
+    const limits = getPracticeLimits(challenge);
+
+    if (!PRACTICE_LANGUAGES.includes(language)) {
+        return { passed: false, verdict: 'Runtime Error', passedCount: 0, total: graded.length, limits, results: [], error: 'Unsupported language for Practice Arena.' };
+    }
+    const nonce = crypto.randomBytes(8).toString('hex');
+    const harness = buildPracticeHarness(language, code, challenge, tests.map(test => test.args), { limits, nonce });
+    if (!harness) {
+        return { passed: false, verdict: 'Runtime Error', passedCount: 0, total: graded.length, limits, results: [], error: `This challenge has no ${language} signature yet.` };
+    }
+
+    const mode = challenge.normalize || '';
+    const returns = challenge.signature ? challenge.signature.returns : '';
+    const input = challenge.signature ? buildPracticeInput(challenge.signature, tests.map(test => test.args)) : '';
+    const run = await runPracticeHarness(language, harness, limits, tests.length, input);
+    const { cases, finished } = readPracticeCaseLines(run.stdout, getPracticeMarkers(nonce));
+    const guarded = !options.reveal && tests.some(test => test.hidden);
+    const timedOut = /timed out/i.test(String(run.stderr || ''));
+    // A run that never printed its done line was killed or crashed in the test
+    // after the last one it reported, or in the last one if all of them
+    // reported. That test's own line cannot be trusted and later tests never ran.
+    const stoppedAt = finished ? -1 : Math.min(cases.size, tests.length - 1);
+
+    const results = tests.map((test, index) => {
+        const row = {
+            index: index + 1,
+            kind: test.stress ? 'stress' : (test.hidden ? 'hidden' : (test.custom ? 'custom' : 'sample')),
+            verdict: 'Not Run',
+            timeMs: null,
+            memoryKb: null
+        };
+        const showData = !test.hidden || (options.reveal && !test.stress);
+        const showOutput = showData && !guarded;
+        if (showData) {
+            row.input = test.args;
+            if (typeof test.expected !== 'undefined') row.expected = normalizePracticeValue(test.expected, mode);
+        }
+        if (index === stoppedAt) {
+            if (timedOut) row.verdict = 'Time Limit Exceeded';
+            else if (PRACTICE_OUT_OF_MEMORY.test(String(run.stderr || ''))) row.verdict = 'Memory Limit Exceeded';
+            return row;
+        }
+        const entry = cases.get(index);
+        if (!entry || (stoppedAt !== -1 && index > stoppedAt)) return row;
+
+        row.timeMs = entry.timeMs;
+        row.memoryKb = entry.memoryKb;
+        if (entry.timeMs > limits.timeMs) {
+            row.verdict = 'Time Limit Exceeded';
+            return row;
+        }
+        if (entry.memoryKb !== null && entry.memoryKb > limits.memoryMb * 1024) {
+            row.verdict = 'Memory Limit Exceeded';
+            return row;
+        }
+        if (entry.error) {
+            if (PRACTICE_OUT_OF_MEMORY.test(entry.text)) {
+                row.verdict = 'Memory Limit Exceeded';
+                return row;
+            }
+            row.verdict = 'Runtime Error';
+            if (showOutput) row.error = entry.text || 'Runtime error.';
+            return row;
+        }
+        let actual;
+        try {
+            actual = normalizePracticeValue(coercePracticeActual(JSON.parse(entry.text), returns), mode);
+        } catch (error) {
+            row.verdict = 'Runtime Error';
+            if (showOutput) row.error = 'Could not parse evaluator result.';
+            return row;
+        }
+        if (typeof test.expected === 'undefined') {
+            row.verdict = 'Ran';
+        } else {
+            row.verdict = JSON.stringify(actual) === JSON.stringify(normalizePracticeValue(test.expected, mode)) ? 'Accepted' : 'Wrong Answer';
+        }
+        if (showOutput || (showData && row.verdict === 'Accepted')) row.actual = actual;
+        return row;
+    });
+
+    let sampleError = '';
+    if (guarded && results.some(row => (row.kind === 'sample' || row.kind === 'custom') && row.verdict !== 'Accepted' && row.verdict !== 'Ran')) {
+        const detail = await evaluatePracticeChallenge(language, code, challenge, { tests: tests.filter(test => !test.hidden) });
+        detail.results.forEach((row, index) => {
+            if (results[index].verdict === 'Accepted') return;
+            if (typeof row.actual !== 'undefined') results[index].actual = row.actual;
+            if (row.error) results[index].error = row.error;
+        });
+        sampleError = detail.error;
+    }
+
+    const passedCount = results.filter(row => row.verdict === 'Accepted').length;
+    const firstProblem = results.find(row => row.verdict !== 'Accepted' && row.verdict !== 'Ran');
+    let error = '';
+    if (firstProblem && firstProblem.verdict === 'Not Run') {
+        const stopped = 'Program stopped before this test case. It may have crashed or run out of time.';
+        error = firstProblem.kind === 'sample' || firstProblem.kind === 'custom'
+            ? ((guarded ? sampleError : run.stderr) || stopped)
+            : 'Program stopped on a hidden test. It may have crashed or run out of time.';
+    } else if (firstProblem && firstProblem.verdict === 'Runtime Error') {
+        error = firstProblem.error || 'Runtime error on a hidden test.';
+    } else if (firstProblem && firstProblem.verdict === 'Time Limit Exceeded') {
+        error = `Test ${firstProblem.index} went over the ${limits.timeMs} ms time limit.`;
+    } else if (firstProblem && firstProblem.verdict === 'Memory Limit Exceeded') {
+        error = `Test ${firstProblem.index} went over the ${limits.memoryMb} MB memory limit.`;
+    }
+
+    let verdict = 'Accepted';
+    if (firstProblem) {
+        verdict = firstProblem.verdict === 'Not Run' ? 'Runtime Error' : firstProblem.verdict;
+    }
+
+    return {
+        passed: !firstProblem && passedCount === graded.length,
+        verdict,
+        passedCount,
+        total: graded.length,
+        limits,
+        failedAt: firstProblem ? firstProblem.index : null,
+        expected: firstProblem ? firstProblem.expected : undefined,
+        actual: firstProblem ? firstProblem.actual : undefined,
+        error,
+        results
+    };
+}
+
+function slugifyCourse(title = '') {
+    return title
+        .toLowerCase()
+        .replace(/&/g, 'and')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/(^-|-$)/g, '');
+}
+
+function buildCourseTopics(title, specialTopics = []) {
+    const baseTopics = [
+        `${title}: orientation and roadmap`,
+        `${title}: setup and environment preparation`,
+        `${title}: terminology and core concepts`,
+        `${title}: beginner hands-on exercise 1`,
+        `${title}: beginner hands-on exercise 2`,
+        `${title}: fundamentals recap`,
+        `${title}: practical workflow design`,
+        `${title}: productivity tools and shortcuts`,
+        `${title}: common mistakes and debugging basics`,
+        `${title}: mini assignment 1`,
+        `${title}: mini assignment 2`,
+        `${title}: mentor review checkpoint`,
+        `${title}: intermediate concept block 1`,
+        `${title}: intermediate concept block 2`,
+        `${title}: intermediate concept block 3`,
+        `${title}: applied lab session 1`,
+        `${title}: applied lab session 2`,
+        `${title}: applied lab session 3`,
+        `${title}: reusable patterns and best practices`,
+        `${title}: code quality and documentation`,
+        `${title}: testing and validation basics`,
+        `${title}: data handling practices`,
+        `${title}: API and integration fundamentals`,
+        `${title}: security basics`,
+        `${title}: optimization techniques`,
+        `${title}: architecture fundamentals`,
+        `${title}: teamwork and collaboration workflow`,
+        `${title}: version control and release workflow`,
+        `${title}: project planning basics`,
+        `${title}: project milestone 1`,
+        `${title}: project milestone 2`,
+        `${title}: project milestone 3`,
+        `${title}: capstone project planning`,
+        `${title}: capstone project implementation step 1`,
+        `${title}: capstone project implementation step 2`,
+        `${title}: capstone project implementation step 3`,
+        `${title}: capstone testing and refinement`,
+        `${title}: portfolio artifact creation`,
+        `${title}: real-world case study 1`,
+        `${title}: real-world case study 2`,
+        `${title}: industry standards and conventions`,
+        `${title}: advanced module 1`,
+        `${title}: advanced module 2`,
+        `${title}: advanced module 3`,
+        `${title}: performance and scalability discussion`,
+        `${title}: interview-focused problem set 1`,
+        `${title}: interview-focused problem set 2`,
+        `${title}: mock assessment 1`,
+        `${title}: mock assessment 2`,
+        `${title}: placement readiness session`,
+        `${title}: communication and presentation skills`,
+        `${title}: resume and portfolio alignment`,
+        `${title}: final revision sprint`,
+        `${title}: final project defense`,
+        `${title}: course closure and growth plan`
+    ];
+
+    const special = Array.isArray(specialTopics) ? specialTopics : [];
+    const combined = [...baseTopics, ...special];
+    const unique = [...new Set(combined)];
+    let idx = 1;
+    while (unique.length < 56) {
+        unique.push(`${title}: guided practice extension ${idx}`);
+        idx += 1;
+    }
+    return unique.slice(0, 60);
+}
+
+function buildCurriculumModules(curriculum) {
+    return curriculum.modules.map(module => ({
+        name: module.name,
+        objectives: module.objectives,
+        hours: Math.round(module.lessons.reduce((sum, lesson) => sum + lesson.hours, 0) * 10) / 10,
+        topics: module.lessons.map(lesson => lesson.title),
+        lessons: module.lessons
+    }));
+}
+
+function buildTopicModules(topics) {
+    const moduleNames = ['Foundation', 'Core Concepts', 'Hands-on Labs', 'Advanced Layer', 'Project Build', 'Career Prep'];
+    const size = Math.ceil(topics.length / moduleNames.length);
+    return moduleNames.map((name, index) => ({
+        name,
+        topics: topics.slice(index * size, (index + 1) * size)
+    })).filter(module => module.topics.length > 0);
+}
+
+function formatInrPrice(amount) {
+    const value = Math.max(0, Math.round(Number(amount) || 0));
+    try {
+        return new Intl.NumberFormat('en-IN', {
+            style: 'currency',
+            currency: 'INR',
+            maximumFractionDigits: 0
+        }).format(value);
+    } catch (error) {
+        return `INR ${value}`;
+    }
+}
+
+function deriveCoursePrice(course = {}) {
+    if (Number.isFinite(Number(course.price)) && Number(course.price) > 0) {
+        return Math.round(Number(course.price));
+    }
+    const durationText = String(course.duration || '');
+    const monthMatch = durationText.match(/(\d+)/);
+    const months = monthMatch ? Math.max(1, Number(monthMatch[1])) : 3;
+    const baseByMonths = months * 2200;
     const levelText = String(course.level || '').toLowerCase();
     const levelBonus = levelText.includes('advanced')
         ? 2200
@@ -2173,9 +4430,32 @@ function deriveCoursePrice(course = {}) {
     return baseByMonths + levelBonus;
 }
 
+function buildInstallmentPlan(slug, price) {
+    const plan = installmentPlans[slug];
+    if (!plan) return null;
+    let allocated = 0;
+    return plan.parts.map((part, index) => {
+        const isLast = index === plan.parts.length - 1;
+        const amount = isLast ? price - allocated : Math.round((price * part.percent) / 100);
+        allocated += amount;
+        return {
+            index: index + 1,
+            label: part.label,
+            percent: part.percent,
+            dueInDays: part.dueInDays,
+            amount,
+            amountLabel: formatInrPrice(amount)
+        };
+    });
+}
+
 function enrichCourse(course) {
-    const slug = slugifyCourse(course.title);
-    const topics = buildCourseTopics(course.title);
+    const slug = course.slug || slugifyCourse(course.title);
+    const curriculum = curricula[slug];
+    const topicModules = curriculum
+        ? buildCurriculumModules(curriculum)
+        : buildTopicModules(buildCourseTopics(course.title, course.specialTopics));
+    const topics = topicModules.reduce((list, module) => list.concat(module.topics), []);
     const overridePrice = Number(coursePricingOverrides[slug]);
     const price = Number.isFinite(overridePrice) && overridePrice > 0
         ? Math.round(overridePrice)
@@ -2184,10 +4464,13 @@ function enrichCourse(course) {
         ...course,
         price,
         priceLabel: formatInrPrice(price),
+        installmentPlan: buildInstallmentPlan(slug, price),
         slug,
         overview: `${course.description} This course follows a practical approach with guided assignments and mentor support.`,
         topics,
-        topicModules: buildTopicModules(topics),
+        topicModules,
+        curriculumSource: curriculum ? 'authored' : 'template',
+        totalHours: curriculum ? Math.round(topicModules.reduce((sum, module) => sum + module.hours, 0) * 10) / 10 : null,
         outcomes: [
             `Build real-world proficiency in ${course.title}`,
             'Create guided projects for your portfolio',
@@ -2197,7 +4480,7 @@ function enrichCourse(course) {
 }
 
 function getCourseByIdentifier(identifier) {
-    const catalog = getCoursesCatalog();
+    const catalog = getCoursesCatalog({ includeArchived: true });
     return catalog.find(c => String(c.id) === identifier || c.slug === identifier);
 }
 
@@ -2208,15 +4491,17 @@ function escapePdfText(text = '') {
         .replace(/\)/g, '\\)');
 }
 
-function createSimplePdf(lines) {
-    const pageLineCount = 42;
+// Lines may be plain strings or { text, bold, size } objects. Helvetica only
+// covers Latin-1, so callers should write "Rs." rather than the rupee sign.
+function createSimplePdf(lines, options = {}) {
+    const pageLineCount = options.pageLineCount || 42;
     const lineHeight = 14;
     const pages = [];
 
     for (let i = 0; i < lines.length; i += pageLineCount) {
         pages.push(lines.slice(i, i + pageLineCount));
     }
-    if (pages.length === 0) pages.push(['Syllabus']);
+    if (pages.length === 0) pages.push([options.emptyText || 'Syllabus']);
 
     const objects = [];
     const pageObjectIds = [];
@@ -2228,21 +4513,24 @@ function createSimplePdf(lines) {
     };
 
     const fontObjId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+    const boldFontObjId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold >>');
     const pagesObjId = addObject('<< /Type /Pages /Kids [] /Count 0 >>');
 
     pages.forEach((pageLines) => {
         const streamLines = ['BT', '/F1 11 Tf', '50 820 Td'];
         pageLines.forEach((line, idx) => {
+            const entry = typeof line === 'object' && line !== null ? line : { text: line };
+            streamLines.push(`/${entry.bold ? 'F2' : 'F1'} ${entry.size || 11} Tf`);
             if (idx === 0) {
-                streamLines.push(`(${escapePdfText(line)}) Tj`);
+                streamLines.push(`(${escapePdfText(entry.text || '')}) Tj`);
             } else {
-                streamLines.push(`0 -${lineHeight} Td (${escapePdfText(line)}) Tj`);
+                streamLines.push(`0 -${lineHeight} Td (${escapePdfText(entry.text || '')}) Tj`);
             }
         });
         streamLines.push('ET');
         const streamContent = streamLines.join('\n');
         const contentObjId = addObject(`<< /Length ${Buffer.byteLength(streamContent, 'utf8')} >>\nstream\n${streamContent}\nendstream`);
-        const pageObjId = addObject(`<< /Type /Page /Parent ${pagesObjId} 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 ${fontObjId} 0 R >> >> /Contents ${contentObjId} 0 R >>`);
+        const pageObjId = addObject(`<< /Type /Page /Parent ${pagesObjId} 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 ${fontObjId} 0 R /F2 ${boldFontObjId} 0 R >> >> /Contents ${contentObjId} 0 R >>`);
         pageObjectIds.push(pageObjId);
     });
 
@@ -2282,7 +4570,7 @@ function stringifyConsoleArg(value) {
     }
 }
 
-function runJavaScriptInSandbox(code, stdinText = '') {
+function runJavaScriptInSandbox(code, stdinText = '', options = {}) {
     const logs = [];
     const errors = [];
     const start = Date.now();
@@ -2315,7 +4603,8 @@ function runJavaScriptInSandbox(code, stdinText = '') {
         parseInt,
         parseFloat,
         isNaN,
-        isFinite
+        isFinite,
+        ...(options.globals || {})
     };
 
     const context = vm.createContext(sandbox, {
@@ -2324,7 +4613,7 @@ function runJavaScriptInSandbox(code, stdinText = '') {
 
     try {
         const script = new vm.Script(code, { filename: 'user-code.js' });
-        const result = script.runInContext(context, { timeout: 2000 });
+        const result = script.runInContext(context, { timeout: options.timeoutMs || 2000 });
         if (typeof result !== 'undefined') {
             logs.push(stringifyConsoleArg(result));
         }
@@ -2432,7 +4721,7 @@ function validateCodeByLanguage(language, code) {
     return { valid: true };
 }
 
-function runPythonInSandbox(code, stdinText = '') {
+function runPythonInSandbox(code, stdinText = '', options = {}) {
     return new Promise((resolve) => {
         const start = Date.now();
         const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tejas-py-'));
@@ -2515,7 +4804,7 @@ except Exception:
         const timer = setTimeout(() => {
             stderr += (stderr ? '\n' : '') + 'Execution timed out.';
             child.kill('SIGKILL');
-        }, 3000);
+        }, options.timeoutMs || 3000);
 
         child.stdout.on('data', (chunk) => {
             stdout += chunk.toString();
@@ -2533,6 +4822,8 @@ except Exception:
             finish();
         });
 
+        // A program that exits without reading stdin closes the pipe early.
+        child.stdin.on('error', () => {});
         try {
             child.stdin.write(String(stdinText || ''));
             child.stdin.end();
@@ -2604,6 +4895,8 @@ function runProcess(command, args, options = {}) {
             });
         });
 
+        // A program that exits without reading stdin closes the pipe early.
+        child.stdin.on('error', () => {});
         try {
             child.stdin.write(String(stdinText || ''));
             child.stdin.end();
@@ -2613,7 +4906,7 @@ function runProcess(command, args, options = {}) {
     });
 }
 
-async function runCompiledCodeInSandbox(language, code, stdinText = '') {
+async function runCompiledCodeInSandbox(language, code, stdinText = '', options = {}) {
     const start = Date.now();
     const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tejas-code-'));
     const extension = language === 'c' ? 'c' : 'cpp';
@@ -2642,7 +4935,7 @@ async function runCompiledCodeInSandbox(language, code, stdinText = '') {
         const runResult = await runProcess(outputFile, [], {
             cwd: tempDir,
             stdinText,
-            timeoutMs: 2500
+            timeoutMs: options.timeoutMs || 2500
         });
 
         return {
@@ -2665,7 +4958,7 @@ async function runCompiledCodeInSandbox(language, code, stdinText = '') {
     }
 }
 
-async function runJavaInSandbox(code, stdinText = '') {
+async function runJavaInSandbox(code, stdinText = '', options = {}) {
     const start = Date.now();
     const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tejas-java-'));
     const publicClassMatch = code.match(/\bpublic\s+(?:final\s+|abstract\s+)?class\s+([A-Za-z_][A-Za-z0-9_]*)\b/);
@@ -2708,7 +5001,7 @@ async function runJavaInSandbox(code, stdinText = '') {
         const runResult = await runProcess('java', ['-cp', tempDir, className], {
             cwd: tempDir,
             stdinText,
-            timeoutMs: 3000
+            timeoutMs: options.timeoutMs || 3000
         });
 
         return {
@@ -2731,7 +5024,7 @@ async function runJavaInSandbox(code, stdinText = '') {
     }
 }
 
-async function runGoInSandbox(code, stdinText = '') {
+async function runGoInSandbox(code, stdinText = '', options = {}) {
     const start = Date.now();
     const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tejas-go-'));
     const sourceFile = path.join(tempDir, 'main.go');
@@ -2741,7 +5034,7 @@ async function runGoInSandbox(code, stdinText = '') {
         const runResult = await runProcess('go', ['run', sourceFile], {
             cwd: tempDir,
             stdinText,
-            timeoutMs: 5000
+            timeoutMs: options.timeoutMs || 5000
         });
 
         return {
@@ -2764,7 +5057,7 @@ async function runGoInSandbox(code, stdinText = '') {
     }
 }
 
-async function runRubyInSandbox(code, stdinText = '') {
+async function runRubyInSandbox(code, stdinText = '', options = {}) {
     const start = Date.now();
     const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tejas-ruby-'));
     const sourceFile = path.join(tempDir, 'main.rb');
@@ -2774,7 +5067,7 @@ async function runRubyInSandbox(code, stdinText = '') {
         const runResult = await runProcess('ruby', [sourceFile], {
             cwd: tempDir,
             stdinText,
-            timeoutMs: 4000
+            timeoutMs: options.timeoutMs || 4000
         });
 
         return {
@@ -2797,7 +5090,7 @@ async function runRubyInSandbox(code, stdinText = '') {
     }
 }
 
-async function runPhpInSandbox(code, stdinText = '') {
+async function runPhpInSandbox(code, stdinText = '', options = {}) {
     const start = Date.now();
     const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tejas-php-'));
     const sourceFile = path.join(tempDir, 'main.php');
@@ -2807,7 +5100,7 @@ async function runPhpInSandbox(code, stdinText = '') {
         const runResult = await runProcess('php', [sourceFile], {
             cwd: tempDir,
             stdinText,
-            timeoutMs: 4000
+            timeoutMs: options.timeoutMs || 4000
         });
 
         return {
@@ -2830,7 +5123,7 @@ async function runPhpInSandbox(code, stdinText = '') {
     }
 }
 
-async function runCSharpInSandbox(code, stdinText = '') {
+async function runCSharpInSandbox(code, stdinText = '', options = {}) {
     const start = Date.now();
     const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tejas-csharp-'));
     const sourceFile = path.join(tempDir, 'Program.cs');
@@ -2862,7 +5155,7 @@ async function runCSharpInSandbox(code, stdinText = '') {
         const runResult = await runProcess('mono', [outputFile], {
             cwd: tempDir,
             stdinText,
-            timeoutMs: 4000
+            timeoutMs: options.timeoutMs || 4000
         });
 
         return {
@@ -3026,7 +5319,7 @@ app.get('/api/config', (req, res) => {
 app.post('/api/user/session-status', (req, res) => {
     const email = String(req.body?.email || '').trim().toLowerCase();
     const token = getBearerToken(req);
-    const session = token ? userSessions.get(token) : null;
+    const session = resolveSession('user', token, { touch: false });
     if (!email) {
         return res.status(400).json({
             success: false,
@@ -3035,7 +5328,7 @@ app.post('/api/user/session-status', (req, res) => {
         });
     }
 
-    if (!session || !session.email || String(session.email).trim().toLowerCase() !== email) {
+    if (!session || session.subject !== email) {
         return res.json({
             success: true,
             valid: false,
@@ -3045,7 +5338,7 @@ app.post('/api/user/session-status', (req, res) => {
 
     const user = users.find(u => String(u.email || '').trim().toLowerCase() === email);
     if (!user) {
-        userSessions.delete(token);
+        revokeSessions('user', item => item.tokenHash === session.tokenHash);
         return res.json({
             success: true,
             valid: false,
@@ -3067,14 +5360,61 @@ app.post('/api/user/session-status', (req, res) => {
     });
 });
 
-app.get('/api/code/languages', (req, res) => {
-    res.json([
-        { id: 'javascript', label: 'JavaScript (Sandbox)' },
-        { id: 'python', label: 'Python (Restricted)' },
-        { id: 'c', label: 'C (Compile & Run)' },
-        { id: 'cpp', label: 'C++ (Compile & Run)' },
-        { id: 'java', label: 'Java (Compile & Run)' },
-        { id: 'go', label: 'Go (Run)' },
+// Signed-in devices for the current student
+app.get('/api/user/sessions', requireUserAuth, (req, res) => {
+    const sessions = [...userSessions.values()]
+        .filter(session => session.subject === req.authUserEmail && !isSessionExpired(session))
+        .sort((a, b) => String(b.lastSeenAt || '').localeCompare(String(a.lastSeenAt || '')))
+        .map(session => toClientSession(session, req.authSession.tokenHash));
+
+    return res.json({
+        success: true,
+        sessions
+    });
+});
+
+function handleRevokeUserSession(req, res) {
+    const sessionId = String(req.params.id || '').trim();
+    const removed = revokeSessions('user', session => (
+        session.subject === req.authUserEmail && session.id === sessionId
+    ));
+    if (!removed) {
+        return res.status(404).json({
+            success: false,
+            message: 'Session not found'
+        });
+    }
+    return res.json({
+        success: true,
+        message: 'Device logged out successfully'
+    });
+}
+
+app.delete('/api/user/sessions/:id', requireUserAuth, handleRevokeUserSession);
+app.post('/api/user/sessions/:id/delete', requireUserAuth, handleRevokeUserSession);
+
+app.post('/api/user/logout', requireUserAuth, (req, res) => {
+    revokeSessions('user', session => session.tokenHash === req.authSession.tokenHash);
+    return res.json({ success: true, message: 'Logged out successfully' });
+});
+
+app.post('/api/user/logout-all', requireUserAuth, (req, res) => {
+    const removed = revokeSessions('user', session => session.subject === req.authUserEmail);
+    return res.json({
+        success: true,
+        message: 'Logged out of all devices',
+        revoked: removed
+    });
+});
+
+app.get('/api/code/languages', (req, res) => {
+    res.json([
+        { id: 'javascript', label: 'JavaScript (Sandbox)' },
+        { id: 'python', label: 'Python (Restricted)' },
+        { id: 'c', label: 'C (Compile & Run)' },
+        { id: 'cpp', label: 'C++ (Compile & Run)' },
+        { id: 'java', label: 'Java (Compile & Run)' },
+        { id: 'go', label: 'Go (Run)' },
         { id: 'ruby', label: 'Ruby (Run)' },
         { id: 'php', label: 'PHP (Run)' },
         { id: 'csharp', label: 'C# (Compile & Run)' },
@@ -3183,7 +5523,7 @@ app.get('/api/announcement', (req, res) => {
 });
 
 // Register new user
-app.post('/api/register', (req, res) => {
+app.post('/api/register', async (req, res) => {
     const { firstName, lastName, email, phone, course, password } = req.body;
     
     // Validation
@@ -3204,6 +5544,14 @@ app.post('/api/register', (req, res) => {
     }
     
     const normalizedCourse = typeof course === 'string' ? course.trim() : '';
+    const passwordHash = await hashPassword(password);
+    // Another request may have registered the same email while we were hashing.
+    if (users.some(u => u.email === email)) {
+        return res.status(400).json({
+            success: false,
+            message: 'User with this email already exists'
+        });
+    }
     const newUser = {
         id: users.length + 1,
         firstName,
@@ -3214,14 +5562,14 @@ app.post('/api/register', (req, res) => {
         enrolledCourses: [],
         gamification: normalizeGamification({}),
         accountStatus: 'active',
-        password, // In production, hash the password!
+        passwordHash,
         createdAt: new Date().toISOString()
     };
     
     users.push(newUser);
     saveData(usersFile, users);
     
-    console.log('New User Registered:', { ...newUser, password: '***' });
+    console.log('New User Registered:', toClientUser(newUser));
     
     res.json({ 
         success: true, 
@@ -3230,7 +5578,7 @@ app.post('/api/register', (req, res) => {
 });
 
 // Login user
-app.post('/api/login', (req, res) => {
+app.post('/api/login', async (req, res) => {
     const { email, password } = req.body;
     
     // Validation
@@ -3242,7 +5590,8 @@ app.post('/api/login', (req, res) => {
     }
     
     // Find user
-    const user = users.find(u => u.email === email && u.password === password);
+    const candidate = users.find(u => u.email === email);
+    const user = await checkUserPassword(candidate, password) ? candidate : null;
     
     if (!user) {
         return res.status(401).json({ 
@@ -3267,7 +5616,7 @@ app.post('/api/login', (req, res) => {
     
     console.log('User Logged In:', userWithoutPassword);
     
-    const token = createUserSession(user);
+    const token = createUserSession(user, req);
     res.json({ 
         success: true, 
         message: 'Login successful!',
@@ -3356,7 +5705,7 @@ app.post('/api/auth/google', async (req, res) => {
         applyBadges(user);
         saveData(usersFile, users);
         const userWithoutPassword = toClientUser(user);
-        const token = createUserSession(user);
+        const token = createUserSession(user, req);
         return res.json({
             success: true,
             message: 'Google login successful!',
@@ -3372,50 +5721,150 @@ app.post('/api/auth/google', async (req, res) => {
     }
 });
 
-app.post('/api/users/enroll', requireUserAuth, (req, res) => {
-    const { email, courseIdentifier, courseTitle } = req.body;
-    const normalizedEmail = String(email || '').trim().toLowerCase();
+const PAYMENT_METHODS = {
+    upi: { label: 'UPI', needsReference: true },
+    card: { label: 'Card', needsReference: true },
+    netbanking: { label: 'Net Banking', needsReference: true },
+    wallet: { label: 'Wallet', needsReference: true },
+    cash: { label: 'Pay at Institute', needsReference: false }
+};
+const PAYMENT_STATUSES = ['pending', 'verified', 'rejected'];
 
-    if (!normalizedEmail) {
-        return res.status(400).json({
-            success: false,
-            message: 'Email is required'
-        });
-    }
-    if (normalizedEmail !== req.authUserEmail) {
-        return res.status(403).json({
-            success: false,
-            message: 'Email does not match logged-in user'
-        });
-    }
+function toClientPayment(payment = {}) {
+    const method = PAYMENT_METHODS[payment.method];
+    const receipt = receipts.find(item => item.paymentId === payment.id);
+    return {
+        ...payment,
+        receiptId: receipt ? receipt.id : null,
+        receiptNumber: receipt ? receipt.number : '',
+        methodLabel: method ? method.label : payment.method,
+        amountLabel: formatInrPrice(payment.amount)
+    };
+}
 
-    const user = users.find(u => String(u.email || '').trim().toLowerCase() === normalizedEmail);
-    if (!user) {
-        return res.status(404).json({
-            success: false,
-            message: 'User not found'
-        });
-    }
+// References are shown to staff, so only the characters bank and UPI
+// references actually use are accepted.
+const PAYMENT_REFERENCE_PATTERN = /^[A-Za-z0-9._\/-]{4,80}$/;
 
-    const identifier = String(courseIdentifier || '').trim();
-    let course = identifier ? getCourseByIdentifier(identifier) : null;
-    if (!course && courseTitle) {
-        const titleSlug = slugifyCourse(String(courseTitle));
-        course = getCourseByIdentifier(titleSlug);
-    }
+function normalizePaymentReference(value) {
+    return String(value || '').trim().replace(/\s+/g, '');
+}
 
-    if (!course) {
-        return res.status(404).json({
-            success: false,
-            message: 'Course not found'
-        });
-    }
+// A course is unlocked by a verified payment, or by an admin override on a
+// pay-at-institute booking (the student settles at the counter later).
+function findClearingPayment(email, courseSlug) {
+    return payments.find(item => (
+        item.userEmail === email
+        && item.courseSlug === courseSlug
+        && (item.status === 'verified' || (item.method === 'cash' && item.enrollmentOverride && item.status !== 'rejected'))
+    )) || null;
+}
+
+function toDateOnly(value) {
+    return new Date(value).toISOString().slice(0, 10);
+}
+
+// What a payment settles against the fee: cash received plus any discount or fee credit.
+function getPaymentCredit(payment) {
+    return (Number(payment.amount) || 0)
+        + (Number(payment.discountAmount) || 0)
+        + (Number(payment.feeCreditApplied) || 0);
+}
+
+// Turns the course's current plan into fixed amounts and due dates counted
+// from `startsAt`. It is saved on a student's first payment for the course, so
+// later price or plan changes do not move what that student owes or when.
+function snapshotFeePlan(course, startsAt) {
+    const parts = course.installmentPlan || [{ index: 1, label: 'Full fee', dueInDays: 0, amount: course.price }];
+    return parts.map(part => ({
+        index: part.index,
+        label: part.label,
+        amount: part.amount,
+        dueDate: toDateOnly(new Date(startsAt).getTime() + part.dueInDays * DAY_MS)
+    }));
+}
+
+function getSavedFeePlan(email, course) {
+    const first = payments
+        .filter(item => item.userEmail === email && item.courseSlug === course.slug && item.status !== 'rejected')
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .find(item => Array.isArray(item.feePlan));
+    return first ? first.feePlan : null;
+}
+
+// Builds the fee schedule for one student and course from the plan saved on
+// their first payment; verified payments are applied to parts in order.
+// Payments from before plans were saved fall back to the current plan.
+function buildFeeSchedule(email, course, now = new Date()) {
+    const coursePayments = payments
+        .filter(item => item.userEmail === email && item.courseSlug === course.slug && item.status !== 'rejected')
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    if (!coursePayments.length) return null;
+
+    const planParts = getSavedFeePlan(email, course) || snapshotFeePlan(course, coursePayments[0].createdAt);
+    const total = planParts.reduce((sum, part) => sum + part.amount, 0);
+    const paid = coursePayments
+        .filter(item => item.status === 'verified')
+        .reduce((sum, item) => sum + getPaymentCredit(item), 0);
+    const pending = coursePayments
+        .filter(item => item.status === 'pending')
+        .reduce((sum, item) => sum + getPaymentCredit(item), 0);
+    const today = toDateOnly(now);
+
+    let remainingPaid = paid;
+    const installments = planParts.map(part => {
+        const paidAmount = Math.min(part.amount, remainingPaid);
+        remainingPaid -= paidAmount;
+        let status = 'due';
+        if (paidAmount >= part.amount) status = 'paid';
+        else if (part.dueDate < today) status = 'overdue';
+        return {
+            index: part.index,
+            label: part.label,
+            amount: part.amount,
+            paidAmount,
+            dueDate: part.dueDate,
+            status
+        };
+    });
+    const openInstallments = installments.filter(part => part.status !== 'paid');
 
+    return {
+        courseSlug: course.slug,
+        courseTitle: course.title,
+        total,
+        paid,
+        pending,
+        outstanding: Math.max(0, total - paid),
+        overdueAmount: openInstallments
+            .filter(part => part.status === 'overdue')
+            .reduce((sum, part) => sum + part.amount - part.paidAmount, 0),
+        nextDue: openInstallments[0] || null,
+        installments
+    };
+}
+
+// Only courses that went through checkout are tracked; older free enrollments have no ledger.
+function getStudentDues(email) {
+    const slugs = [...new Set(payments.filter(item => item.userEmail === email).map(item => item.courseSlug))];
+    return slugs
+        .map(slug => getCourseByIdentifier(slug))
+        .filter(Boolean)
+        .map(course => buildFeeSchedule(email, course))
+        .filter(Boolean);
+}
+
+function enrollUserInCourse(user, course, batchId = null) {
     const normalizedUser = normalizeUserEnrollment(user);
-    const alreadyEnrolled = normalizedUser.enrolledCourses.some(entry => entry.slug === course.slug);
+    const existing = normalizedUser.enrolledCourses.find(entry => entry.slug === course.slug);
+    const alreadyEnrolled = Boolean(existing);
     if (!alreadyEnrolled) {
-        normalizedUser.enrolledCourses.push({ title: course.title, slug: course.slug });
+        const entry = { title: course.title, slug: course.slug };
+        if (batchId) entry.batchId = Number(batchId);
+        normalizedUser.enrolledCourses.push(entry);
         addXp(normalizedUser, gamificationConfig.rewards.enrollXp);
+    } else if (batchId && !existing.batchId) {
+        existing.batchId = Number(batchId);
     }
 
     touchDailyStreak(normalizedUser);
@@ -3423,112 +5872,3481 @@ app.post('/api/users/enroll', requireUserAuth, (req, res) => {
     normalizedUser.course = course.title;
     Object.assign(user, normalizedUser);
     saveData(usersFile, users);
+    return alreadyEnrolled;
+}
 
-    return res.json({
-        success: true,
-        message: alreadyEnrolled ? 'Course already enrolled' : 'Enrollment successful',
-        enrolledCourse: { title: course.title, slug: course.slug },
-        user: toClientUser(user)
+// Offline batches. Weekly slots are wall-clock times at the institute, which
+// runs on IST unless CLASS_TIMEZONE_OFFSET_MINUTES says otherwise.
+const CLASS_TIMEZONE_OFFSET_MINUTES = Number(process.env.CLASS_TIMEZONE_OFFSET_MINUTES || 330);
+const WEEK_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEK_DAY_LABELS = { sun: 'Sunday', mon: 'Monday', tue: 'Tuesday', wed: 'Wednesday', thu: 'Thursday', fri: 'Friday', sat: 'Saturday' };
+const BATCH_STATUSES = ['open', 'closed'];
+
+function parseClockMinutes(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return Number(match[1]) < 24 && Number(match[2]) < 60 ? minutes : null;
+}
+
+function formatClock(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function normalizeBatchSchedule(rawSchedule) {
+    if (!Array.isArray(rawSchedule) || !rawSchedule.length || rawSchedule.length > 14) return null;
+    const slots = [];
+    for (const slot of rawSchedule) {
+        const day = String((slot && slot.day) || '').trim().toLowerCase().slice(0, 3);
+        const start = parseClockMinutes(slot && slot.start);
+        const end = parseClockMinutes(slot && slot.end);
+        if (!WEEK_DAYS.includes(day) || start === null || end === null || end <= start) return null;
+        slots.push({ day, start: formatClock(start), end: formatClock(end) });
+    }
+    return slots.sort((a, b) => WEEK_DAYS.indexOf(a.day) - WEEK_DAYS.indexOf(b.day) || a.start.localeCompare(b.start));
+}
+
+function normalizeBatchInput(body = {}, existing = {}) {
+    const pick = (key) => (body[key] === undefined ? existing[key] : body[key]);
+    return {
+        name: String(pick('name') || '').trim().slice(0, 60),
+        startDate: String(pick('startDate') || '').trim(),
+        endDate: String(pick('endDate') || '').trim(),
+        schedule: normalizeBatchSchedule(pick('schedule')),
+        room: String(pick('room') || '').trim().slice(0, 40),
+        faculty: normalizeStaffUsername(pick('faculty')),
+        capacity: Math.floor(Number(pick('capacity'))),
+        status: BATCH_STATUSES.includes(pick('status')) ? pick('status') : 'open'
+    };
+}
+
+function validateBatchInput(input) {
+    if (!input.name) return 'Batch name is required.';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(input.startDate) || Number.isNaN(Date.parse(input.startDate))) {
+        return 'Start date must be YYYY-MM-DD.';
+    }
+    if (input.endDate && (!/^\d{4}-\d{2}-\d{2}$/.test(input.endDate) || input.endDate < input.startDate)) {
+        return 'End date must be YYYY-MM-DD and not before the start date.';
+    }
+    if (!input.schedule) return 'Schedule needs 1-14 weekly slots with a day and HH:MM start/end times.';
+    if (!input.room) return 'Room is required.';
+    if (!input.faculty || !findStaffByUsername(input.faculty)) return 'Choose a faculty member from the staff list.';
+    if (!Number.isFinite(input.capacity) || input.capacity < 1 || input.capacity > 500) return 'Capacity must be between 1 and 500.';
+    return '';
+}
+
+// A seat is held by an enrolled student or by a non-rejected payment that
+// chose the batch and has not been turned into an enrollment yet.
+function getBatchStudentEmails(batch) {
+    const emails = new Set();
+    users.forEach(user => {
+        const entry = normalizeUserEnrollment(user).enrolledCourses.find(item => item.slug === batch.courseSlug);
+        if (entry && entry.batchId === batch.id) emails.add(String(user.email || '').trim().toLowerCase());
     });
-});
+    payments.forEach(item => {
+        if (item.batchId !== batch.id || item.status === 'rejected') return;
+        const user = users.find(u => String(u.email || '').trim().toLowerCase() === item.userEmail);
+        const entry = user && normalizeUserEnrollment(user).enrolledCourses.find(course => course.slug === batch.courseSlug);
+        if (!entry || !entry.batchId) emails.add(item.userEmail);
+    });
+    return emails;
+}
 
-app.post('/api/users/progress', requireUserAuth, (req, res) => {
-    const {
-        email,
-        courseSlug,
-        courseTitle,
-        completedCount,
-        totalTopics,
-        percent
-    } = req.body || {};
+function toClientBatch(batch) {
+    const faculty = findStaffByUsername(batch.faculty);
+    const seatsTaken = getBatchStudentEmails(batch).size;
+    return {
+        ...batch,
+        facultyName: faculty ? faculty.displayName || faculty.username : batch.faculty,
+        scheduleLabel: batch.schedule.map(slot => `${WEEK_DAY_LABELS[slot.day].slice(0, 3)} ${slot.start}-${slot.end}`).join(', '),
+        seatsTaken,
+        seatsLeft: Math.max(0, batch.capacity - seatsTaken),
+        nextClass: getNextBatchClass(batch)
+    };
+}
 
-    const normalizedEmail = String(email || '').trim().toLowerCase();
-    const normalizedSlug = String(courseSlug || '').trim();
-    const normalizedTitle = String(courseTitle || '').trim();
+function isBatchOpenForEnrollment(batch) {
+    return batch.status === 'open'
+        && (!batch.endDate || batch.endDate >= getTodayKey())
+        && getBatchStudentEmails(batch).size < batch.capacity;
+}
 
-    if (!normalizedEmail || !normalizedSlug) {
-        return res.status(400).json({
-            success: false,
-            message: 'Email and courseSlug are required'
-        });
+// Next class start/end as absolute timestamps, or null once the batch ends.
+function getNextBatchClass(batch, from = new Date()) {
+    const offsetMs = CLASS_TIMEZONE_OFFSET_MINUTES * 60 * 1000;
+    const localNow = new Date(from.getTime() + offsetMs);
+    const startDay = new Date(`${batch.startDate}T00:00:00Z`);
+    let day = localNow > startDay ? new Date(Date.UTC(localNow.getUTCFullYear(), localNow.getUTCMonth(), localNow.getUTCDate())) : startDay;
+    for (let i = 0; i < 8; i += 1) {
+        const dayKey = day.toISOString().slice(0, 10);
+        if (batch.endDate && dayKey > batch.endDate) return null;
+        const slots = batch.schedule.filter(slot => slot.day === WEEK_DAYS[day.getUTCDay()]);
+        for (const slot of slots) {
+            const startsAt = new Date(day.getTime() + parseClockMinutes(slot.start) * 60000 - offsetMs);
+            if (startsAt > from) {
+                return {
+                    startsAt: startsAt.toISOString(),
+                    endsAt: new Date(day.getTime() + parseClockMinutes(slot.end) * 60000 - offsetMs).toISOString(),
+                    day: slot.day,
+                    start: slot.start,
+                    end: slot.end
+                };
+            }
+        }
+        day = new Date(day.getTime() + DAY_MS);
     }
+    return null;
+}
 
-    if (normalizedEmail !== req.authUserEmail) {
-        return res.status(403).json({
-            success: false,
-            message: 'Email does not match logged-in user'
-        });
+function describeBatch(batch) {
+    const course = getCourseByIdentifier(batch.courseSlug);
+    return `${course ? course.title : batch.courseSlug} - ${batch.name}`;
+}
+
+function batchDatesOverlap(a, b) {
+    return (!a.endDate || a.endDate >= b.startDate) && (!b.endDate || b.endDate >= a.startDate);
+}
+
+// Two open batches clash when they share a room or a faculty member, run in
+// overlapping date ranges, and have overlapping weekly slots.
+function findBatchClashes(list = batches) {
+    const today = getTodayKey();
+    const active = list.filter(batch => batch.status === 'open' && (!batch.endDate || batch.endDate >= today));
+    const clashes = [];
+    for (let i = 0; i < active.length; i += 1) {
+        for (let j = i + 1; j < active.length; j += 1) {
+            const a = active[i];
+            const b = active[j];
+            if (!batchDatesOverlap(a, b)) continue;
+            const sameRoom = a.room.toLowerCase() === b.room.toLowerCase();
+            const sameFaculty = a.faculty === b.faculty;
+            if (!sameRoom && !sameFaculty) continue;
+            a.schedule.forEach(slotA => {
+                b.schedule.forEach(slotB => {
+                    if (slotA.day !== slotB.day || slotA.start >= slotB.end || slotB.start >= slotA.end) return;
+                    [sameRoom && 'room', sameFaculty && 'faculty'].filter(Boolean).forEach(type => {
+                        clashes.push({
+                            type,
+                            resource: type === 'room' ? a.room : a.faculty,
+                            day: slotA.day,
+                            batchIds: [a.id, b.id],
+                            message: `${type === 'room' ? `Room ${a.room}` : `Faculty ${a.faculty}`} is double-booked on ${WEEK_DAY_LABELS[slotA.day]}: ${describeBatch(a)} (${slotA.start}-${slotA.end}) and ${describeBatch(b)} (${slotB.start}-${slotB.end}).`
+                        });
+                    });
+                });
+            });
+        }
     }
+    return clashes;
+}
 
-    const user = users.find(u => String(u.email || '').trim().toLowerCase() === normalizedEmail);
-    if (!user) {
-        return res.status(404).json({
-            success: false,
-            message: 'User not found'
-        });
+function saveBatches() {
+    saveData(batchesFile, batches);
+}
+
+// Attendance. Each class meeting of a batch is a session; students are marked
+// from the roster by faculty or check themselves in with a rotating QR token.
+const ATTENDANCE_THRESHOLD_PERCENT = Number(process.env.ATTENDANCE_THRESHOLD_PERCENT || 75);
+const ATTENDANCE_QR_SECONDS = Math.max(10, Number(process.env.ATTENDANCE_QR_SECONDS || 30));
+const ATTENDANCE_LATE_MINUTES = 10;
+const ATTENDANCE_CHECKIN_EARLY_MINUTES = 15;
+const ATTENDANCE_STATUSES = ['present', 'late', 'absent'];
+
+function getInstituteDateKey(date = new Date()) {
+    return new Date(date.getTime() + CLASS_TIMEZONE_OFFSET_MINUTES * 60000).toISOString().slice(0, 10);
+}
+
+function getSessionTimes(session) {
+    const dayStart = Date.parse(`${session.date}T00:00:00Z`) - CLASS_TIMEZONE_OFFSET_MINUTES * 60000;
+    return {
+        startsAt: dayStart + parseClockMinutes(session.start) * 60000,
+        endsAt: dayStart + parseClockMinutes(session.end) * 60000
+    };
+}
+
+function isSessionOpenForCheckIn(session, now = Date.now()) {
+    const { startsAt, endsAt } = getSessionTimes(session);
+    return now >= startsAt - ATTENDANCE_CHECKIN_EARLY_MINUTES * 60000 && now <= endsAt;
+}
+
+function signAttendanceWindow(session, windowIndex) {
+    return crypto.createHmac('sha256', session.qrSecret)
+        .update(`${session.id}.${windowIndex}`)
+        .digest('hex')
+        .slice(0, 16);
+}
+
+function createAttendanceToken(session, now = Date.now()) {
+    const windowIndex = Math.floor(now / (ATTENDANCE_QR_SECONDS * 1000));
+    return {
+        token: `${session.id}.${windowIndex}.${signAttendanceWindow(session, windowIndex)}`,
+        expiresAt: new Date((windowIndex + 1) * ATTENDANCE_QR_SECONDS * 1000).toISOString()
+    };
+}
+
+// A token stays valid for its own window and the one after, so a scan made
+// just before the screen rotates still goes through.
+function resolveAttendanceToken(token, now = Date.now()) {
+    const [sessionId, windowRaw, signature] = String(token || '').trim().split('.');
+    const session = attendanceSessions.find(item => item.id === Number(sessionId));
+    const windowIndex = Number(windowRaw);
+    if (!session || !Number.isInteger(windowIndex) || !signature) return null;
+    const currentWindow = Math.floor(now / (ATTENDANCE_QR_SECONDS * 1000));
+    if (windowIndex !== currentWindow && windowIndex !== currentWindow - 1) return null;
+    const expected = signAttendanceWindow(session, windowIndex);
+    if (expected.length !== signature.length
+        || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+        return null;
     }
+    return session;
+}
 
-    const normalizedUser = normalizeUserEnrollment(user);
-    const gamification = ensureGamification(normalizedUser);
-    const prevProgress = gamification.progressByCourse[normalizedSlug] || {
-        completedCount: 0,
-        totalTopics: 0,
-        percent: 0
+function getBatchRosterEmails(batch) {
+    return users
+        .filter(user => {
+            const entry = normalizeUserEnrollment(user).enrolledCourses.find(item => item.slug === batch.courseSlug);
+            return entry && entry.batchId === batch.id;
+        })
+        .map(user => String(user.email || '').trim().toLowerCase());
+}
+
+function toClientAttendanceSession(session) {
+    const { qrSecret, ...safeSession } = session;
+    const statuses = Object.values(session.records || {}).map(record => record.status);
+    return {
+        ...safeSession,
+        presentCount: statuses.filter(status => status === 'present' || status === 'late').length,
+        absentCount: statuses.filter(status => status === 'absent').length
     };
+}
 
-    const nextCompletedCount = Math.max(0, Number(completedCount) || 0);
-    const nextTotalTopics = Math.max(nextCompletedCount, Number(totalTopics) || 0);
-    const computedPercent = nextTotalTopics
-        ? Math.round((nextCompletedCount / nextTotalTopics) * 100)
-        : 0;
-    const nextPercent = Math.min(100, Math.max(0, Number.isFinite(Number(percent)) ? Number(percent) : computedPercent));
+// Sessions count from the day the student first paid for the course, so late
+// joiners are not marked down for classes held before they joined.
+function getStudentAttendance(email, courseSlug, batchId) {
+    const firstPayment = payments
+        .filter(item => item.userEmail === email && item.courseSlug === courseSlug && item.status !== 'rejected')
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
+    const joinedOn = firstPayment ? getInstituteDateKey(new Date(firstPayment.createdAt)) : '';
+    const today = getInstituteDateKey();
+    const sessions = attendanceSessions.filter(session => (
+        session.batchId === batchId
+        && session.date <= today
+        && ((session.records || {})[email] || session.date >= joinedOn)
+    ));
+    const attended = sessions.filter(session => {
+        const record = (session.records || {})[email];
+        return record && (record.status === 'present' || record.status === 'late');
+    }).length;
+    const percent = sessions.length ? Math.round((attended / sessions.length) * 100) : null;
+    return {
+        sessions: sessions.length,
+        attended,
+        percent,
+        low: percent !== null && percent < ATTENDANCE_THRESHOLD_PERCENT
+    };
+}
 
-    const completionDelta = Math.max(0, nextCompletedCount - (prevProgress.completedCount || 0));
-    const gainedFromTopics = addXp(normalizedUser, completionDelta * gamificationConfig.rewards.topicXp);
-    const prevPercent = Math.max(0, Number(prevProgress.percent) || 0);
-    const completionBonus = nextPercent >= 100 && prevPercent < 100 ? addXp(normalizedUser, gamificationConfig.rewards.completionXp) : 0;
-    const streakXp = completionDelta > 0 ? touchDailyStreak(normalizedUser) : 0;
-    const weeklyXp = completionDelta > 0 ? applyWeeklyChallenge(normalizedUser, completionDelta) : 0;
+function getStudentAttendanceSummary(user) {
+    const email = String(user.email || '').trim().toLowerCase();
+    const courses = normalizeUserEnrollment(user).enrolledCourses
+        .filter(entry => entry.batchId)
+        .map(entry => ({ courseSlug: entry.slug, ...getStudentAttendance(email, entry.slug, entry.batchId) }));
+    const sessions = courses.reduce((sum, item) => sum + item.sessions, 0);
+    const attended = courses.reduce((sum, item) => sum + item.attended, 0);
+    const percent = sessions ? Math.round((attended / sessions) * 100) : null;
+    return {
+        percent,
+        low: courses.some(item => item.low),
+        courses
+    };
+}
 
-    gamification.progressByCourse[normalizedSlug] = {
-        courseSlug: normalizedSlug,
-        courseTitle: normalizedTitle,
-        completedCount: nextCompletedCount,
-        totalTopics: nextTotalTopics,
-        percent: nextPercent,
-        updatedAt: new Date().toISOString()
+function saveAttendanceSessions() {
+    saveData(attendanceFile, attendanceSessions);
+}
+
+// Completion certificates. Each certificate gets a random public ID that
+// anyone can check at /verify/:certificateId; revoked ones stay verifiable
+// as revoked rather than disappearing.
+const DEFAULT_CERTIFICATE_POLICY = {
+    autoIssue: true,
+    minAttendancePercent: ATTENDANCE_THRESHOLD_PERCENT
+};
+
+function normalizeCertificatePolicy(config = {}) {
+    const source = config && typeof config === 'object' ? config : {};
+    const minAttendance = Number(source.minAttendancePercent);
+    return {
+        autoIssue: source.autoIssue === undefined ? DEFAULT_CERTIFICATE_POLICY.autoIssue : Boolean(source.autoIssue),
+        minAttendancePercent: Number.isFinite(minAttendance) && minAttendance >= 0
+            ? Math.min(100, Math.round(minAttendance))
+            : DEFAULT_CERTIFICATE_POLICY.minAttendancePercent
     };
+}
 
-    applyBadges(normalizedUser);
-    Object.assign(user, normalizedUser);
-    saveData(usersFile, users);
+let certificatePolicy = normalizeCertificatePolicy(loadData(certificatePolicyFile, DEFAULT_CERTIFICATE_POLICY));
 
-    return res.json({
-        success: true,
-        xpGained: gainedFromTopics + completionBonus + streakXp + weeklyXp,
-        summary: getGamificationSummary(user),
-        user: toClientUser(user)
-    });
-});
+function generateCertificateId() {
+    let certificateId = '';
+    do {
+        certificateId = `${INSTITUTE_PROFILE.receiptPrefix}-${new Date().getFullYear()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    } while (certificates.some(item => item.certificateId === certificateId));
+    return certificateId;
+}
 
-app.get('/api/gamification/summary', (req, res) => {
-    const normalizedEmail = String(req.query.email || '').trim().toLowerCase();
-    if (!normalizedEmail) {
-        return res.status(400).json({
-            success: false,
-            message: 'Email is required'
-        });
+// Scores that feed the grade. Attendance counts only for students in a batch.
+function getCertificateScores(email, entry) {
+    const scores = [];
+    if (entry && entry.batchId) {
+        const attendance = getStudentAttendance(email, entry.slug, entry.batchId);
+        if (attendance.percent !== null) scores.push({ label: 'Attendance', percent: attendance.percent });
     }
+    const assignmentPercent = entry ? getAssignmentScorePercent(email, entry.slug) : null;
+    if (assignmentPercent !== null) scores.push({ label: 'Assignments', percent: assignmentPercent });
+    const examPercent = entry ? getExamScorePercent(email, entry.slug) : null;
+    if (examPercent !== null) scores.push({ label: 'Exams', percent: examPercent });
+    return scores;
+}
 
-    const user = users.find(u => String(u.email || '').trim().toLowerCase() === normalizedEmail);
-    if (!user) {
-        return res.status(404).json({
-            success: false,
-            message: 'User not found'
-        });
+function computeCertificateGrade(scores = []) {
+    if (!scores.length) return 'Pass';
+    const average = scores.reduce((sum, item) => sum + item.percent, 0) / scores.length;
+    if (average >= 90) return 'A+';
+    if (average >= 80) return 'A';
+    if (average >= 70) return 'B';
+    if (average >= 60) return 'C';
+    return 'Pass';
+}
+
+function getCertificateEligibility(user, courseSlug) {
+    const email = String(user.email || '').trim().toLowerCase();
+    const normalizedUser = normalizeUserEnrollment(user);
+    const entry = normalizedUser.enrolledCourses.find(item => item.slug === courseSlug);
+    const reasons = [];
+    if (!entry) {
+        return { eligible: false, reasons: ['Not enrolled in this course.'], scores: [] };
     }
 
-    Object.assign(user, normalizeUserEnrollment(user));
+    const progress = ensureGamification(normalizedUser).progressByCourse[courseSlug] || {};
+    const percent = Math.max(0, Number(progress.percent) || 0);
+    if (percent < 100) reasons.push(`Complete all topics (currently ${percent}%).`);
+    if (certificates.some(item => item.userEmail === email && item.courseSlug === courseSlug && item.status === 'revoked')) {
+        reasons.push('Your certificate for this course was revoked. Please contact the institute.');
+    }
+
+    if (entry.batchId && certificatePolicy.minAttendancePercent > 0) {
+        const attendance = getStudentAttendance(email, courseSlug, entry.batchId);
+        if (attendance.percent !== null && attendance.percent < certificatePolicy.minAttendancePercent) {
+            reasons.push(`Attendance must be at least ${certificatePolicy.minAttendancePercent}% (currently ${attendance.percent}%).`);
+        }
+    }
+
+    return { eligible: !reasons.length, reasons, scores: getCertificateScores(email, entry) };
+}
+
+function findValidCertificate(email, courseSlug) {
+    return certificates.find(item => item.userEmail === email && item.courseSlug === courseSlug && item.status === 'valid') || null;
+}
+
+function issueCertificate(user, course, options = {}) {
+    const email = String(user.email || '').trim().toLowerCase();
+    const existing = findValidCertificate(email, course.slug);
+    if (existing) return existing;
+
+    const entry = normalizeUserEnrollment(user).enrolledCourses.find(item => item.slug === course.slug);
+    const scores = getCertificateScores(email, entry);
+    const certificate = {
+        id: certificates.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+        certificateId: generateCertificateId(),
+        userEmail: email,
+        studentName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || email,
+        courseSlug: course.slug,
+        courseTitle: course.title,
+        courseDuration: course.duration || '',
+        grade: String(options.grade || '').trim().slice(0, 10) || computeCertificateGrade(scores),
+        scores,
+        status: 'valid',
+        issuedBy: options.issuedBy || 'auto',
+        issuedAt: new Date().toISOString(),
+        revokedAt: null,
+        revokedBy: '',
+        revokeReason: ''
+    };
+    certificates.push(certificate);
+    saveData(certificatesFile, certificates);
+    return certificate;
+}
+
+function toPublicCertificate(certificate) {
+    return {
+        certificateId: certificate.certificateId,
+        studentName: certificate.studentName,
+        courseTitle: certificate.courseTitle,
+        grade: certificate.grade,
+        issuedAt: certificate.issuedAt,
+        status: certificate.status,
+        revokedAt: certificate.revokedAt,
+        revokeReason: certificate.status === 'revoked' ? certificate.revokeReason : ''
+    };
+}
+
+function getPublicBaseUrl(req) {
+    return String(process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+function buildCertificatePdf(certificate, baseUrl) {
+    const issued = new Date(certificate.issuedAt).toLocaleDateString('en-IN', { day: '2-digit', month: 'long', year: 'numeric' });
+    const lines = [
+        { text: INSTITUTE_PROFILE.name, bold: true, size: 20 },
+        INSTITUTE_PROFILE.address || ' ',
+        ' ',
+        ' ',
+        { text: 'CERTIFICATE OF COMPLETION', bold: true, size: 18 },
+        ' ',
+        ' ',
+        'This is to certify that',
+        ' ',
+        { text: certificate.studentName, bold: true, size: 18 },
+        ' ',
+        'has successfully completed the course',
+        ' ',
+        { text: certificate.courseTitle, bold: true, size: 15 },
+        certificate.courseDuration ? `Duration: ${certificate.courseDuration}` : ' ',
+        ' ',
+        { text: `Grade: ${certificate.grade}`, bold: true },
+        ...certificate.scores.map(item => `${item.label}: ${item.percent}%`),
+        ' ',
+        `Date of issue: ${issued}`,
+        `Certificate ID: ${certificate.certificateId}`,
+        ' ',
+        `Verify this certificate at ${baseUrl}/verify/${certificate.certificateId}`
+    ];
+    if (certificate.status === 'revoked') {
+        lines.unshift({ text: 'REVOKED - THIS CERTIFICATE IS NO LONGER VALID', bold: true, size: 14 });
+    }
+    return createSimplePdf(lines, { emptyText: 'Certificate' });
+}
+
+function sendCertificatePdf(req, res, certificate) {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.certificateId}.pdf"`);
+    return res.send(buildCertificatePdf(certificate, getPublicBaseUrl(req)));
+}
+
+// Assignments. Faculty set a rubric per assignment; a submission is one record
+// per student holding uploaded files and/or a repository link until it is graded.
+const ASSIGNMENT_MAX_FILE_MB = Math.max(1, Number(process.env.ASSIGNMENT_MAX_FILE_MB || 5));
+const ASSIGNMENT_MAX_FILES = 3;
+const ASSIGNMENT_FILE_EXTENSIONS = [
+    'pdf', 'doc', 'docx', 'txt', 'md', 'zip', 'rar', '7z',
+    'py', 'ipynb', 'java', 'c', 'cpp', 'h', 'js', 'ts', 'html', 'css', 'sql',
+    'xls', 'xlsx', 'csv', 'ppt', 'pptx', 'png', 'jpg', 'jpeg'
+];
+
+// Case-insensitive match against the course's current module names.
+function findCourseModuleName(course, moduleName) {
+    const wanted = String(moduleName || '').trim().toLowerCase();
+    const match = enrichCourse(course).topicModules.find(module => module.name.toLowerCase() === wanted);
+    return match ? match.name : null;
+}
+
+function normalizeAssignmentRubric(rubric) {
+    const source = Array.isArray(rubric) ? rubric : [];
+    const items = source.map(item => ({
+        criterion: String((item && item.criterion) || '').trim().slice(0, 80),
+        points: Math.round(Number(item && item.points))
+    }));
+    if (!items.length || items.length > 10) return { error: 'Rubric needs 1 to 10 criteria.' };
+    if (items.some(item => !item.criterion)) return { error: 'Every rubric criterion needs a name.' };
+    if (items.some(item => !Number.isFinite(item.points) || item.points < 1 || item.points > 100)) {
+        return { error: 'Rubric points must be between 1 and 100.' };
+    }
+    if (new Set(items.map(item => item.criterion.toLowerCase())).size !== items.length) {
+        return { error: 'Rubric criteria must be unique.' };
+    }
+    return { rubric: items };
+}
+
+function normalizeAssignmentInput(body = {}, existing = {}) {
+    const pick = key => (body[key] === undefined ? existing[key] : body[key]);
+    const dueAt = new Date(pick('dueAt') || '');
+    const xpReward = Math.round(Number(pick('xpReward') === undefined ? 50 : pick('xpReward')));
+    return {
+        title: String(pick('title') || '').trim().slice(0, 120),
+        instructions: String(pick('instructions') || '').trim().slice(0, 4000),
+        moduleName: String(pick('moduleName') || '').trim(),
+        dueAt: Number.isNaN(dueAt.getTime()) ? '' : dueAt.toISOString(),
+        rubric: pick('rubric'),
+        xpReward: Number.isFinite(xpReward) ? xpReward : -1
+    };
+}
+
+// Returns an error message, or null. Replaces input.rubric with the normalized list.
+function validateAssignmentInput(input, course) {
+    if (input.title.length < 3) return 'Title must be at least 3 characters.';
+    if (!input.dueAt) return 'A valid due date is required.';
+    if (input.xpReward < 0 || input.xpReward > 1000) return 'XP reward must be between 0 and 1000.';
+    if (input.moduleName) {
+        const match = findCourseModuleName(course, input.moduleName);
+        if (!match) return `Module must be one of: ${enrichCourse(course).topicModules.map(module => module.name).join(', ')}.`;
+        input.moduleName = match;
+    }
+    const rubric = normalizeAssignmentRubric(input.rubric);
+    if (rubric.error) return rubric.error;
+    input.rubric = rubric.rubric;
+    return null;
+}
+
+function getAssignmentMaxPoints(assignment) {
+    return assignment.rubric.reduce((sum, item) => sum + item.points, 0);
+}
+
+function getCourseStudentEmails(courseSlug) {
+    return users
+        .filter(user => normalizeUserEnrollment(user).enrolledCourses.some(entry => entry.slug === courseSlug))
+        .map(user => String(user.email || '').trim().toLowerCase());
+}
+
+function findSubmission(assignmentId, email) {
+    return submissions.find(item => item.assignmentId === assignmentId && item.userEmail === email) || null;
+}
+
+function toClientSubmission(submission) {
+    if (!submission) return null;
+    return {
+        id: submission.id,
+        repoUrl: submission.repoUrl,
+        note: submission.note,
+        files: submission.files,
+        submittedAt: submission.submittedAt,
+        late: submission.late,
+        status: submission.status,
+        rubricScores: submission.rubricScores,
+        score: submission.score,
+        feedback: submission.feedback,
+        gradedBy: submission.gradedBy,
+        gradedAt: submission.gradedAt,
+        xpAwarded: submission.xpAwarded
+    };
+}
+
+function toClientAssignment(assignment) {
+    const course = getCourseByIdentifier(assignment.courseSlug);
+    return {
+        ...assignment,
+        courseTitle: course ? course.title : assignment.courseSlug,
+        maxPoints: getAssignmentMaxPoints(assignment),
+        overdue: Date.now() > new Date(assignment.dueAt).getTime()
+    };
+}
+
+// Percentage of rubric points earned across graded assignments, or null if none.
+function getAssignmentScorePercent(email, courseSlug) {
+    let earned = 0;
+    let possible = 0;
+    assignments
+        .filter(assignment => assignment.courseSlug === courseSlug)
+        .forEach(assignment => {
+            const submission = findSubmission(assignment.id, email);
+            if (!submission || submission.status !== 'graded') return;
+            earned += submission.score;
+            possible += getAssignmentMaxPoints(assignment);
+        });
+    return possible ? Math.round((earned / possible) * 100) : null;
+}
+
+function getAssignmentFilePath(file) {
+    return path.join(assignmentUploadsDir, file.id);
+}
+
+function sendAssignmentFile(res, file) {
+    const filePath = getAssignmentFilePath(file);
+    if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ success: false, message: 'File not found.' });
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${file.name.replace(/"/g, '')}"`);
+    return res.sendFile(filePath);
+}
+
+function saveAssignments() {
+    saveData(assignmentsFile, assignments);
+}
+
+function saveSubmissions() {
+    saveData(submissionsFile, submissions);
+}
+
+// Exams. Questions live in a per-course bank; an exam draws a random paper from
+// the bank when a student starts an attempt. The attempt keeps a snapshot of
+// each question (answer included), so later bank edits never change a result.
+const EXAM_QUESTION_TYPES = ['mcq', 'multi', 'numeric', 'output'];
+const EXAM_KINDS = ['exam', 'mock'];
+const EXAM_NEGATIVE_MARKING = [0, 0.25, 0.33, 0.5, 1];
+// Allowance for network delay when the browser auto-submits at zero.
+const EXAM_SUBMIT_GRACE_MS = 30 * 1000;
+
+function normalizeOutputAnswer(value) {
+    return String(value ?? '')
+        .replace(/\r\n/g, '\n')
+        .split('\n')
+        .map(line => line.replace(/\s+$/, ''))
+        .join('\n')
+        .trim();
+}
+
+function normalizeQuestionInput(body = {}, course, existing = {}) {
+    const pick = key => (body[key] === undefined ? existing[key] : body[key]);
+    const type = String(pick('type') || '').trim().toLowerCase();
+    if (!EXAM_QUESTION_TYPES.includes(type)) return { error: `Type must be one of: ${EXAM_QUESTION_TYPES.join(', ')}.` };
+
+    const question = {
+        type,
+        prompt: String(pick('prompt') || '').trim().slice(0, 2000),
+        code: String(pick('code') || '').replace(/\s+$/, '').slice(0, 3000),
+        moduleName: String(pick('moduleName') || '').trim(),
+        options: [],
+        answer: null,
+        tolerance: 0,
+        marks: Number(pick('marks') === undefined ? 1 : pick('marks')),
+        explanation: String(pick('explanation') || '').trim().slice(0, 1000)
+    };
+    if (question.prompt.length < 5) return { error: 'Question text must be at least 5 characters.' };
+    if (!Number.isFinite(question.marks) || question.marks < 0.5 || question.marks > 20) {
+        return { error: 'Marks must be between 0.5 and 20.' };
+    }
+    question.marks = Math.round(question.marks * 2) / 2;
+    if (question.moduleName) {
+        const match = findCourseModuleName(course, question.moduleName);
+        if (!match) return { error: `Module must be one of: ${enrichCourse(course).topicModules.map(module => module.name).join(', ')}.` };
+        question.moduleName = match;
+    }
+
+    const answer = pick('answer');
+    if (type === 'mcq' || type === 'multi') {
+        const options = (Array.isArray(pick('options')) ? pick('options') : [])
+            .map(option => String(option || '').trim().slice(0, 300));
+        if (options.length < 2 || options.length > 8 || options.some(option => !option)) {
+            return { error: 'Choice questions need 2 to 8 non-empty options.' };
+        }
+        if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+            return { error: 'Options must be unique.' };
+        }
+        question.options = options;
+        const indexes = (Array.isArray(answer) ? answer : [answer]).map(Number);
+        if (!indexes.length || indexes.some(index => !Number.isInteger(index) || index < 0 || index >= options.length)) {
+            return { error: 'Mark the correct option(s).' };
+        }
+        if (type === 'mcq' && indexes.length !== 1) return { error: 'A single-choice question has exactly one correct option.' };
+        question.answer = type === 'mcq' ? indexes[0] : [...new Set(indexes)].sort((a, b) => a - b);
+    } else if (type === 'numeric') {
+        const value = Number(answer);
+        const tolerance = Number(pick('tolerance') || 0);
+        if (answer === '' || answer === null || answer === undefined || !Number.isFinite(value)) return { error: 'Numeric questions need a numeric answer.' };
+        if (!Number.isFinite(tolerance) || tolerance < 0) return { error: 'Tolerance cannot be negative.' };
+        question.answer = value;
+        question.tolerance = tolerance;
+    } else {
+        question.answer = normalizeOutputAnswer(answer).slice(0, 500);
+        if (!question.answer) return { error: 'Output questions need the expected output.' };
+    }
+    return { question };
+}
+
+function normalizeExamInput(body = {}, existing = {}) {
+    const pick = key => (body[key] === undefined ? existing[key] : body[key]);
+    const toIso = value => {
+        if (!value) return '';
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? 'invalid' : date.toISOString();
+    };
+    return {
+        title: String(pick('title') || '').trim().slice(0, 120),
+        kind: String(pick('kind') || 'exam').trim().toLowerCase(),
+        instructions: String(pick('instructions') || '').trim().slice(0, 2000),
+        moduleName: String(pick('moduleName') || '').trim(),
+        durationMinutes: Math.round(Number(pick('durationMinutes'))),
+        questionCount: Math.round(Number(pick('questionCount'))),
+        negativeMarking: Number(pick('negativeMarking') || 0),
+        passPercent: Math.round(Number(pick('passPercent') === undefined ? 40 : pick('passPercent'))),
+        maxAttempts: Math.round(Number(pick('maxAttempts') || 1)),
+        opensAt: toIso(pick('opensAt')),
+        closesAt: toIso(pick('closesAt')),
+        shuffleOptions: pick('shuffleOptions') === undefined ? true : Boolean(pick('shuffleOptions')),
+        showAnswers: pick('showAnswers') === undefined ? true : Boolean(pick('showAnswers')),
+        status: String(pick('status') || 'draft').trim().toLowerCase()
+    };
+}
+
+function validateExamInput(input, course) {
+    if (input.title.length < 3) return 'Title must be at least 3 characters.';
+    if (!EXAM_KINDS.includes(input.kind)) return 'Kind must be exam or mock.';
+    if (!Number.isInteger(input.durationMinutes) || input.durationMinutes < 1 || input.durationMinutes > 300) {
+        return 'Duration must be 1 to 300 minutes.';
+    }
+    if (!Number.isInteger(input.questionCount) || input.questionCount < 1 || input.questionCount > 200) {
+        return 'Question count must be 1 to 200.';
+    }
+    if (!EXAM_NEGATIVE_MARKING.includes(input.negativeMarking)) {
+        return `Negative marking must be one of: ${EXAM_NEGATIVE_MARKING.join(', ')}.`;
+    }
+    if (!Number.isInteger(input.passPercent) || input.passPercent < 0 || input.passPercent > 100) return 'Pass mark must be 0 to 100%.';
+    if (!Number.isInteger(input.maxAttempts) || input.maxAttempts < 1 || input.maxAttempts > 10) return 'Attempts must be 1 to 10.';
+    if (input.opensAt === 'invalid' || input.closesAt === 'invalid') return 'Opening and closing times must be valid dates.';
+    if (input.opensAt && input.closesAt && input.closesAt <= input.opensAt) return 'The exam must close after it opens.';
+    if (!['draft', 'published'].includes(input.status)) return 'Status must be draft or published.';
+    if (input.moduleName) {
+        const match = findCourseModuleName(course, input.moduleName);
+        if (!match) return `Module must be one of: ${enrichCourse(course).topicModules.map(module => module.name).join(', ')}.`;
+        input.moduleName = match;
+    }
+    if (input.status === 'published') {
+        const poolSize = getExamQuestionPool({ courseSlug: course.slug, moduleName: input.moduleName }).length;
+        if (poolSize < input.questionCount) {
+            return `The question bank has ${poolSize} matching question(s); the paper needs ${input.questionCount}.`;
+        }
+    }
+    return null;
+}
+
+function getExamQuestionPool(exam) {
+    return questionBank.filter(question => question.courseSlug === exam.courseSlug
+        && (!exam.moduleName || question.moduleName === exam.moduleName));
+}
+
+function shuffleList(list) {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i -= 1) {
+        const j = crypto.randomInt(i + 1);
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+function buildExamPaper(exam) {
+    return shuffleList(getExamQuestionPool(exam)).slice(0, exam.questionCount).map(question => ({
+        questionId: question.id,
+        type: question.type,
+        prompt: question.prompt,
+        code: question.code,
+        options: question.options,
+        optionOrder: exam.shuffleOptions ? shuffleList(question.options.map((option, index) => index)) : question.options.map((option, index) => index),
+        answer: question.answer,
+        tolerance: question.tolerance,
+        marks: question.marks,
+        explanation: question.explanation
+    }));
+}
+
+function getExamWindowError(exam, now = Date.now()) {
+    if (exam.status !== 'published') return 'This exam is not available.';
+    if (exam.opensAt && now < new Date(exam.opensAt).getTime()) return `This exam opens on ${new Date(exam.opensAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}.`;
+    if (exam.closesAt && now > new Date(exam.closesAt).getTime()) return 'This exam has closed.';
+    return null;
+}
+
+// Coerces a saved answer to the question's type; returns undefined if unanswered.
+function normalizeExamAnswer(item, value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    if (item.type === 'mcq') {
+        const index = Number(value);
+        return Number.isInteger(index) && index >= 0 && index < item.options.length ? index : undefined;
+    }
+    if (item.type === 'multi') {
+        const indexes = (Array.isArray(value) ? value : [value]).map(Number)
+            .filter(index => Number.isInteger(index) && index >= 0 && index < item.options.length);
+        return indexes.length ? [...new Set(indexes)].sort((a, b) => a - b) : undefined;
+    }
+    if (item.type === 'numeric') {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : undefined;
+    }
+    const text = normalizeOutputAnswer(value).slice(0, 500);
+    return text || undefined;
+}
+
+function mergeExamAnswers(attempt, answers) {
+    if (!answers || typeof answers !== 'object') return;
+    attempt.paper.forEach(item => {
+        const key = String(item.questionId);
+        if (!Object.prototype.hasOwnProperty.call(answers, key)) return;
+        const value = normalizeExamAnswer(item, answers[key]);
+        if (value === undefined) delete attempt.answers[key];
+        else attempt.answers[key] = value;
+    });
+}
+
+function isExamAnswerCorrect(item, value) {
+    if (item.type === 'mcq') return value === item.answer;
+    if (item.type === 'multi') return JSON.stringify(value) === JSON.stringify(item.answer);
+    if (item.type === 'numeric') return Math.abs(value - item.answer) <= item.tolerance + 1e-9;
+    return value === item.answer;
+}
+
+function finalizeExamAttempt(attempt, exam, autoSubmitted) {
+    const penalty = exam ? exam.negativeMarking : 0;
+    let score = 0;
+    let maxScore = 0;
+    attempt.results = attempt.paper.map(item => {
+        const value = attempt.answers[String(item.questionId)];
+        maxScore += item.marks;
+        if (value === undefined) return { questionId: item.questionId, correct: null, marks: 0 };
+        const correct = isExamAnswerCorrect(item, value);
+        const marks = correct ? item.marks : -Math.round(item.marks * penalty * 100) / 100;
+        score += marks;
+        return { questionId: item.questionId, correct, marks };
+    });
+    const now = Date.now();
+    attempt.score = Math.max(0, Math.round(score * 100) / 100);
+    attempt.maxScore = maxScore;
+    attempt.percent = maxScore ? Math.round((attempt.score / maxScore) * 100) : 0;
+    attempt.passed = attempt.percent >= (exam ? exam.passPercent : 0);
+    attempt.status = 'submitted';
+    attempt.autoSubmitted = Boolean(autoSubmitted);
+    attempt.submittedAt = new Date(Math.min(now, new Date(attempt.deadline).getTime())).toISOString();
+}
+
+// Closes attempts whose time ran out without a submission (tab closed, lost
+// connection). Returns true if anything changed.
+function expireExamAttempts() {
+    const now = Date.now();
+    let changed = false;
+    examAttempts.forEach(attempt => {
+        if (attempt.status !== 'in_progress') return;
+        if (now <= new Date(attempt.deadline).getTime() + EXAM_SUBMIT_GRACE_MS) return;
+        finalizeExamAttempt(attempt, exams.find(exam => exam.id === attempt.examId), true);
+        changed = true;
+    });
+    if (changed) saveExamAttempts();
+    return changed;
+}
+
+function toClientPaper(attempt) {
+    return attempt.paper.map(item => ({
+        questionId: item.questionId,
+        type: item.type,
+        prompt: item.prompt,
+        code: item.code,
+        marks: item.marks,
+        options: item.optionOrder.map(index => ({ index, text: item.options[index] }))
+    }));
+}
+
+function toClientExamAttempt(attempt, exam) {
+    const base = {
+        id: attempt.id,
+        examId: attempt.examId,
+        attemptNumber: attempt.attemptNumber,
+        status: attempt.status,
+        startedAt: attempt.startedAt,
+        deadline: attempt.deadline
+    };
+    if (attempt.status === 'in_progress') {
+        return { ...base, questions: toClientPaper(attempt), answers: attempt.answers };
+    }
+    const result = {
+        ...base,
+        submittedAt: attempt.submittedAt,
+        autoSubmitted: attempt.autoSubmitted,
+        score: attempt.score,
+        maxScore: attempt.maxScore,
+        percent: attempt.percent,
+        passed: attempt.passed
+    };
+    if (exam && exam.showAnswers) {
+        result.review = attempt.paper.map((item, index) => ({
+            ...toClientPaper({ paper: [item] })[0],
+            answer: item.answer,
+            tolerance: item.tolerance,
+            explanation: item.explanation,
+            yourAnswer: attempt.answers[String(item.questionId)] ?? null,
+            correct: attempt.results[index].correct,
+            marksAwarded: attempt.results[index].marks
+        }));
+    }
+    return result;
+}
+
+// Average of the best result on each graded exam (mock tests excluded), or null.
+function getExamScorePercent(email, courseSlug) {
+    const best = exams
+        .filter(exam => exam.courseSlug === courseSlug && exam.kind === 'exam')
+        .map(exam => examAttempts
+            .filter(attempt => attempt.examId === exam.id && attempt.userEmail === email && attempt.status === 'submitted')
+            .reduce((max, attempt) => Math.max(max, attempt.percent), -1))
+        .filter(percent => percent >= 0);
+    return best.length ? Math.round(best.reduce((sum, percent) => sum + percent, 0) / best.length) : null;
+}
+
+function saveQuestionBank() {
+    saveData(questionBankFile, questionBank);
+}
+
+function saveExams() {
+    saveData(examsFile, exams);
+}
+
+function saveExamAttempts() {
+    saveData(examAttemptsFile, examAttempts);
+}
+
+// Fee receipts. Course fees are GST-inclusive, so tax is backed out of the paid
+// amount and split equally into CGST and SGST (intra-state supply).
+const WORDS_ONES = [
+    '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+    'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const WORDS_TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function twoDigitWords(value) {
+    if (value < 20) return WORDS_ONES[value];
+    return `${WORDS_TENS[Math.floor(value / 10)]} ${WORDS_ONES[value % 10]}`.trim();
+}
+
+// Indian numbering: crore, lakh, thousand, hundred.
+function integerToIndianWords(value) {
+    let remaining = Math.floor(Math.abs(value));
+    if (remaining === 0) return 'Zero';
+    const parts = [];
+    const units = [['Crore', 10000000], ['Lakh', 100000], ['Thousand', 1000], ['Hundred', 100]];
+    units.forEach(([label, size]) => {
+        const count = Math.floor(remaining / size);
+        if (!count) return;
+        parts.push(`${count >= 100 ? integerToIndianWords(count) : twoDigitWords(count)} ${label}`);
+        remaining %= size;
+    });
+    if (remaining) parts.push(twoDigitWords(remaining));
+    return parts.join(' ');
+}
+
+function amountToIndianWords(amount) {
+    const rupees = Math.floor(Number(amount) || 0);
+    const paise = Math.round(((Number(amount) || 0) - rupees) * 100);
+    const rupeeText = `Rupees ${integerToIndianWords(rupees)}`;
+    return paise ? `${rupeeText} and ${twoDigitWords(paise)} Paise Only` : `${rupeeText} Only`;
+}
+
+function roundMoney(value) {
+    return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+function formatPdfMoney(value) {
+    return `Rs. ${roundMoney(value).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+// Indian financial year runs April to March, e.g. "2026-27".
+function getFinancialYear(date = new Date()) {
+    const year = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+}
+
+function computeGstBreakup(amount, rate) {
+    const total = roundMoney(amount);
+    const taxableValue = roundMoney(total / (1 + rate / 100));
+    const totalTax = roundMoney(total - taxableValue);
+    const cgst = roundMoney(totalTax / 2);
+    return { total, taxableValue, cgst, sgst: roundMoney(totalTax - cgst), rate };
+}
+
+function buildReceiptSnapshot(payment) {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === payment.userEmail) || {};
+    return {
+        institute: { ...INSTITUTE_PROFILE },
+        billedTo: {
+            name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || payment.userName,
+            email: payment.userEmail,
+            phone: user.phone || ''
+        },
+        fee: {
+            baseAmount: Number(payment.baseAmount) || Number(payment.amount) || 0,
+            discountAmount: Number(payment.discountAmount) || 0,
+            discountLabel: payment.discount ? `${payment.discount.label} (${payment.discount.code})` : '',
+            feeCreditApplied: Number(payment.feeCreditApplied) || 0
+        },
+        gst: computeGstBreakup(payment.amount, INSTITUTE_PROFILE.gstRate)
+    };
+}
+
+// Issues the next number in the payment's financial year. Numbers are never reused;
+// regenerating a receipt refreshes its snapshot but keeps its number.
+function issueReceiptForPayment(payment) {
+    const existing = receipts.find(item => item.paymentId === payment.id);
+    if (existing) return existing;
+
+    const issuedAt = new Date();
+    const financialYear = getFinancialYear(issuedAt);
+    const sequence = receipts
+        .filter(item => item.financialYear === financialYear)
+        .reduce((max, item) => Math.max(max, item.sequence), 0) + 1;
+    const receipt = {
+        id: receipts.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+        number: `${INSTITUTE_PROFILE.receiptPrefix}/${financialYear}/${String(sequence).padStart(4, '0')}`,
+        financialYear,
+        sequence,
+        paymentId: payment.id,
+        userEmail: payment.userEmail,
+        courseSlug: payment.courseSlug,
+        courseTitle: payment.courseTitle,
+        installmentLabel: payment.installmentLabel || '',
+        method: payment.method,
+        reference: payment.reference,
+        issuedAt: issuedAt.toISOString(),
+        regeneratedAt: null,
+        regeneratedBy: '',
+        ...buildReceiptSnapshot(payment)
+    };
+    receipts.push(receipt);
+    saveData(receiptsFile, receipts);
+    return receipt;
+}
+
+function toClientReceipt(receipt = {}) {
+    return {
+        id: receipt.id,
+        number: receipt.number,
+        financialYear: receipt.financialYear,
+        paymentId: receipt.paymentId,
+        userEmail: receipt.userEmail,
+        studentName: receipt.billedTo ? receipt.billedTo.name : '',
+        courseTitle: receipt.courseTitle,
+        installmentLabel: receipt.installmentLabel,
+        amount: receipt.gst ? receipt.gst.total : 0,
+        issuedAt: receipt.issuedAt,
+        regeneratedAt: receipt.regeneratedAt
+    };
+}
+
+function buildReceiptPdf(receipt) {
+    const { institute, billedTo, gst, fee } = receipt;
+    const method = PAYMENT_METHODS[receipt.method];
+    const halfRate = gst.rate / 2;
+    const lines = [
+        { text: institute.name, bold: true, size: 16 },
+        institute.address || ' ',
+        [institute.phone && `Phone: ${institute.phone}`, institute.email && `Email: ${institute.email}`].filter(Boolean).join('   ') || ' ',
+        `GSTIN: ${institute.gstin || 'Not registered'}${institute.state ? `   State: ${institute.state}` : ''}`,
+        ' ',
+        { text: 'TAX INVOICE CUM FEE RECEIPT', bold: true, size: 13 },
+        `Receipt / Invoice No: ${receipt.number}`,
+        `Date: ${new Date(receipt.issuedAt).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })}`,
+        ' ',
+        { text: 'Billed To', bold: true },
+        billedTo.name,
+        billedTo.email,
+        billedTo.phone || ' ',
+        ' ',
+        { text: 'Description', bold: true },
+        `${receipt.courseTitle} - course fee${receipt.installmentLabel ? ` (${receipt.installmentLabel})` : ''}`,
+        `SAC: ${institute.sacCode}`,
+        ' ',
+        ...(fee && (fee.discountAmount || fee.feeCreditApplied) ? [
+            `Fee: ${formatPdfMoney(fee.baseAmount)}`,
+            ...(fee.discountAmount ? [`Less ${fee.discountLabel}: ${formatPdfMoney(fee.discountAmount)}`] : []),
+            ...(fee.feeCreditApplied ? [`Less referral fee credit: ${formatPdfMoney(fee.feeCreditApplied)}`] : [])
+        ] : []),
+        `Taxable value: ${formatPdfMoney(gst.taxableValue)}`,
+        `CGST @ ${halfRate}%: ${formatPdfMoney(gst.cgst)}`,
+        `SGST @ ${halfRate}%: ${formatPdfMoney(gst.sgst)}`,
+        { text: `Total received: ${formatPdfMoney(gst.total)}`, bold: true },
+        `Amount in words: ${amountToIndianWords(gst.total)}`,
+        ' ',
+        `Payment mode: ${method ? method.label : receipt.method}${receipt.reference ? `   Reference: ${receipt.reference}` : ''}`,
+        ' ',
+        'This is a computer-generated receipt and does not require a signature.'
+    ];
+    if (receipt.regeneratedAt) {
+        lines.push(`Regenerated on ${new Date(receipt.regeneratedAt).toLocaleDateString('en-IN')}.`);
+    }
+    return createSimplePdf(lines, { emptyText: 'Receipt' });
+}
+
+function sendReceiptPdf(res, receipt) {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="receipt-${receipt.number.replace(/[^A-Za-z0-9-]+/g, '-')}.pdf"`);
+    return res.send(buildReceiptPdf(receipt));
+}
+
+// Discounts: coupons and scholarships live in coupons.json; referral codes belong
+// to students. Percentages apply to the full course fee and the discount is
+// taken from the payment it is submitted with.
+const COUPON_KINDS = ['coupon', 'scholarship'];
+
+function normalizeCouponCode(value) {
+    return String(value || '').trim().toUpperCase().replace(/\s+/g, '');
+}
+
+function parseOptionalDate(value) {
+    if (!value) return '';
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+}
+
+function normalizeCouponInput(body = {}, existing = {}) {
+    const pick = (key, fallback) => (body[key] === undefined ? (existing[key] === undefined ? fallback : existing[key]) : body[key]);
+    const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(item => String(item || '').trim().toLowerCase())
+        .filter(Boolean);
+    return {
+        code: normalizeCouponCode(pick('code', '')),
+        label: String(pick('label', '') || '').trim().slice(0, 80),
+        kind: COUPON_KINDS.includes(pick('kind', 'coupon')) ? pick('kind', 'coupon') : 'coupon',
+        type: pick('type', 'percent') === 'flat' ? 'flat' : 'percent',
+        value: Math.round(Number(pick('value', 0)) || 0),
+        scope: pick('scope', 'global') === 'course' ? 'course' : 'global',
+        courseSlugs: toList(pick('courseSlugs', [])),
+        allowedEmails: toList(pick('allowedEmails', [])),
+        maxUses: Math.max(0, Math.round(Number(pick('maxUses', 0)) || 0)),
+        perUserLimit: Math.max(1, Math.round(Number(pick('perUserLimit', 1)) || 1)),
+        validFrom: parseOptionalDate(pick('validFrom', '')),
+        validUntil: parseOptionalDate(pick('validUntil', '')),
+        active: Boolean(pick('active', true))
+    };
+}
+
+function validateCouponInput(coupon) {
+    if (!/^[A-Z0-9_-]{3,30}$/.test(coupon.code)) return 'Code must be 3-30 letters, numbers, dash or underscore.';
+    if (coupon.value <= 0) return 'Discount value must be positive.';
+    if (coupon.type === 'percent' && coupon.value > 100) return 'Percentage discount cannot exceed 100.';
+    if (coupon.scope === 'course') {
+        if (!coupon.courseSlugs.length) return 'Choose at least one course for a course-specific code.';
+        const unknown = coupon.courseSlugs.find(slug => !getCourseByIdentifier(slug));
+        if (unknown) return `Unknown course: ${unknown}`;
+    }
+    if (coupon.validFrom && coupon.validUntil && coupon.validUntil < coupon.validFrom) {
+        return 'Validity end must be after the start.';
+    }
+    return '';
+}
+
+// Uses are counted from payments so rejected payments give the code back.
+// Later installments that carry a code forward are not new uses.
+function countCodeUses(code, email = '') {
+    return payments.filter(item => (
+        item.status !== 'rejected'
+        && item.discountCode === code
+        && !(item.discount && item.discount.carried)
+        && (!email || item.userEmail === email)
+    )).length;
+}
+
+function toClientCoupon(coupon = {}) {
+    return { ...coupon, usedCount: countCodeUses(coupon.code) };
+}
+
+function getReferralCode(user) {
+    if (!user.referralCode) {
+        const digest = crypto.createHash('sha256').update(`${user.id}:${user.email}`).digest('hex');
+        user.referralCode = `REF${user.id}${digest.slice(0, 4).toUpperCase()}`;
+        saveData(usersFile, users);
+    }
+    return user.referralCode;
+}
+
+function getAvailableFeeCredit(email) {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === email);
+    const earned = (user && Array.isArray(user.referralRewards) ? user.referralRewards : [])
+        .filter(item => item.type === 'credit')
+        .reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+    const used = payments
+        .filter(item => item.userEmail === email && item.status !== 'rejected')
+        .reduce((sum, item) => sum + (Number(item.feeCreditApplied) || 0), 0);
+    return Math.max(0, earned - used);
+}
+
+function resolveDiscountCode(code, email, course) {
+    const coupon = coupons.find(item => item.code === code);
+    if (coupon) {
+        const now = new Date().toISOString();
+        if (!coupon.active) return { error: 'This code is no longer active.' };
+        if (coupon.validFrom && now < coupon.validFrom) return { error: 'This code is not valid yet.' };
+        if (coupon.validUntil && now > coupon.validUntil) return { error: 'This code has expired.' };
+        if (coupon.scope === 'course' && !coupon.courseSlugs.includes(course.slug)) {
+            return { error: 'This code does not apply to this course.' };
+        }
+        if (coupon.allowedEmails.length && !coupon.allowedEmails.includes(email)) {
+            return { error: 'This code is not assigned to your account.' };
+        }
+        if (coupon.maxUses && countCodeUses(coupon.code) >= coupon.maxUses) {
+            return { error: 'This code has reached its usage limit.' };
+        }
+        if (countCodeUses(coupon.code, email) >= coupon.perUserLimit) {
+            return { error: 'You have already used this code.' };
+        }
+        const amount = coupon.type === 'percent'
+            ? Math.round((course.price * coupon.value) / 100)
+            : coupon.value;
+        return {
+            discount: {
+                kind: coupon.kind,
+                code: coupon.code,
+                label: coupon.label || (coupon.kind === 'scholarship' ? 'Scholarship' : 'Coupon'),
+                amount,
+                percent: coupon.type === 'percent' ? coupon.value : 0
+            }
+        };
+    }
+
+    const referrer = users.find(u => u.referralCode && u.referralCode === code);
+    if (!referrer) return { error: 'Invalid code.' };
+    if (!referralProgram.active) return { error: 'The referral program is paused right now.' };
+    if (String(referrer.email || '').trim().toLowerCase() === email) {
+        return { error: 'You cannot use your own referral code.' };
+    }
+    const alreadyReferred = payments.some(item => (
+        item.userEmail === email && item.status !== 'rejected' && item.referrerEmail
+    ));
+    if (alreadyReferred) return { error: 'A referral code has already been applied to your account.' };
+    return {
+        referrerEmail: String(referrer.email || '').trim().toLowerCase(),
+        discount: {
+            kind: 'referral',
+            code,
+            label: `Referred by ${referrer.firstName || 'a friend'}`,
+            amount: Math.round((course.price * referralProgram.refereeDiscountPercent) / 100),
+            percent: referralProgram.refereeDiscountPercent
+        }
+    };
+}
+
+// What is left of the code a student used on an earlier installment of the
+// same course, or null once it is spent.
+function getCarriedDiscount(email, course) {
+    const discounted = payments.filter(item => (
+        item.userEmail === email
+        && item.courseSlug === course.slug
+        && item.status !== 'rejected'
+        && item.discount
+    ));
+    const origin = [...discounted].reverse().find(item => !item.discount.carried && item.discount.total);
+    if (!origin) return null;
+    const used = discounted
+        .filter(item => item.discountCode === origin.discountCode)
+        .reduce((sum, item) => sum + (Number(item.discountAmount) || 0), 0);
+    const remaining = origin.discount.total - used;
+    return remaining > 0 ? { discount: { ...origin.discount, carried: true }, remaining } : null;
+}
+
+// A code is worth its value against the whole course fee. On an installment
+// plan each part takes its share (its percentage for percent codes, as much as
+// it can hold for flat ones) and the rest carries to the next installments.
+function quoteCoursePayment({ email, course, installment, code, useFeeCredit }) {
+    const baseAmount = installment ? installment.amount : course.price;
+    const normalizedCode = normalizeCouponCode(code);
+    const carried = installment ? getCarriedDiscount(email, course) : null;
+    let discount = null;
+    let available = 0;
+    let referrerEmail = '';
+    if (carried && (!normalizedCode || normalizedCode === carried.discount.code)) {
+        discount = carried.discount;
+        available = carried.remaining;
+    } else if (carried) {
+        return { error: `${carried.discount.code} already applies to the rest of this course fee.` };
+    } else if (normalizedCode) {
+        const resolved = resolveDiscountCode(normalizedCode, email, course);
+        if (resolved.error) return { error: resolved.error };
+        discount = { ...resolved.discount, total: resolved.discount.amount };
+        available = resolved.discount.amount;
+        referrerEmail = resolved.referrerEmail || '';
+    }
+
+    const share = installment && discount && discount.percent
+        ? Math.round((baseAmount * discount.percent) / 100)
+        : baseAmount;
+    const discountAmount = discount ? Math.min(share, available) : 0;
+    const afterDiscount = baseAmount - discountAmount;
+    const feeCreditApplied = useFeeCredit ? Math.min(afterDiscount, getAvailableFeeCredit(email)) : 0;
+    return {
+        baseAmount,
+        discount: discount ? { ...discount, amount: discountAmount } : null,
+        discountAmount,
+        feeCreditApplied,
+        amount: afterDiscount - feeCreditApplied,
+        referrerEmail
+    };
+}
+
+// Rewards the referrer once per referred payment, when that payment is verified.
+function grantReferralReward(payment) {
+    if (!payment.referrerEmail || payment.referralRewardedAt) return;
+    const referrer = users.find(u => String(u.email || '').trim().toLowerCase() === payment.referrerEmail);
+    if (!referrer) return;
+    const reward = referralProgram.rewardType === 'credit'
+        ? { type: 'credit', amount: referralProgram.rewardCredit }
+        : { type: 'xp', amount: referralProgram.rewardXp };
+    referrer.referralRewards = Array.isArray(referrer.referralRewards) ? referrer.referralRewards : [];
+    referrer.referralRewards.push({
+        ...reward,
+        paymentId: payment.id,
+        refereeName: payment.userName,
+        courseTitle: payment.courseTitle,
+        at: new Date().toISOString()
+    });
+    if (reward.type === 'xp') {
+        addXp(referrer, reward.amount);
+        applyBadges(referrer);
+    }
+    payment.referralRewardedAt = new Date().toISOString();
+    saveData(usersFile, users);
+    saveData(paymentsFile, payments);
+}
+
+// Submit a payment for verification (student)
+app.post('/api/payments', requireUserAuth, (req, res) => {
+    const { courseIdentifier, courseTitle } = req.body || {};
+    const method = String((req.body && req.body.method) || '').trim().toLowerCase();
+    const reference = normalizePaymentReference(req.body && req.body.reference);
+    if (reference && !PAYMENT_REFERENCE_PATTERN.test(reference)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Transaction reference must be 4-80 letters, digits or . _ / - characters.'
+        });
+    }
+
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    if (!user) {
+        return res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+    }
+
+    const identifier = String(courseIdentifier || '').trim();
+    let course = identifier ? getCourseByIdentifier(identifier) : null;
+    if (!course && courseTitle) {
+        course = getCourseByIdentifier(slugifyCourse(String(courseTitle)));
+    }
+    if (!course) {
+        return res.status(404).json({
+            success: false,
+            message: 'Course not found'
+        });
+    }
+
+    if (!PAYMENT_METHODS[method]) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid payment method'
+        });
+    }
+
+    // Once a student has paid towards a course, their saved plan decides the
+    // installments and amounts; a single saved part means the full fee.
+    const savedPlan = getSavedFeePlan(req.authUserEmail, course);
+    const plan = savedPlan ? (savedPlan.length > 1 ? savedPlan : null) : course.installmentPlan;
+    const installmentIndex = Number(req.body && req.body.installment) || 0;
+    const installment = plan && installmentIndex ? plan.find(part => part.index === installmentIndex) : null;
+    if (installmentIndex && !installment) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid installment for this course.'
+        });
+    }
+
+    const coursePayments = payments.filter(item => (
+        item.userEmail === req.authUserEmail
+        && item.courseSlug === course.slug
+        && item.status !== 'rejected'
+    ));
+    const existing = coursePayments.find(item => (
+        !item.installment || !installment || item.installment === installment.index
+    ));
+    if (existing) {
+        return res.status(409).json({
+            success: false,
+            message: existing.status === 'verified'
+                ? 'Payment for this course is already verified.'
+                : 'A payment for this course is already awaiting verification.',
+            payment: toClientPayment(existing)
+        });
+    }
+    if (course.status === 'archived' && !coursePayments.length) {
+        return res.status(400).json({
+            success: false,
+            message: 'This course is no longer open for enrollment.'
+        });
+    }
+    if (installment && installment.index > 1 && !coursePayments.length) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please pay the first installment before later ones.'
+        });
+    }
+
+    // The batch is chosen with the first payment for a course.
+    let batch = null;
+    if (!coursePayments.length) {
+        const batchId = Number(req.body && req.body.batchId) || 0;
+        const openBatches = batches.filter(item => item.courseSlug === course.slug && isBatchOpenForEnrollment(item));
+        batch = batchId ? batches.find(item => item.id === batchId && item.courseSlug === course.slug) : null;
+        if (batchId && !batch) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid batch for this course.'
+            });
+        }
+        if (batch && !isBatchOpenForEnrollment(batch)) {
+            return res.status(409).json({
+                success: false,
+                message: 'This batch is full or closed. Please choose another batch.'
+            });
+        }
+        if (!batch && openBatches.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose a batch.'
+            });
+        }
+    }
+
+    const quote = quoteCoursePayment({
+        email: req.authUserEmail,
+        course,
+        installment,
+        code: req.body && req.body.code,
+        useFeeCredit: Boolean(req.body && req.body.useFeeCredit)
+    });
+    if (quote.error) {
+        return res.status(400).json({
+            success: false,
+            message: quote.error
+        });
+    }
+    if (PAYMENT_METHODS[method].needsReference && quote.amount > 0 && !reference) {
+        return res.status(400).json({
+            success: false,
+            message: 'Transaction reference is required for this payment method.'
+        });
+    }
+
+    if (reference) {
+        const duplicate = payments.find(item => (
+            item.status !== 'rejected'
+            && item.reference.toLowerCase() === reference.toLowerCase()
+        ));
+        if (duplicate) {
+            return res.status(409).json({
+                success: false,
+                message: 'This transaction reference has already been submitted.'
+            });
+        }
+    }
+
+    const now = new Date().toISOString();
+    const payment = {
+        id: payments.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+        userEmail: req.authUserEmail,
+        userName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || req.authUserEmail,
+        courseSlug: course.slug,
+        courseTitle: course.title,
+        amount: quote.amount,
+        baseAmount: quote.baseAmount,
+        discount: quote.discount,
+        discountAmount: quote.discountAmount,
+        discountCode: quote.discount ? quote.discount.code : '',
+        feeCreditApplied: quote.feeCreditApplied,
+        referrerEmail: quote.referrerEmail,
+        installment: installment ? installment.index : null,
+        installmentLabel: installment ? installment.label : '',
+        feePlan: savedPlan ? null : snapshotFeePlan(course, now),
+        batchId: batch ? batch.id : null,
+        batchName: batch ? batch.name : '',
+        currency: 'INR',
+        method,
+        reference,
+        status: 'pending',
+        enrollmentOverride: false,
+        reviewNote: '',
+        reviewedBy: '',
+        reviewedAt: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    payments.push(payment);
+    saveData(paymentsFile, payments);
+
+    res.json({
+        success: true,
+        message: method === 'cash'
+            ? 'Seat reserved. Complete the payment at the institute counter to activate enrollment.'
+            : 'Payment submitted. Enrollment activates once the institute verifies it.',
+        payment: toClientPayment(payment)
+    });
+});
+
+// Price a checkout before submitting it (student)
+app.post('/api/payments/quote', requireUserAuth, (req, res) => {
+    const { courseIdentifier, installment: installmentIndex, code, useFeeCredit } = req.body || {};
+    const course = getCourseByIdentifier(String(courseIdentifier || '').trim());
+    if (!course) {
+        return res.status(404).json({
+            success: false,
+            message: 'Course not found'
+        });
+    }
+    const savedPlan = getSavedFeePlan(req.authUserEmail, course);
+    const plan = savedPlan ? (savedPlan.length > 1 ? savedPlan : null) : course.installmentPlan;
+    const installment = plan && Number(installmentIndex)
+        ? plan.find(part => part.index === Number(installmentIndex))
+        : null;
+    const quote = quoteCoursePayment({
+        email: req.authUserEmail,
+        course,
+        installment,
+        code,
+        useFeeCredit: Boolean(useFeeCredit)
+    });
+    if (quote.error) {
+        return res.status(400).json({
+            success: false,
+            message: quote.error
+        });
+    }
+    const { referrerEmail, ...clientQuote } = quote;
+    res.json({
+        success: true,
+        quote: clientQuote,
+        availableFeeCredit: getAvailableFeeCredit(req.authUserEmail)
+    });
+});
+
+// Referral code, rewards and fee credit for the logged-in student
+app.get('/api/users/referral', requireUserAuth, (req, res) => {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    if (!user) {
+        return res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+    }
+    res.json({
+        success: true,
+        referralCode: getReferralCode(user),
+        rewards: Array.isArray(user.referralRewards) ? user.referralRewards : [],
+        availableFeeCredit: getAvailableFeeCredit(req.authUserEmail),
+        program: referralProgram
+    });
+});
+
+// Payment history for the logged-in student
+app.get('/api/payments/mine', requireUserAuth, (req, res) => {
+    const mine = payments
+        .filter(item => item.userEmail === req.authUserEmail)
+        .map(item => toClientPayment(item))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    res.json({ success: true, payments: mine });
+});
+
+// Outstanding fee balance for the logged-in student
+app.get('/api/users/dues', requireUserAuth, (req, res) => {
+    const dues = getStudentDues(req.authUserEmail);
+    res.json({
+        success: true,
+        outstanding: dues.reduce((sum, item) => sum + item.outstanding, 0),
+        overdueAmount: dues.reduce((sum, item) => sum + item.overdueAmount, 0),
+        courses: dues
+    });
+});
+
+// Batches for a course (public), so students can pick one at checkout
+app.get('/api/courses/:identifier/batches', (req, res) => {
+    const course = getCourseByIdentifier(String(req.params.identifier || '').trim());
+    if (!course) {
+        return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+    const list = batches
+        .filter(batch => batch.courseSlug === course.slug && batch.status === 'open' && (!batch.endDate || batch.endDate >= getTodayKey()))
+        .map(toClientBatch)
+        .map(batch => ({
+            id: batch.id,
+            name: batch.name,
+            startDate: batch.startDate,
+            endDate: batch.endDate,
+            schedule: batch.schedule,
+            scheduleLabel: batch.scheduleLabel,
+            room: batch.room,
+            facultyName: batch.facultyName,
+            seatsLeft: batch.seatsLeft
+        }))
+        .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.name.localeCompare(b.name));
+    res.json({ success: true, batches: list });
+});
+
+// Student timetable: batch per enrolled course and the next class overall
+app.get('/api/users/classes', requireUserAuth, (req, res) => {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    const courses = normalizeUserEnrollment(user).enrolledCourses.map(entry => {
+        const batch = entry.batchId ? batches.find(item => item.id === entry.batchId) : null;
+        return {
+            courseSlug: entry.slug,
+            courseTitle: entry.title,
+            batch: batch ? toClientBatch(batch) : null,
+            attendance: batch ? getStudentAttendance(req.authUserEmail, entry.slug, batch.id) : null,
+            availableBatches: batch ? [] : batches
+                .filter(item => item.courseSlug === entry.slug && isBatchOpenForEnrollment(item))
+                .map(item => ({ id: item.id, name: item.name, scheduleLabel: toClientBatch(item).scheduleLabel }))
+        };
+    });
+    const nextClass = courses
+        .filter(item => item.batch && item.batch.nextClass)
+        .map(item => ({
+            ...item.batch.nextClass,
+            courseTitle: item.courseTitle,
+            batchName: item.batch.name,
+            room: item.batch.room,
+            facultyName: item.batch.facultyName
+        }))
+        .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt))[0] || null;
+    res.json({ success: true, nextClass, courses, attendanceThreshold: ATTENDANCE_THRESHOLD_PERCENT });
+});
+
+// QR check-in (student). The token comes from the classroom screen.
+app.post('/api/attendance/check-in', requireUserAuth, (req, res) => {
+    const session = resolveAttendanceToken(req.body && req.body.token);
+    if (!session) {
+        return res.status(400).json({ success: false, message: 'This QR code has expired. Scan the code on the screen again.' });
+    }
+    if (!isSessionOpenForCheckIn(session)) {
+        return res.status(400).json({ success: false, message: 'Check-in is closed for this class.' });
+    }
+    const batch = batches.find(item => item.id === session.batchId);
+    if (!batch || !getBatchRosterEmails(batch).includes(req.authUserEmail)) {
+        return res.status(403).json({ success: false, message: 'You are not on the roster for this batch.' });
+    }
+
+    const course = getCourseByIdentifier(batch.courseSlug);
+    const existing = (session.records || {})[req.authUserEmail];
+    if (existing && existing.status !== 'absent') {
+        return res.json({
+            success: true,
+            message: `Already checked in to ${course ? course.title : batch.name}.`,
+            status: existing.status
+        });
+    }
+
+    const now = new Date();
+    const late = now.getTime() > getSessionTimes(session).startsAt + ATTENDANCE_LATE_MINUTES * 60000;
+    session.records = session.records || {};
+    session.records[req.authUserEmail] = {
+        status: late ? 'late' : 'present',
+        method: 'qr',
+        markedBy: req.authUserEmail,
+        markedAt: now.toISOString()
+    };
+    session.updatedAt = now.toISOString();
+    saveAttendanceSessions();
+    res.json({
+        success: true,
+        message: `Checked in to ${course ? course.title : batch.name} (${batch.name})${late ? ' - marked late' : ''}.`,
+        status: session.records[req.authUserEmail].status
+    });
+});
+
+// Choose or switch the batch for an enrolled course
+app.put('/api/users/batch', requireUserAuth, (req, res) => {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    const courseSlug = String((req.body && req.body.courseSlug) || '').trim();
+    const normalizedUser = normalizeUserEnrollment(user);
+    const entry = normalizedUser.enrolledCourses.find(item => item.slug === courseSlug);
+    if (!entry) {
+        return res.status(403).json({ success: false, message: 'You are not enrolled in this course.' });
+    }
+    const batch = batches.find(item => item.id === Number(req.body && req.body.batchId) && item.courseSlug === courseSlug);
+    if (!batch) {
+        return res.status(400).json({ success: false, message: 'Invalid batch for this course.' });
+    }
+    if (entry.batchId !== batch.id && !isBatchOpenForEnrollment(batch)) {
+        return res.status(409).json({ success: false, message: 'This batch is full or closed.' });
+    }
+    entry.batchId = batch.id;
+    Object.assign(user, normalizedUser);
+    saveData(usersFile, users);
+    res.json({ success: true, message: `You are in the ${batch.name} batch.`, batch: toClientBatch(batch), user: toClientUser(user) });
+});
+
+// Certificates (student)
+app.get('/api/users/skill-analyzer/progress', requireUserAuth, (req, res) => {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    const history = Array.isArray(user.skillAnalyzerHistory) ? user.skillAnalyzerHistory : [];
+    const trackMap = new Map();
+    history.forEach(item => {
+        const current = trackMap.get(item.trackId) || { trackId: item.trackId, trackTitle: item.trackTitle, attempts: 0, lastAttemptAt: '' };
+        current.attempts += 1;
+        if (item.createdAt > current.lastAttemptAt) current.lastAttemptAt = item.createdAt;
+        trackMap.set(item.trackId, current);
+    });
+    const tracks = [...trackMap.values()].sort((a, b) => b.lastAttemptAt.localeCompare(a.lastAttemptAt));
+    const requested = String(req.query.track || '').trim().toLowerCase();
+    const trackId = requested || (tracks[0] ? tracks[0].trackId : '');
+    res.json({
+        success: true,
+        tracks,
+        progress: trackId ? buildSkillAnalyzerProgress(user, trackId) : null
+    });
+});
+
+function sendCareerPlan(res, user, message) {
+    const normalizedUser = normalizeUserEnrollment(user);
+    return res.json({
+        success: true,
+        message,
+        plan: summarizeCareerPlan(user),
+        linkOptions: {
+            courses: normalizedUser.enrolledCourses.map(entry => ({ slug: entry.slug, title: entry.title })),
+            challenges: getPracticeChallengeSummary().map(item => ({ id: item.id, title: item.title, difficulty: item.difficulty }))
+        }
+    });
+}
+
+app.get('/api/users/career-plan', requireUserAuth, (req, res) => {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (syncCareerPlan(user)) saveData(usersFile, users);
+    return sendCareerPlan(res, user);
+});
+
+app.post('/api/users/career-plan', requireUserAuth, (req, res) => {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    const path = getCareerPathByGoal(req.body && req.body.pathId);
+    if (!path) {
+        return res.status(404).json({ success: false, message: 'Career goal not found.' });
+    }
+    user.careerPlan = buildCareerPlan(path, new Date().toISOString());
+    saveData(usersFile, users);
+    return sendCareerPlan(res, user, `${path.title} is now your career plan`);
+});
+
+app.put('/api/users/career-plan/milestones/:milestoneId', requireUserAuth, (req, res) => {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    const plan = user && user.careerPlan;
+    if (!plan) {
+        return res.status(404).json({ success: false, message: 'Adopt a career path first.' });
+    }
+    const milestone = plan.stages.flatMap(stage => stage.milestones).find(item => item.id === req.params.milestoneId);
+    if (!milestone) {
+        return res.status(404).json({ success: false, message: 'Milestone not found.' });
+    }
+    const body = req.body || {};
+
+    if (body.link !== undefined) {
+        const link = body.link;
+        if (!link) {
+            milestone.link = null;
+        } else if (link.type === 'course') {
+            const enrolled = normalizeUserEnrollment(user).enrolledCourses.some(entry => entry.slug === link.courseSlug);
+            if (!enrolled) {
+                return res.status(400).json({ success: false, message: 'Link the milestone to a course you are enrolled in.' });
+            }
+            milestone.link = { type: 'course', courseSlug: link.courseSlug };
+        } else if (link.type === 'practice') {
+            if (!getPracticeChallengeById(link.challengeId)) {
+                return res.status(400).json({ success: false, message: 'Practice challenge not found.' });
+            }
+            milestone.link = { type: 'practice', challengeId: link.challengeId };
+        } else {
+            return res.status(400).json({ success: false, message: 'Link type must be course or practice.' });
+        }
+    }
+
+    if (body.done !== undefined) {
+        const state = getCareerMilestoneLinkState(user, milestone);
+        if (!body.done && state && state.satisfied) {
+            return res.status(409).json({
+                success: false,
+                message: 'This milestone is completed through its link. Remove the link to untick it.'
+            });
+        }
+        milestone.doneAt = body.done ? (milestone.doneAt || new Date().toISOString()) : null;
+    }
+
+    syncCareerPlan(user);
+    saveData(usersFile, users);
+    return sendCareerPlan(res, user, 'Milestone updated');
+});
+
+function handleDropCareerPlan(req, res) {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    if (!user || !user.careerPlan) {
+        return res.status(404).json({ success: false, message: 'No career plan to remove.' });
+    }
+    delete user.careerPlan;
+    saveData(usersFile, users);
+    return sendCareerPlan(res, user, 'Career plan removed');
+}
+
+app.delete('/api/users/career-plan', requireUserAuth, handleDropCareerPlan);
+app.post('/api/users/career-plan/delete', requireUserAuth, handleDropCareerPlan);
+
+app.get('/api/users/certificates', requireUserAuth, (req, res) => {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    const list = certificates
+        .filter(item => item.userEmail === req.authUserEmail)
+        .sort((a, b) => new Date(b.issuedAt) - new Date(a.issuedAt))
+        .map(item => ({ id: item.id, courseSlug: item.courseSlug, ...toPublicCertificate(item) }));
+    const courses = normalizeUserEnrollment(user).enrolledCourses
+        .filter(entry => !findValidCertificate(req.authUserEmail, entry.slug))
+        .map(entry => ({ courseSlug: entry.slug, courseTitle: entry.title, ...getCertificateEligibility(user, entry.slug) }));
+    res.json({ success: true, certificates: list, pending: courses });
+});
+
+app.post('/api/users/certificates/claim', requireUserAuth, (req, res) => {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    const course = getCourseByIdentifier(String((req.body && req.body.courseSlug) || '').trim());
+    if (!user || !course) {
+        return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+    const eligibility = getCertificateEligibility(user, course.slug);
+    if (!eligibility.eligible) {
+        return res.status(400).json({ success: false, message: eligibility.reasons.join(' '), reasons: eligibility.reasons });
+    }
+    const certificate = issueCertificate(user, course);
+    res.json({ success: true, message: 'Certificate issued', certificate: { id: certificate.id, ...toPublicCertificate(certificate) } });
+});
+
+app.get('/api/users/certificates/:id/pdf', requireUserAuth, (req, res) => {
+    const certificate = certificates.find(item => item.id === Number(req.params.id) && item.userEmail === req.authUserEmail);
+    if (!certificate) {
+        return res.status(404).json({ success: false, message: 'Certificate not found' });
+    }
+    return sendCertificatePdf(req, res, certificate);
+});
+
+// Assignments (student)
+function findStudentAssignment(req, res) {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    const assignment = assignments.find(item => item.id === Number(req.params.id));
+    if (!user || !assignment || !normalizeUserEnrollment(user).enrolledCourses.some(entry => entry.slug === assignment.courseSlug)) {
+        res.status(404).json({ success: false, message: 'Assignment not found.' });
+        return null;
+    }
+    return { user, assignment };
+}
+
+// Creates the student's submission on first use, or returns null (after
+// responding) if it is already graded.
+function getOpenSubmission(res, user, assignment) {
+    const email = String(user.email || '').trim().toLowerCase();
+    let submission = findSubmission(assignment.id, email);
+    if (submission && submission.status === 'graded') {
+        res.status(409).json({ success: false, message: 'This assignment has already been graded.' });
+        return null;
+    }
+    if (!submission) {
+        submission = {
+            id: submissions.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+            assignmentId: assignment.id,
+            userEmail: email,
+            studentName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || email,
+            repoUrl: '',
+            note: '',
+            files: [],
+            submittedAt: null,
+            late: false,
+            status: 'draft',
+            rubricScores: [],
+            score: null,
+            feedback: '',
+            gradedBy: '',
+            gradedAt: null,
+            xpAwarded: 0
+        };
+        submissions.push(submission);
+    }
+    return submission;
+}
+
+function markSubmitted(submission, assignment) {
+    const hasWork = submission.files.length > 0 || Boolean(submission.repoUrl);
+    submission.status = hasWork ? 'submitted' : 'draft';
+    submission.submittedAt = hasWork ? new Date().toISOString() : null;
+    submission.late = hasWork && new Date(submission.submittedAt) > new Date(assignment.dueAt);
+}
+
+app.get('/api/users/assignments', requireUserAuth, (req, res) => {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    const slugs = normalizeUserEnrollment(user).enrolledCourses.map(entry => entry.slug);
+    const list = assignments
+        .filter(assignment => slugs.includes(assignment.courseSlug))
+        .sort((a, b) => a.dueAt.localeCompare(b.dueAt))
+        .map(assignment => ({
+            ...toClientAssignment(assignment),
+            submission: toClientSubmission(findSubmission(assignment.id, req.authUserEmail))
+        }));
+    res.json({
+        success: true,
+        assignments: list,
+        limits: { maxFiles: ASSIGNMENT_MAX_FILES, maxFileMb: ASSIGNMENT_MAX_FILE_MB, extensions: ASSIGNMENT_FILE_EXTENSIONS }
+    });
+});
+
+const parseAssignmentUpload = bodyParser.raw({ type: 'application/octet-stream', limit: `${ASSIGNMENT_MAX_FILE_MB}mb` });
+
+// Body is the raw file; the original name comes in the X-File-Name header.
+app.post('/api/users/assignments/:id/files', requireUserAuth, (req, res, next) => {
+    parseAssignmentUpload(req, res, error => {
+        if (error) {
+            return res.status(error.status === 413 ? 413 : 400).json({
+                success: false,
+                message: error.status === 413 ? `Files must be ${ASSIGNMENT_MAX_FILE_MB} MB or smaller.` : 'Could not read the uploaded file.'
+            });
+        }
+        return next();
+    });
+}, (req, res) => {
+    const found = findStudentAssignment(req, res);
+    if (!found) return;
+    const { user, assignment } = found;
+
+    let name = '';
+    try {
+        name = decodeURIComponent(String(req.get('X-File-Name') || ''));
+    } catch (error) {
+        name = '';
+    }
+    name = path.basename(name).replace(/[^\w.\- ]+/g, '_').slice(0, 120);
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    if (!name || !ASSIGNMENT_FILE_EXTENSIONS.includes(extension)) {
+        return res.status(400).json({ success: false, message: `Allowed file types: ${ASSIGNMENT_FILE_EXTENSIONS.join(', ')}.` });
+    }
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+        return res.status(400).json({ success: false, message: 'The uploaded file is empty.' });
+    }
+
+    const submission = getOpenSubmission(res, user, assignment);
+    if (!submission) return;
+    if (submission.files.length >= ASSIGNMENT_MAX_FILES) {
+        return res.status(400).json({ success: false, message: `You can attach up to ${ASSIGNMENT_MAX_FILES} files. Remove one first.` });
+    }
+
+    const file = {
+        id: crypto.randomBytes(12).toString('hex'),
+        name,
+        size: req.body.length,
+        uploadedAt: new Date().toISOString()
+    };
+    fs.mkdirSync(assignmentUploadsDir, { recursive: true });
+    fs.writeFileSync(getAssignmentFilePath(file), req.body);
+    submission.files.push(file);
+    markSubmitted(submission, assignment);
+    saveSubmissions();
+    res.json({ success: true, message: submission.late ? 'File uploaded (late submission).' : 'File uploaded', submission: toClientSubmission(submission) });
+});
+
+function handleDeleteSubmissionFile(req, res) {
+    const found = findStudentAssignment(req, res);
+    if (!found) return;
+    const submission = getOpenSubmission(res, found.user, found.assignment);
+    if (!submission) return;
+    const index = submission.files.findIndex(file => file.id === String(req.params.fileId));
+    if (index === -1) {
+        return res.status(404).json({ success: false, message: 'File not found.' });
+    }
+    const [removed] = submission.files.splice(index, 1);
+    fs.rmSync(getAssignmentFilePath(removed), { force: true });
+    markSubmitted(submission, found.assignment);
+    saveSubmissions();
+    return res.json({ success: true, message: 'File removed', submission: toClientSubmission(submission) });
+}
+
+app.delete('/api/users/assignments/:id/files/:fileId', requireUserAuth, handleDeleteSubmissionFile);
+app.post('/api/users/assignments/:id/files/:fileId/delete', requireUserAuth, handleDeleteSubmissionFile);
+
+app.get('/api/users/assignments/:id/files/:fileId', requireUserAuth, (req, res) => {
+    const found = findStudentAssignment(req, res);
+    if (!found) return;
+    const submission = findSubmission(found.assignment.id, req.authUserEmail);
+    const file = submission && submission.files.find(item => item.id === String(req.params.fileId));
+    if (!file) {
+        return res.status(404).json({ success: false, message: 'File not found.' });
+    }
+    return sendAssignmentFile(res, file);
+});
+
+// Repository links end up as links in the staff panel, so only a plain
+// http(s) URL with no quotes, angle brackets or spaces is accepted.
+function isValidRepoUrl(value) {
+    if (/["'<>\s]/.test(value)) return false;
+    try {
+        const url = new URL(value);
+        return (url.protocol === 'http:' || url.protocol === 'https:') && Boolean(url.hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+app.put('/api/users/assignments/:id/submission', requireUserAuth, (req, res) => {
+    const found = findStudentAssignment(req, res);
+    if (!found) return;
+    const repoUrl = String((req.body && req.body.repoUrl) || '').trim().slice(0, 300);
+    if (repoUrl && !isValidRepoUrl(repoUrl)) {
+        return res.status(400).json({ success: false, message: 'Repository link must be an http(s) URL.' });
+    }
+    const submission = getOpenSubmission(res, found.user, found.assignment);
+    if (!submission) return;
+    submission.repoUrl = repoUrl;
+    submission.note = String((req.body && req.body.note) || '').trim().slice(0, 1000);
+    markSubmitted(submission, found.assignment);
+    if (submission.status === 'draft') {
+        saveSubmissions();
+        return res.status(400).json({ success: false, message: 'Attach a file or add a repository link to submit.' });
+    }
+    saveSubmissions();
+    res.json({ success: true, message: submission.late ? 'Submitted after the due date.' : 'Submitted', submission: toClientSubmission(submission) });
+});
+
+// Exams (student)
+function findStudentExamAttempt(req, res) {
+    expireExamAttempts();
+    const attempt = examAttempts.find(item => item.id === Number(req.params.attemptId) && item.userEmail === req.authUserEmail);
+    if (!attempt) {
+        res.status(404).json({ success: false, message: 'Attempt not found.' });
+        return null;
+    }
+    return attempt;
+}
+
+app.get('/api/users/exams', requireUserAuth, (req, res) => {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    expireExamAttempts();
+    const slugs = normalizeUserEnrollment(user).enrolledCourses.map(entry => entry.slug);
+    const list = exams
+        .filter(exam => exam.status === 'published' && slugs.includes(exam.courseSlug))
+        .map(exam => {
+            const course = getCourseByIdentifier(exam.courseSlug);
+            const attempts = examAttempts.filter(attempt => attempt.examId === exam.id && attempt.userEmail === req.authUserEmail);
+            const submitted = attempts.filter(attempt => attempt.status === 'submitted');
+            const inProgress = attempts.find(attempt => attempt.status === 'in_progress');
+            const windowError = getExamWindowError(exam);
+            return {
+                id: exam.id,
+                courseSlug: exam.courseSlug,
+                courseTitle: course ? course.title : exam.courseSlug,
+                title: exam.title,
+                kind: exam.kind,
+                moduleName: exam.moduleName,
+                instructions: exam.instructions,
+                durationMinutes: exam.durationMinutes,
+                questionCount: exam.questionCount,
+                negativeMarking: exam.negativeMarking,
+                passPercent: exam.passPercent,
+                maxAttempts: exam.maxAttempts,
+                opensAt: exam.opensAt,
+                closesAt: exam.closesAt,
+                attemptsUsed: attempts.length,
+                inProgressAttemptId: inProgress ? inProgress.id : null,
+                bestPercent: submitted.length ? Math.max(...submitted.map(attempt => attempt.percent)) : null,
+                lastAttemptId: submitted.length ? submitted[submitted.length - 1].id : null,
+                canStart: !windowError && !inProgress && attempts.length < exam.maxAttempts,
+                note: windowError || (attempts.length >= exam.maxAttempts && !inProgress ? 'No attempts left.' : '')
+            };
+        })
+        .sort((a, b) => a.courseTitle.localeCompare(b.courseTitle) || a.title.localeCompare(b.title));
+    res.json({ success: true, exams: list });
+});
+
+// Starts a new attempt, or returns the one already running.
+app.post('/api/users/exams/:id/start', requireUserAuth, (req, res) => {
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    const exam = exams.find(item => item.id === Number(req.params.id));
+    if (!user || !exam || !normalizeUserEnrollment(user).enrolledCourses.some(entry => entry.slug === exam.courseSlug)) {
+        return res.status(404).json({ success: false, message: 'Exam not found.' });
+    }
+    expireExamAttempts();
+    const attempts = examAttempts.filter(attempt => attempt.examId === exam.id && attempt.userEmail === req.authUserEmail);
+    const running = attempts.find(attempt => attempt.status === 'in_progress');
+    if (running) {
+        return res.json({ success: true, exam: { id: exam.id, title: exam.title, negativeMarking: exam.negativeMarking }, attempt: toClientExamAttempt(running, exam) });
+    }
+    const windowError = getExamWindowError(exam);
+    if (windowError) {
+        return res.status(400).json({ success: false, message: windowError });
+    }
+    if (attempts.length >= exam.maxAttempts) {
+        return res.status(409).json({ success: false, message: 'You have used all attempts for this exam.' });
+    }
+    const paper = buildExamPaper(exam);
+    if (paper.length < exam.questionCount) {
+        return res.status(409).json({ success: false, message: 'This exam is not ready yet. Please contact your faculty.' });
+    }
+
+    const now = Date.now();
+    // The clock never runs past the closing time.
+    const deadline = Math.min(now + exam.durationMinutes * 60 * 1000, exam.closesAt ? new Date(exam.closesAt).getTime() : Infinity);
+    const attempt = {
+        id: examAttempts.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+        examId: exam.id,
+        userEmail: req.authUserEmail,
+        studentName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || req.authUserEmail,
+        attemptNumber: attempts.length + 1,
+        status: 'in_progress',
+        startedAt: new Date(now).toISOString(),
+        deadline: new Date(deadline).toISOString(),
+        paper,
+        answers: {},
+        results: [],
+        submittedAt: null,
+        autoSubmitted: false,
+        score: null,
+        maxScore: null,
+        percent: null,
+        passed: null
+    };
+    examAttempts.push(attempt);
+    saveExamAttempts();
+    res.json({ success: true, exam: { id: exam.id, title: exam.title, negativeMarking: exam.negativeMarking }, attempt: toClientExamAttempt(attempt, exam) });
+});
+
+app.get('/api/users/exams/attempts/:attemptId', requireUserAuth, (req, res) => {
+    const attempt = findStudentExamAttempt(req, res);
+    if (!attempt) return;
+    const exam = exams.find(item => item.id === attempt.examId);
+    res.json({
+        success: true,
+        exam: exam ? { id: exam.id, title: exam.title, negativeMarking: exam.negativeMarking, passPercent: exam.passPercent } : null,
+        attempt: toClientExamAttempt(attempt, exam)
+    });
+});
+
+// Autosave, so answers survive a refresh and count if time runs out.
+app.put('/api/users/exams/attempts/:attemptId/answers', requireUserAuth, (req, res) => {
+    const attempt = findStudentExamAttempt(req, res);
+    if (!attempt) return;
+    if (attempt.status !== 'in_progress' || Date.now() > new Date(attempt.deadline).getTime() + EXAM_SUBMIT_GRACE_MS) {
+        return res.status(409).json({ success: false, message: 'This attempt has already been submitted.' });
+    }
+    mergeExamAnswers(attempt, req.body && req.body.answers);
+    saveExamAttempts();
+    res.json({ success: true, saved: Object.keys(attempt.answers).length });
+});
+
+app.post('/api/users/exams/attempts/:attemptId/submit', requireUserAuth, (req, res) => {
+    const attempt = findStudentExamAttempt(req, res);
+    if (!attempt) return;
+    const exam = exams.find(item => item.id === attempt.examId);
+    if (attempt.status !== 'in_progress') {
+        return res.status(409).json({ success: false, message: 'This attempt has already been submitted.', attempt: toClientExamAttempt(attempt, exam) });
+    }
+    mergeExamAnswers(attempt, req.body && req.body.answers);
+    const autoSubmitted = Boolean(req.body && req.body.auto) || Date.now() > new Date(attempt.deadline).getTime();
+    finalizeExamAttempt(attempt, exam, autoSubmitted);
+    saveExamAttempts();
+    res.json({ success: true, message: attempt.passed ? 'Passed' : 'Submitted', attempt: toClientExamAttempt(attempt, exam) });
+});
+
+// Public certificate verification
+app.get('/api/verify/:certificateId', (req, res) => {
+    const certificateId = String(req.params.certificateId || '').trim().toUpperCase();
+    const certificate = certificates.find(item => item.certificateId === certificateId);
+    if (!certificate) {
+        return res.status(404).json({ success: false, message: 'No certificate found with this ID.' });
+    }
+    res.json({ success: true, valid: certificate.status === 'valid', certificate: toPublicCertificate(certificate) });
+});
+
+// Dues report (admin): overdue parts plus parts falling due within the window
+app.get('/api/admin/dues', requireAdminPermission('payments:read'), (req, res) => {
+    const windowDays = Math.min(90, Math.max(1, Number(req.query.days) || 7));
+    const today = toDateOnly(new Date());
+    const windowEnd = toDateOnly(Date.now() + windowDays * DAY_MS);
+    const rows = [];
+
+    users.forEach(user => {
+        const email = String(user.email || '').trim().toLowerCase();
+        getStudentDues(email).forEach(schedule => {
+            schedule.installments
+                .filter(part => part.status !== 'paid' && part.dueDate <= windowEnd)
+                .forEach(part => rows.push({
+                    userId: user.id,
+                    userEmail: email,
+                    userName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || email,
+                    phone: user.phone || '',
+                    courseSlug: schedule.courseSlug,
+                    courseTitle: schedule.courseTitle,
+                    installment: part.index,
+                    label: part.label,
+                    dueDate: part.dueDate,
+                    amountDue: part.amount - part.paidAmount,
+                    overdue: part.dueDate < today
+                }));
+        });
+    });
+
+    rows.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    res.json({
+        success: true,
+        windowDays,
+        totalDue: rows.reduce((sum, row) => sum + row.amountDue, 0),
+        overdueCount: rows.filter(row => row.overdue).length,
+        dues: rows
+    });
+});
+
+// Coupons, scholarships and referral settings (admin)
+app.get('/api/admin/coupons', requireAdminPermission('pricing:read'), (req, res) => {
+    res.json({
+        success: true,
+        coupons: coupons.map(item => toClientCoupon(item)),
+        referralProgram
+    });
+});
+
+app.post('/api/admin/coupons', requireAdminPermission('pricing:write'), (req, res) => {
+    const input = normalizeCouponInput(req.body || {});
+    const error = validateCouponInput(input);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    if (coupons.some(item => item.code === input.code) || users.some(u => u.referralCode === input.code)) {
+        return res.status(400).json({ success: false, message: 'This code is already in use.' });
+    }
+
+    const now = new Date().toISOString();
+    const coupon = {
+        id: coupons.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+        ...input,
+        createdBy: req.staff.username,
+        createdAt: now,
+        updatedAt: now
+    };
+    coupons.push(coupon);
+    saveData(couponsFile, coupons);
+    res.json({ success: true, message: 'Code created', coupon: toClientCoupon(coupon) });
+});
+
+app.put('/api/admin/coupons/:id', requireAdminPermission('pricing:write'), (req, res) => {
+    const coupon = coupons.find(item => Number(item.id) === Number(req.params.id));
+    if (!coupon) {
+        return res.status(404).json({ success: false, message: 'Code not found' });
+    }
+    // The code itself is immutable once created, since payments reference it.
+    const input = normalizeCouponInput({ ...(req.body || {}), code: coupon.code }, coupon);
+    const error = validateCouponInput(input);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    Object.assign(coupon, input, { updatedAt: new Date().toISOString() });
+    saveData(couponsFile, coupons);
+    res.json({ success: true, message: 'Code updated', coupon: toClientCoupon(coupon) });
+});
+
+function handleDeleteCoupon(req, res) {
+    const index = coupons.findIndex(item => Number(item.id) === Number(req.params.id));
+    if (index === -1) {
+        return res.status(404).json({ success: false, message: 'Code not found' });
+    }
+    const [removed] = coupons.splice(index, 1);
+    saveData(couponsFile, coupons);
+    return res.json({ success: true, message: 'Code deleted', coupon: removed });
+}
+
+app.delete('/api/admin/coupons/:id', requireAdminPermission('pricing:write'), handleDeleteCoupon);
+app.post('/api/admin/coupons/:id/delete', requireAdminPermission('pricing:write'), handleDeleteCoupon);
+
+app.put('/api/admin/referral-program', requireAdminPermission('pricing:write'), (req, res) => {
+    referralProgram = normalizeReferralProgram({ ...referralProgram, ...(req.body || {}) });
+    saveData(referralProgramFile, referralProgram);
+    res.json({ success: true, message: 'Referral program updated', referralProgram });
+});
+
+// Batches and timetable (admin)
+function getFacultyOptions() {
+    return staffAccounts
+        .filter(staff => staff.status === 'active' && (staff.role === 'faculty' || staff.role === 'owner'))
+        .map(staff => ({ username: staff.username, displayName: staff.displayName || staff.username }));
+}
+
+app.get('/api/admin/batches', requireAdminPermission('batches:read'), (req, res) => {
+    const courseSlug = String(req.query.course || '').trim();
+    const list = batches
+        .filter(batch => !courseSlug || batch.courseSlug === courseSlug)
+        .map(batch => {
+            const course = getCourseByIdentifier(batch.courseSlug);
+            return { ...toClientBatch(batch), courseTitle: course ? course.title : batch.courseSlug };
+        })
+        .sort((a, b) => a.courseTitle.localeCompare(b.courseTitle) || a.startDate.localeCompare(b.startDate));
+    res.json({ success: true, batches: list, faculty: getFacultyOptions(), clashes: findBatchClashes() });
+});
+
+app.post('/api/admin/batches', requireAdminPermission('batches:write'), (req, res) => {
+    const course = getCourseByIdentifier(String((req.body && req.body.courseSlug) || '').trim());
+    if (!course) {
+        return res.status(404).json({ success: false, message: 'Course not found.' });
+    }
+    const input = normalizeBatchInput(req.body || {});
+    const error = validateBatchInput(input);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    const now = new Date().toISOString();
+    const batch = {
+        id: batches.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+        courseSlug: course.slug,
+        ...input,
+        createdBy: req.staff.username,
+        createdAt: now,
+        updatedAt: now
+    };
+    batches.push(batch);
+    saveBatches();
+    const clashes = findBatchClashes().filter(item => item.batchIds.includes(batch.id));
+    res.json({
+        success: true,
+        message: clashes.length ? `Batch created with ${clashes.length} timetable clash(es).` : 'Batch created',
+        batch: toClientBatch(batch),
+        clashes
+    });
+});
+
+app.put('/api/admin/batches/:id', requireAdminPermission('batches:write'), (req, res) => {
+    const batch = batches.find(item => item.id === Number(req.params.id));
+    if (!batch) {
+        return res.status(404).json({ success: false, message: 'Batch not found.' });
+    }
+    const input = normalizeBatchInput(req.body || {}, batch);
+    const error = validateBatchInput(input);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    const seatsTaken = getBatchStudentEmails(batch).size;
+    if (input.capacity < seatsTaken) {
+        return res.status(400).json({ success: false, message: `Capacity cannot go below the ${seatsTaken} students already in this batch.` });
+    }
+
+    Object.assign(batch, input, { updatedAt: new Date().toISOString() });
+    saveBatches();
+    const clashes = findBatchClashes().filter(item => item.batchIds.includes(batch.id));
+    res.json({
+        success: true,
+        message: clashes.length ? `Batch updated with ${clashes.length} timetable clash(es).` : 'Batch updated',
+        batch: toClientBatch(batch),
+        clashes
+    });
+});
+
+function handleDeleteBatch(req, res) {
+    const index = batches.findIndex(item => item.id === Number(req.params.id));
+    if (index === -1) {
+        return res.status(404).json({ success: false, message: 'Batch not found.' });
+    }
+    if (getBatchStudentEmails(batches[index]).size) {
+        return res.status(409).json({ success: false, message: 'Students are in this batch. Close it instead of deleting.' });
+    }
+    const [removed] = batches.splice(index, 1);
+    saveBatches();
+    return res.json({ success: true, message: 'Batch deleted', batch: removed });
+}
+
+app.delete('/api/admin/batches/:id', requireAdminPermission('batches:write'), handleDeleteBatch);
+app.post('/api/admin/batches/:id/delete', requireAdminPermission('batches:write'), handleDeleteBatch);
+
+app.get('/api/admin/batches/:id/students', requireAdminPermission('batches:read'), (req, res) => {
+    const batch = batches.find(item => item.id === Number(req.params.id));
+    if (!batch) {
+        return res.status(404).json({ success: false, message: 'Batch not found.' });
+    }
+    const students = [...getBatchStudentEmails(batch)].map(email => {
+        const user = users.find(u => String(u.email || '').trim().toLowerCase() === email) || {};
+        const entry = normalizeUserEnrollment(user).enrolledCourses.find(item => item.slug === batch.courseSlug);
+        return {
+            email,
+            name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || email,
+            phone: user.phone || '',
+            enrolled: Boolean(entry && entry.batchId === batch.id)
+        };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+    res.json({ success: true, batch: toClientBatch(batch), students });
+});
+
+// Weekly timetable of open batches, Monday first, with room/faculty clashes
+app.get('/api/admin/timetable', requireAdminPermission('batches:read'), (req, res) => {
+    const today = getTodayKey();
+    const running = batches.filter(batch => batch.status === 'open' && (!batch.endDate || batch.endDate >= today));
+    const clashes = findBatchClashes();
+    const clashingIds = new Set(clashes.flatMap(item => item.batchIds));
+    const days = [...WEEK_DAYS.slice(1), WEEK_DAYS[0]].map(day => ({
+        day,
+        label: WEEK_DAY_LABELS[day],
+        slots: running
+            .flatMap(batch => batch.schedule
+                .filter(slot => slot.day === day)
+                .map(slot => {
+                    const course = getCourseByIdentifier(batch.courseSlug);
+                    const faculty = findStaffByUsername(batch.faculty);
+                    return {
+                        batchId: batch.id,
+                        batchName: batch.name,
+                        courseTitle: course ? course.title : batch.courseSlug,
+                        start: slot.start,
+                        end: slot.end,
+                        room: batch.room,
+                        facultyName: faculty ? faculty.displayName || faculty.username : batch.faculty,
+                        startDate: batch.startDate,
+                        clash: clashingIds.has(batch.id)
+                    };
+                }))
+            .sort((a, b) => a.start.localeCompare(b.start) || a.room.localeCompare(b.room))
+    }));
+    res.json({ success: true, days, clashes });
+});
+
+// Attendance (admin)
+app.get('/api/admin/attendance/sessions', requireAdminPermission('attendance:read'), (req, res) => {
+    const batchId = Number(req.query.batchId) || 0;
+    const list = attendanceSessions
+        .filter(session => !batchId || session.batchId === batchId)
+        .map(toClientAttendanceSession)
+        .sort((a, b) => b.date.localeCompare(a.date) || b.start.localeCompare(a.start));
+    res.json({ success: true, sessions: list, threshold: ATTENDANCE_THRESHOLD_PERCENT });
+});
+
+// Opens (or returns the existing) session for a batch on a date. Without a
+// start time, the batch's scheduled slot for that weekday is used.
+app.post('/api/admin/attendance/sessions', requireAdminPermission('attendance:write'), (req, res) => {
+    const body = req.body || {};
+    const batch = batches.find(item => item.id === Number(body.batchId));
+    if (!batch) {
+        return res.status(404).json({ success: false, message: 'Batch not found.' });
+    }
+    const date = String(body.date || getInstituteDateKey()).trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+        return res.status(400).json({ success: false, message: 'Date must be YYYY-MM-DD.' });
+    }
+    if (date < batch.startDate || (batch.endDate && date > batch.endDate)) {
+        return res.status(400).json({ success: false, message: 'The batch does not run on this date.' });
+    }
+
+    const weekday = WEEK_DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    let slot = batch.schedule.find(item => item.day === weekday && (!body.start || item.start === body.start));
+    if (!slot && body.start) {
+        const start = parseClockMinutes(body.start);
+        const end = parseClockMinutes(body.end);
+        if (start === null || end === null || end <= start) {
+            return res.status(400).json({ success: false, message: 'Extra classes need HH:MM start and end times.' });
+        }
+        slot = { day: weekday, start: formatClock(start), end: formatClock(end) };
+    }
+    if (!slot) {
+        return res.status(400).json({
+            success: false,
+            message: 'No class is scheduled for this batch on that day. Give start and end times for an extra class.'
+        });
+    }
+
+    const existing = attendanceSessions.find(item => item.batchId === batch.id && item.date === date && item.start === slot.start);
+    if (existing) {
+        return res.json({ success: true, message: 'Session loaded', session: toClientAttendanceSession(existing) });
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+        id: attendanceSessions.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+        batchId: batch.id,
+        courseSlug: batch.courseSlug,
+        date,
+        start: slot.start,
+        end: slot.end,
+        records: {},
+        qrSecret: crypto.randomBytes(16).toString('hex'),
+        createdBy: req.staff.username,
+        createdAt: now,
+        updatedAt: now
+    };
+    attendanceSessions.push(session);
+    saveAttendanceSessions();
+    res.json({ success: true, message: 'Session opened', session: toClientAttendanceSession(session) });
+});
+
+app.get('/api/admin/attendance/sessions/:id', requireAdminPermission('attendance:read'), (req, res) => {
+    const session = attendanceSessions.find(item => item.id === Number(req.params.id));
+    if (!session) {
+        return res.status(404).json({ success: false, message: 'Session not found.' });
+    }
+    const batch = batches.find(item => item.id === session.batchId);
+    const emails = new Set([...(batch ? getBatchRosterEmails(batch) : []), ...Object.keys(session.records || {})]);
+    const roster = [...emails].map(email => {
+        const user = users.find(u => String(u.email || '').trim().toLowerCase() === email) || {};
+        const record = (session.records || {})[email] || null;
+        return {
+            email,
+            name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || email,
+            status: record ? record.status : '',
+            method: record ? record.method : '',
+            markedAt: record ? record.markedAt : null
+        };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+    res.json({
+        success: true,
+        session: toClientAttendanceSession(session),
+        batch: batch ? toClientBatch(batch) : null,
+        roster
+    });
+});
+
+app.put('/api/admin/attendance/sessions/:id', requireAdminPermission('attendance:write'), (req, res) => {
+    const session = attendanceSessions.find(item => item.id === Number(req.params.id));
+    if (!session) {
+        return res.status(404).json({ success: false, message: 'Session not found.' });
+    }
+    const records = req.body && req.body.records;
+    if (!records || typeof records !== 'object' || Array.isArray(records)) {
+        return res.status(400).json({ success: false, message: 'Provide records as { email: status }.' });
+    }
+    const batch = batches.find(item => item.id === session.batchId);
+    const roster = new Set(batch ? getBatchRosterEmails(batch) : []);
+    const entries = Object.keys(records).map(email => [String(email || '').trim().toLowerCase(), String(records[email] || '').trim().toLowerCase()]);
+    const invalid = entries.find(([email, status]) => !roster.has(email) || (status && !ATTENDANCE_STATUSES.includes(status)));
+    if (invalid) {
+        return res.status(400).json({
+            success: false,
+            message: roster.has(invalid[0]) ? `Invalid status "${invalid[1]}".` : `${invalid[0]} is not on this batch roster.`
+        });
+    }
+
+    const now = new Date().toISOString();
+    session.records = session.records || {};
+    entries.forEach(([email, status]) => {
+        if (!status) {
+            delete session.records[email];
+            return;
+        }
+        const current = session.records[email];
+        if (current && current.status === status) return;
+        session.records[email] = { status, method: 'roster', markedBy: req.staff.username, markedAt: now };
+    });
+    session.updatedAt = now;
+    saveAttendanceSessions();
+    res.json({ success: true, message: 'Attendance saved', session: toClientAttendanceSession(session) });
+});
+
+// Current check-in token for the classroom screen; it rotates every ATTENDANCE_QR_SECONDS.
+app.get('/api/admin/attendance/sessions/:id/qr', requireAdminPermission('attendance:write'), (req, res) => {
+    const session = attendanceSessions.find(item => item.id === Number(req.params.id));
+    if (!session) {
+        return res.status(404).json({ success: false, message: 'Session not found.' });
+    }
+    if (!isSessionOpenForCheckIn(session)) {
+        return res.status(400).json({
+            success: false,
+            message: `QR check-in is available from ${ATTENDANCE_CHECKIN_EARLY_MINUTES} minutes before the class until it ends.`
+        });
+    }
+    const { token, expiresAt } = createAttendanceToken(session);
+    const batch = batches.find(item => item.id === session.batchId);
+    const course = getCourseByIdentifier(session.courseSlug);
+    res.json({
+        success: true,
+        token,
+        expiresAt,
+        refreshSeconds: ATTENDANCE_QR_SECONDS,
+        checkInPath: `/dashboard.html?checkin=${encodeURIComponent(token)}`,
+        title: `${course ? course.title : session.courseSlug} - ${batch ? batch.name : ''}`,
+        session: toClientAttendanceSession(session)
+    });
+});
+
+app.get('/api/admin/attendance/report', requireAdminPermission('attendance:read'), (req, res) => {
+    const batch = batches.find(item => item.id === Number(req.query.batchId));
+    if (!batch) {
+        return res.status(404).json({ success: false, message: 'Batch not found.' });
+    }
+    const students = getBatchRosterEmails(batch).map(email => {
+        const user = users.find(u => String(u.email || '').trim().toLowerCase() === email) || {};
+        return {
+            email,
+            name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || email,
+            ...getStudentAttendance(email, batch.courseSlug, batch.id)
+        };
+    }).sort((a, b) => (a.percent ?? 101) - (b.percent ?? 101) || a.name.localeCompare(b.name));
+    res.json({ success: true, threshold: ATTENDANCE_THRESHOLD_PERCENT, batch: toClientBatch(batch), students });
+});
+
+// Assignments (admin)
+app.get('/api/admin/assignments', requireAdminPermission('assignments:read'), (req, res) => {
+    const courseSlug = String(req.query.course || '').trim();
+    const list = assignments
+        .filter(assignment => !courseSlug || assignment.courseSlug === courseSlug)
+        .map(assignment => {
+            const roster = getCourseStudentEmails(assignment.courseSlug);
+            const handedIn = submissions.filter(item => item.assignmentId === assignment.id && item.status !== 'draft');
+            const client = toClientAssignment(assignment);
+            return {
+                ...client,
+                counts: {
+                    students: roster.length,
+                    submitted: handedIn.length,
+                    late: handedIn.filter(item => item.late).length,
+                    graded: handedIn.filter(item => item.status === 'graded').length,
+                    missing: client.overdue ? Math.max(0, roster.length - handedIn.length) : 0
+                }
+            };
+        })
+        .sort((a, b) => a.courseTitle.localeCompare(b.courseTitle) || a.dueAt.localeCompare(b.dueAt));
+    res.json({ success: true, assignments: list });
+});
+
+app.post('/api/admin/assignments', requireAdminPermission('assignments:write'), (req, res) => {
+    const course = getCourseByIdentifier(String((req.body && req.body.courseSlug) || '').trim());
+    if (!course) {
+        return res.status(404).json({ success: false, message: 'Course not found.' });
+    }
+    const input = normalizeAssignmentInput(req.body || {});
+    const error = validateAssignmentInput(input, course);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    const now = new Date().toISOString();
+    const assignment = {
+        id: assignments.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+        courseSlug: course.slug,
+        ...input,
+        createdBy: req.staff.username,
+        createdAt: now,
+        updatedAt: now
+    };
+    assignments.push(assignment);
+    saveAssignments();
+    res.json({ success: true, message: 'Assignment created', assignment: toClientAssignment(assignment) });
+});
+
+app.put('/api/admin/assignments/:id', requireAdminPermission('assignments:write'), (req, res) => {
+    const assignment = assignments.find(item => item.id === Number(req.params.id));
+    if (!assignment) {
+        return res.status(404).json({ success: false, message: 'Assignment not found.' });
+    }
+    const input = normalizeAssignmentInput(req.body || {}, assignment);
+    const error = validateAssignmentInput(input, getCourseByIdentifier(assignment.courseSlug));
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    const graded = submissions.some(item => item.assignmentId === assignment.id && item.status === 'graded');
+    if (graded && JSON.stringify(input.rubric) !== JSON.stringify(assignment.rubric)) {
+        return res.status(409).json({ success: false, message: 'The rubric cannot change after grading has started.' });
+    }
+    Object.assign(assignment, input, { updatedAt: new Date().toISOString() });
+    // A new due date re-evaluates which submissions are late.
+    submissions
+        .filter(item => item.assignmentId === assignment.id && item.submittedAt)
+        .forEach(item => {
+            item.late = new Date(item.submittedAt) > new Date(assignment.dueAt);
+        });
+    saveAssignments();
+    saveSubmissions();
+    res.json({ success: true, message: 'Assignment updated', assignment: toClientAssignment(assignment) });
+});
+
+function handleDeleteAssignment(req, res) {
+    const index = assignments.findIndex(item => item.id === Number(req.params.id));
+    if (index === -1) {
+        return res.status(404).json({ success: false, message: 'Assignment not found.' });
+    }
+    if (submissions.some(item => item.assignmentId === assignments[index].id && item.status !== 'draft')) {
+        return res.status(409).json({ success: false, message: 'Students have already submitted work for this assignment.' });
+    }
+    const [removed] = assignments.splice(index, 1);
+    for (let i = submissions.length - 1; i >= 0; i -= 1) {
+        if (submissions[i].assignmentId === removed.id) submissions.splice(i, 1);
+    }
+    saveAssignments();
+    saveSubmissions();
+    return res.json({ success: true, message: 'Assignment deleted', assignment: removed });
+}
+
+app.delete('/api/admin/assignments/:id', requireAdminPermission('assignments:write'), handleDeleteAssignment);
+app.post('/api/admin/assignments/:id/delete', requireAdminPermission('assignments:write'), handleDeleteAssignment);
+
+// Every enrolled student, with their submission if there is one
+app.get('/api/admin/assignments/:id/submissions', requireAdminPermission('assignments:read'), (req, res) => {
+    const assignment = assignments.find(item => item.id === Number(req.params.id));
+    if (!assignment) {
+        return res.status(404).json({ success: false, message: 'Assignment not found.' });
+    }
+    const client = toClientAssignment(assignment);
+    const students = getCourseStudentEmails(assignment.courseSlug).map(email => {
+        const user = users.find(u => String(u.email || '').trim().toLowerCase() === email) || {};
+        const submission = findSubmission(assignment.id, email);
+        return {
+            email,
+            name: `${user.firstName || ''} ${user.lastName || ''}`.trim() || email,
+            missing: client.overdue && (!submission || submission.status === 'draft'),
+            submission: toClientSubmission(submission)
+        };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+    res.json({ success: true, assignment: client, students });
+});
+
+app.get('/api/admin/assignments/:id/submissions/:submissionId/files/:fileId', requireAdminPermission('assignments:read'), (req, res) => {
+    const submission = submissions.find(item => item.id === Number(req.params.submissionId) && item.assignmentId === Number(req.params.id));
+    const file = submission && submission.files.find(item => item.id === String(req.params.fileId));
+    if (!file) {
+        return res.status(404).json({ success: false, message: 'File not found.' });
+    }
+    return sendAssignmentFile(res, file);
+});
+
+// Body: { scores: [points per rubric criterion], feedback }. Regrading only
+// ever adds XP, so a lowered grade keeps the XP already awarded.
+app.put('/api/admin/assignments/:id/submissions/:submissionId/grade', requireAdminPermission('assignments:write'), (req, res) => {
+    const assignment = assignments.find(item => item.id === Number(req.params.id));
+    const submission = assignment && submissions.find(item => item.id === Number(req.params.submissionId) && item.assignmentId === assignment.id);
+    if (!submission || submission.status === 'draft') {
+        return res.status(404).json({ success: false, message: 'Submission not found.' });
+    }
+    const scores = Array.isArray(req.body && req.body.scores) ? req.body.scores : [];
+    if (scores.length !== assignment.rubric.length) {
+        return res.status(400).json({ success: false, message: `Give a score for each of the ${assignment.rubric.length} rubric criteria.` });
+    }
+    const rubricScores = [];
+    for (let i = 0; i < assignment.rubric.length; i += 1) {
+        const item = assignment.rubric[i];
+        const points = Number(scores[i]);
+        if (!Number.isFinite(points) || points < 0 || points > item.points) {
+            return res.status(400).json({ success: false, message: `${item.criterion} must be scored from 0 to ${item.points}.` });
+        }
+        rubricScores.push({ criterion: item.criterion, points: Math.round(points * 10) / 10, maxPoints: item.points });
+    }
+
+    const score = Math.round(rubricScores.reduce((sum, item) => sum + item.points, 0) * 10) / 10;
+    Object.assign(submission, {
+        rubricScores,
+        score,
+        feedback: String((req.body && req.body.feedback) || '').trim().slice(0, 2000),
+        status: 'graded',
+        gradedBy: req.staff.username,
+        gradedAt: new Date().toISOString()
+    });
+
+    const earnedXp = Math.round(assignment.xpReward * (score / getAssignmentMaxPoints(assignment)));
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === submission.userEmail);
+    if (user && earnedXp > submission.xpAwarded) {
+        const normalizedUser = normalizeUserEnrollment(user);
+        addXp(normalizedUser, earnedXp - submission.xpAwarded);
+        applyBadges(normalizedUser);
+        Object.assign(user, normalizedUser);
+        saveData(usersFile, users);
+        submission.xpAwarded = earnedXp;
+    }
+    saveSubmissions();
+    res.json({ success: true, message: `Graded ${score}/${getAssignmentMaxPoints(assignment)}`, submission: toClientSubmission(submission) });
+});
+
+// Sends a graded submission back so the student can resubmit.
+app.post('/api/admin/assignments/:id/submissions/:submissionId/reopen', requireAdminPermission('assignments:write'), (req, res) => {
+    const submission = submissions.find(item => item.id === Number(req.params.submissionId) && item.assignmentId === Number(req.params.id));
+    if (!submission || submission.status !== 'graded') {
+        return res.status(404).json({ success: false, message: 'Graded submission not found.' });
+    }
+    submission.status = 'submitted';
+    saveSubmissions();
+    res.json({ success: true, message: 'Submission reopened for resubmission', submission: toClientSubmission(submission) });
+});
+
+// Question bank and exams (admin)
+app.get('/api/admin/question-bank', requireAdminPermission('exams:read'), (req, res) => {
+    const courseSlug = String(req.query.course || '').trim();
+    const list = questionBank
+        .filter(question => !courseSlug || question.courseSlug === courseSlug)
+        .sort((a, b) => a.courseSlug.localeCompare(b.courseSlug) || a.id - b.id);
+    res.json({ success: true, questions: list, types: EXAM_QUESTION_TYPES });
+});
+
+app.post('/api/admin/question-bank', requireAdminPermission('exams:write'), (req, res) => {
+    const course = getCourseByIdentifier(String((req.body && req.body.courseSlug) || '').trim());
+    if (!course) {
+        return res.status(404).json({ success: false, message: 'Course not found.' });
+    }
+    const result = normalizeQuestionInput(req.body || {}, course);
+    if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+    }
+    const now = new Date().toISOString();
+    const question = {
+        id: questionBank.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+        courseSlug: course.slug,
+        ...result.question,
+        createdBy: req.staff.username,
+        createdAt: now,
+        updatedAt: now
+    };
+    questionBank.push(question);
+    saveQuestionBank();
+    res.json({ success: true, message: 'Question added', question });
+});
+
+app.put('/api/admin/question-bank/:id', requireAdminPermission('exams:write'), (req, res) => {
+    const question = questionBank.find(item => item.id === Number(req.params.id));
+    if (!question) {
+        return res.status(404).json({ success: false, message: 'Question not found.' });
+    }
+    const result = normalizeQuestionInput(req.body || {}, getCourseByIdentifier(question.courseSlug), question);
+    if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+    }
+    Object.assign(question, result.question, { updatedAt: new Date().toISOString() });
+    saveQuestionBank();
+    res.json({ success: true, message: 'Question updated. Papers already started keep the old version.', question });
+});
+
+function handleDeleteQuestion(req, res) {
+    const index = questionBank.findIndex(item => item.id === Number(req.params.id));
+    if (index === -1) {
+        return res.status(404).json({ success: false, message: 'Question not found.' });
+    }
+    const [removed] = questionBank.splice(index, 1);
+    saveQuestionBank();
+    return res.json({ success: true, message: 'Question deleted', question: removed });
+}
+
+app.delete('/api/admin/question-bank/:id', requireAdminPermission('exams:write'), handleDeleteQuestion);
+app.post('/api/admin/question-bank/:id/delete', requireAdminPermission('exams:write'), handleDeleteQuestion);
+
+app.get('/api/admin/exams', requireAdminPermission('exams:read'), (req, res) => {
+    expireExamAttempts();
+    const list = exams.map(exam => {
+        const course = getCourseByIdentifier(exam.courseSlug);
+        const submitted = examAttempts.filter(attempt => attempt.examId === exam.id && attempt.status === 'submitted');
+        return {
+            ...exam,
+            courseTitle: course ? course.title : exam.courseSlug,
+            poolSize: getExamQuestionPool(exam).length,
+            attemptCount: submitted.length,
+            inProgressCount: examAttempts.filter(attempt => attempt.examId === exam.id && attempt.status === 'in_progress').length,
+            averagePercent: submitted.length ? Math.round(submitted.reduce((sum, attempt) => sum + attempt.percent, 0) / submitted.length) : null
+        };
+    }).sort((a, b) => a.courseTitle.localeCompare(b.courseTitle) || a.title.localeCompare(b.title));
+    res.json({ success: true, exams: list, negativeMarkingOptions: EXAM_NEGATIVE_MARKING });
+});
+
+app.post('/api/admin/exams', requireAdminPermission('exams:write'), (req, res) => {
+    const course = getCourseByIdentifier(String((req.body && req.body.courseSlug) || '').trim());
+    if (!course) {
+        return res.status(404).json({ success: false, message: 'Course not found.' });
+    }
+    const input = normalizeExamInput(req.body || {});
+    const error = validateExamInput(input, course);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    const now = new Date().toISOString();
+    const exam = {
+        id: exams.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+        courseSlug: course.slug,
+        ...input,
+        createdBy: req.staff.username,
+        createdAt: now,
+        updatedAt: now
+    };
+    exams.push(exam);
+    saveExams();
+    res.json({ success: true, message: 'Exam created', exam });
+});
+
+// Running attempts keep the paper and deadline they started with.
+app.put('/api/admin/exams/:id', requireAdminPermission('exams:write'), (req, res) => {
+    const exam = exams.find(item => item.id === Number(req.params.id));
+    if (!exam) {
+        return res.status(404).json({ success: false, message: 'Exam not found.' });
+    }
+    const input = normalizeExamInput(req.body || {}, exam);
+    const error = validateExamInput(input, getCourseByIdentifier(exam.courseSlug));
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    Object.assign(exam, input, { updatedAt: new Date().toISOString() });
+    saveExams();
+    res.json({ success: true, message: 'Exam updated', exam });
+});
+
+function handleDeleteExam(req, res) {
+    const index = exams.findIndex(item => item.id === Number(req.params.id));
+    if (index === -1) {
+        return res.status(404).json({ success: false, message: 'Exam not found.' });
+    }
+    if (examAttempts.some(attempt => attempt.examId === exams[index].id)) {
+        return res.status(409).json({ success: false, message: 'Students have attempted this exam. Move it back to draft instead.' });
+    }
+    const [removed] = exams.splice(index, 1);
+    saveExams();
+    return res.json({ success: true, message: 'Exam deleted', exam: removed });
+}
+
+app.delete('/api/admin/exams/:id', requireAdminPermission('exams:write'), handleDeleteExam);
+app.post('/api/admin/exams/:id/delete', requireAdminPermission('exams:write'), handleDeleteExam);
+
+app.get('/api/admin/exams/:id/results', requireAdminPermission('exams:read'), (req, res) => {
+    const exam = exams.find(item => item.id === Number(req.params.id));
+    if (!exam) {
+        return res.status(404).json({ success: false, message: 'Exam not found.' });
+    }
+    expireExamAttempts();
+    const results = examAttempts
+        .filter(attempt => attempt.examId === exam.id)
+        .map(attempt => ({
+            id: attempt.id,
+            email: attempt.userEmail,
+            name: attempt.studentName,
+            attemptNumber: attempt.attemptNumber,
+            status: attempt.status,
+            startedAt: attempt.startedAt,
+            submittedAt: attempt.submittedAt,
+            autoSubmitted: attempt.autoSubmitted,
+            minutesTaken: attempt.submittedAt ? Math.round((new Date(attempt.submittedAt) - new Date(attempt.startedAt)) / 600) / 100 : null,
+            answered: Object.keys(attempt.answers).length,
+            questionCount: attempt.paper.length,
+            score: attempt.score,
+            maxScore: attempt.maxScore,
+            percent: attempt.percent,
+            passed: attempt.passed
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name) || a.attemptNumber - b.attemptNumber);
+    res.json({ success: true, exam, results });
+});
+
+// Per-question analytics across submitted attempts of this exam.
+app.get('/api/admin/exams/:id/analytics', requireAdminPermission('exams:read'), (req, res) => {
+    const exam = exams.find(item => item.id === Number(req.params.id));
+    if (!exam) {
+        return res.status(404).json({ success: false, message: 'Exam not found.' });
+    }
+    expireExamAttempts();
+    const submitted = examAttempts.filter(attempt => attempt.examId === exam.id && attempt.status === 'submitted');
+    const stats = new Map();
+    submitted.forEach(attempt => {
+        attempt.paper.forEach((item, index) => {
+            if (!stats.has(item.questionId)) {
+                stats.set(item.questionId, {
+                    questionId: item.questionId,
+                    type: item.type,
+                    prompt: item.prompt,
+                    options: item.options,
+                    answer: item.answer,
+                    served: 0,
+                    answered: 0,
+                    correct: 0,
+                    optionCounts: item.options.map(() => 0),
+                    wrongAnswers: {}
+                });
+            }
+            const entry = stats.get(item.questionId);
+            const result = attempt.results[index];
+            const value = attempt.answers[String(item.questionId)];
+            entry.served += 1;
+            if (value === undefined) return;
+            entry.answered += 1;
+            if (result.correct) entry.correct += 1;
+            if (item.type === 'mcq' || item.type === 'multi') {
+                (Array.isArray(value) ? value : [value]).forEach(choice => {
+                    if (entry.optionCounts[choice] !== undefined) entry.optionCounts[choice] += 1;
+                });
+            } else if (!result.correct) {
+                const key = String(value);
+                entry.wrongAnswers[key] = (entry.wrongAnswers[key] || 0) + 1;
+            }
+        });
+    });
+    const questions = [...stats.values()].map(entry => ({
+        ...entry,
+        correctPercent: entry.answered ? Math.round((entry.correct / entry.answered) * 100) : null,
+        skippedPercent: entry.served ? Math.round(((entry.served - entry.answered) / entry.served) * 100) : null,
+        wrongAnswers: Object.entries(entry.wrongAnswers)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 3)
+            .map(([answer, count]) => ({ answer, count }))
+    })).sort((a, b) => (a.correctPercent ?? 101) - (b.correctPercent ?? 101));
+    res.json({
+        success: true,
+        exam,
+        summary: {
+            attempts: submitted.length,
+            averagePercent: submitted.length ? Math.round(submitted.reduce((sum, attempt) => sum + attempt.percent, 0) / submitted.length) : null,
+            passRate: submitted.length ? Math.round((submitted.filter(attempt => attempt.passed).length / submitted.length) * 100) : null,
+            autoSubmitted: submitted.filter(attempt => attempt.autoSubmitted).length
+        },
+        questions
+    });
+});
+
+// Certificates (admin)
+app.get('/api/admin/certificates', requireAdminPermission('certificates:read'), (req, res) => {
+    const query = String(req.query.q || '').trim().toLowerCase();
+    const list = certificates
+        .filter(item => !query
+            || item.certificateId.toLowerCase().includes(query)
+            || item.userEmail.includes(query)
+            || item.studentName.toLowerCase().includes(query))
+        .sort((a, b) => new Date(b.issuedAt) - new Date(a.issuedAt));
+    res.json({ success: true, certificates: list, policy: certificatePolicy });
+});
+
+// Staff can issue without the completion/attendance gates, e.g. for offline
+// students whose progress is tracked on paper.
+app.post('/api/admin/certificates', requireAdminPermission('certificates:write'), (req, res) => {
+    const body = req.body || {};
+    const email = String(body.email || '').trim().toLowerCase();
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === email);
+    if (!user) {
+        return res.status(404).json({ success: false, message: 'Student not found.' });
+    }
+    const course = getCourseByIdentifier(String(body.courseSlug || '').trim());
+    if (!course || !normalizeUserEnrollment(user).enrolledCourses.some(entry => entry.slug === course.slug)) {
+        return res.status(400).json({ success: false, message: 'The student is not enrolled in this course.' });
+    }
+    if (findValidCertificate(email, course.slug)) {
+        return res.status(409).json({ success: false, message: 'A valid certificate already exists for this course.' });
+    }
+    const certificate = issueCertificate(user, course, { grade: body.grade, issuedBy: req.staff.username });
+    res.json({ success: true, message: `Certificate ${certificate.certificateId} issued`, certificate });
+});
+
+app.post('/api/admin/certificates/:id/revoke', requireAdminPermission('certificates:write'), (req, res) => {
+    const certificate = certificates.find(item => item.id === Number(req.params.id));
+    if (!certificate) {
+        return res.status(404).json({ success: false, message: 'Certificate not found.' });
+    }
+    if (certificate.status === 'revoked') {
+        return res.status(409).json({ success: false, message: 'Certificate is already revoked.' });
+    }
+    const reason = String((req.body && req.body.reason) || '').trim().slice(0, 240);
+    if (!reason) {
+        return res.status(400).json({ success: false, message: 'A reason is required to revoke a certificate.' });
+    }
+    certificate.status = 'revoked';
+    certificate.revokedAt = new Date().toISOString();
+    certificate.revokedBy = req.staff.username;
+    certificate.revokeReason = reason;
+    saveData(certificatesFile, certificates);
+    res.json({ success: true, message: `Certificate ${certificate.certificateId} revoked`, certificate });
+});
+
+app.get('/api/admin/certificates/:id/pdf', requireAdminPermission('certificates:read'), (req, res) => {
+    const certificate = certificates.find(item => item.id === Number(req.params.id));
+    if (!certificate) {
+        return res.status(404).json({ success: false, message: 'Certificate not found.' });
+    }
+    return sendCertificatePdf(req, res, certificate);
+});
+
+app.put('/api/admin/certificate-policy', requireAdminPermission('certificates:write'), (req, res) => {
+    certificatePolicy = normalizeCertificatePolicy({ ...certificatePolicy, ...(req.body || {}) });
+    saveData(certificatePolicyFile, certificatePolicy);
+    res.json({ success: true, message: 'Certificate policy updated', policy: certificatePolicy });
+});
+
+// Installment plans (admin), built on the current course price
+app.get('/api/admin/installment-plans', requireAdminPermission('pricing:read'), (req, res) => {
+    const courses = getCoursesCatalog()
+        .map(course => ({
+            id: course.id,
+            title: course.title,
+            slug: course.slug,
+            price: course.price,
+            priceLabel: course.priceLabel,
+            installmentPlan: course.installmentPlan
+        }))
+        .sort((a, b) => String(a.title || '').localeCompare(String(b.title || '')));
+    res.json({ success: true, courses });
+});
+
+app.put('/api/admin/installment-plans/:identifier', requireAdminPermission('pricing:write'), (req, res) => {
+    const course = getCourseByIdentifier(String(req.params.identifier || '').trim());
+    if (!course) {
+        return res.status(404).json({
+            success: false,
+            message: 'Course not found.'
+        });
+    }
+
+    const rawParts = req.body && req.body.parts;
+    if (Array.isArray(rawParts) && rawParts.length === 0) {
+        delete installmentPlans[course.slug];
+        saveData(installmentPlansFile, installmentPlans);
+        return res.json({
+            success: true,
+            message: 'Installment plan removed. Students will pay the full fee.',
+            course: { slug: course.slug, title: course.title, installmentPlan: null }
+        });
+    }
+
+    const parts = normalizeInstallmentParts(rawParts);
+    if (!parts) {
+        return res.status(400).json({
+            success: false,
+            message: `Provide 2-${MAX_INSTALLMENT_PARTS} parts whose percentages add up to 100, with increasing due days.`
+        });
+    }
+
+    installmentPlans[course.slug] = { parts, updatedAt: new Date().toISOString() };
+    saveData(installmentPlansFile, installmentPlans);
+
+    return res.json({
+        success: true,
+        message: 'Installment plan saved.',
+        course: {
+            slug: course.slug,
+            title: course.title,
+            price: course.price,
+            installmentPlan: buildInstallmentPlan(course.slug, course.price)
+        }
+    });
+});
+
+// Payment verification queue (admin)
+app.get('/api/admin/payments', requireAdminPermission('payments:read'), (req, res) => {
+    const status = String(req.query.status || '').trim().toLowerCase();
+    const list = payments
+        .filter(item => !status || item.status === status)
+        .map(item => toClientPayment(item))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    res.json({
+        success: true,
+        payments: list,
+        summary: PAYMENT_STATUSES.reduce((acc, key) => {
+            const matching = payments.filter(item => item.status === key);
+            acc[key] = {
+                count: matching.length,
+                amount: matching.reduce((sum, item) => sum + (Number(item.amount) || 0), 0)
+            };
+            return acc;
+        }, {})
+    });
+});
+
+app.put('/api/admin/payments/:id', requireAdminPermission('payments:write'), (req, res) => {
+    const paymentId = Number(req.params.id);
+    const payment = payments.find(item => Number(item.id) === paymentId);
+    if (!payment) {
+        return res.status(404).json({
+            success: false,
+            message: 'Payment not found'
+        });
+    }
+
+    const body = req.body || {};
+    const nextStatus = body.status === undefined ? payment.status : String(body.status).trim().toLowerCase();
+    if (!PAYMENT_STATUSES.includes(nextStatus)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid payment status'
+        });
+    }
+    // A verified payment has enrolled the student, issued a numbered receipt and
+    // possibly rewarded a referrer, none of which a status change can undo.
+    if (payment.status === 'verified' && nextStatus !== 'verified') {
+        return res.status(409).json({
+            success: false,
+            message: 'A verified payment cannot be moved back to pending or rejected.'
+        });
+    }
+    const wantsOverride = body.enrollmentOverride === undefined
+        ? payment.enrollmentOverride
+        : Boolean(body.enrollmentOverride);
+    if (wantsOverride && payment.method !== 'cash') {
+        return res.status(400).json({
+            success: false,
+            message: 'Enrollment override is only available for Pay at Institute bookings.'
+        });
+    }
+
+    payment.status = nextStatus;
+    payment.enrollmentOverride = nextStatus === 'rejected' ? false : wantsOverride;
+    payment.reviewNote = String(body.note === undefined ? payment.reviewNote : body.note || '').trim().slice(0, 240);
+    payment.reviewedBy = req.staff.username;
+    payment.reviewedAt = new Date().toISOString();
+    payment.updatedAt = payment.reviewedAt;
+    saveData(paymentsFile, payments);
+
+    const receipt = payment.status === 'verified' ? issueReceiptForPayment(payment) : null;
+    if (payment.status === 'verified') grantReferralReward(payment);
+
+    let enrolled = false;
+    if (findClearingPayment(payment.userEmail, payment.courseSlug) === payment) {
+        const user = users.find(u => String(u.email || '').trim().toLowerCase() === payment.userEmail);
+        const course = getCourseByIdentifier(payment.courseSlug);
+        if (user && course) {
+            enrollUserInCourse(user, course, payment.batchId);
+            enrolled = true;
+        }
+    }
+
+    res.json({
+        success: true,
+        message: payment.status === 'pending' && payment.enrollmentOverride
+            ? 'Enrollment allowed; payment still pending at the counter'
+            : `Payment marked ${payment.status}`,
+        enrolled,
+        receipt: receipt ? toClientReceipt(receipt) : null,
+        payment: toClientPayment(payment)
+    });
+});
+
+// Receipts for the logged-in student
+app.get('/api/users/receipts', requireUserAuth, (req, res) => {
+    const mine = receipts
+        .filter(item => item.userEmail === req.authUserEmail)
+        .map(item => toClientReceipt(item))
+        .sort((a, b) => new Date(b.issuedAt) - new Date(a.issuedAt));
+    res.json({ success: true, receipts: mine });
+});
+
+app.get('/api/users/receipts/:id/pdf', requireUserAuth, (req, res) => {
+    const receipt = receipts.find(item => Number(item.id) === Number(req.params.id));
+    if (!receipt || receipt.userEmail !== req.authUserEmail) {
+        return res.status(404).json({
+            success: false,
+            message: 'Receipt not found'
+        });
+    }
+    return sendReceiptPdf(res, receipt);
+});
+
+// Receipts (admin)
+app.get('/api/admin/receipts', requireAdminPermission('payments:read'), (req, res) => {
+    res.json({
+        success: true,
+        receipts: receipts
+            .map(item => toClientReceipt(item))
+            .sort((a, b) => new Date(b.issuedAt) - new Date(a.issuedAt))
+    });
+});
+
+app.get('/api/admin/receipts/:id/pdf', requireAdminPermission('payments:read'), (req, res) => {
+    const receipt = receipts.find(item => Number(item.id) === Number(req.params.id));
+    if (!receipt) {
+        return res.status(404).json({
+            success: false,
+            message: 'Receipt not found'
+        });
+    }
+    return sendReceiptPdf(res, receipt);
+});
+
+// Issue a missing receipt, or refresh an existing one with current institute and student details
+app.post('/api/admin/payments/:id/receipt', requireAdminPermission('payments:write'), (req, res) => {
+    const payment = payments.find(item => Number(item.id) === Number(req.params.id));
+    if (!payment) {
+        return res.status(404).json({
+            success: false,
+            message: 'Payment not found'
+        });
+    }
+    if (payment.status !== 'verified') {
+        return res.status(400).json({
+            success: false,
+            message: 'Receipts are only issued for verified payments.'
+        });
+    }
+
+    const existing = receipts.find(item => item.paymentId === payment.id);
+    if (!existing) {
+        const receipt = issueReceiptForPayment(payment);
+        return res.json({ success: true, message: `Receipt ${receipt.number} issued`, receipt: toClientReceipt(receipt) });
+    }
+
+    Object.assign(existing, buildReceiptSnapshot(payment), {
+        installmentLabel: payment.installmentLabel || '',
+        method: payment.method,
+        reference: payment.reference,
+        regeneratedAt: new Date().toISOString(),
+        regeneratedBy: req.staff.username
+    });
+    saveData(receiptsFile, receipts);
+    return res.json({ success: true, message: `Receipt ${existing.number} regenerated`, receipt: toClientReceipt(existing) });
+});
+
+app.post('/api/users/enroll', requireUserAuth, (req, res) => {
+    const { email, courseIdentifier, courseTitle } = req.body;
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+
+    if (!normalizedEmail) {
+        return res.status(400).json({
+            success: false,
+            message: 'Email is required'
+        });
+    }
+    if (normalizedEmail !== req.authUserEmail) {
+        return res.status(403).json({
+            success: false,
+            message: 'Email does not match logged-in user'
+        });
+    }
+
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === normalizedEmail);
+    if (!user) {
+        return res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+    }
+
+    const identifier = String(courseIdentifier || '').trim();
+    let course = identifier ? getCourseByIdentifier(identifier) : null;
+    if (!course && courseTitle) {
+        const titleSlug = slugifyCourse(String(courseTitle));
+        course = getCourseByIdentifier(titleSlug);
+    }
+
+    if (!course) {
+        return res.status(404).json({
+            success: false,
+            message: 'Course not found'
+        });
+    }
+
+    const normalizedUser = normalizeUserEnrollment(user);
+    const alreadyEnrolled = normalizedUser.enrolledCourses.some(entry => entry.slug === course.slug);
+    const clearingPayment = findClearingPayment(normalizedEmail, course.slug);
+    if (!alreadyEnrolled && !clearingPayment) {
+        const pending = payments.find(item => (
+            item.userEmail === normalizedEmail && item.courseSlug === course.slug && item.status === 'pending'
+        ));
+        return res.status(402).json({
+            success: false,
+            message: pending
+                ? 'Your payment is awaiting verification. Enrollment will activate once it is verified.'
+                : 'Payment is required before enrollment.',
+            payment: pending ? toClientPayment(pending) : null
+        });
+    }
+
+    enrollUserInCourse(user, course, clearingPayment ? clearingPayment.batchId : null);
+
+    return res.json({
+        success: true,
+        message: alreadyEnrolled ? 'Course already enrolled' : 'Enrollment successful',
+        enrolledCourse: { title: course.title, slug: course.slug },
+        user: toClientUser(user)
+    });
+});
+
+app.post('/api/users/progress', requireUserAuth, (req, res) => {
+    const {
+        email,
+        courseSlug,
+        courseTitle,
+        completedCount,
+        totalTopics,
+        percent
+    } = req.body || {};
+
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    const normalizedSlug = String(courseSlug || '').trim();
+    const normalizedTitle = String(courseTitle || '').trim();
+
+    if (!normalizedEmail || !normalizedSlug) {
+        return res.status(400).json({
+            success: false,
+            message: 'Email and courseSlug are required'
+        });
+    }
+
+    if (normalizedEmail !== req.authUserEmail) {
+        return res.status(403).json({
+            success: false,
+            message: 'Email does not match logged-in user'
+        });
+    }
+
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === normalizedEmail);
+    if (!user) {
+        return res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+    }
+
+    const normalizedUser = normalizeUserEnrollment(user);
+    const gamification = ensureGamification(normalizedUser);
+    const prevProgress = gamification.progressByCourse[normalizedSlug] || {
+        completedCount: 0,
+        totalTopics: 0,
+        percent: 0
+    };
+
+    const nextCompletedCount = Math.max(0, Number(completedCount) || 0);
+    const nextTotalTopics = Math.max(nextCompletedCount, Number(totalTopics) || 0);
+    const computedPercent = nextTotalTopics
+        ? Math.round((nextCompletedCount / nextTotalTopics) * 100)
+        : 0;
+    const nextPercent = Math.min(100, Math.max(0, Number.isFinite(Number(percent)) ? Number(percent) : computedPercent));
+
+    const completionDelta = Math.max(0, nextCompletedCount - (prevProgress.completedCount || 0));
+    const gainedFromTopics = addXp(normalizedUser, completionDelta * gamificationConfig.rewards.topicXp);
+    const prevPercent = Math.max(0, Number(prevProgress.percent) || 0);
+    const completionBonus = nextPercent >= 100 && prevPercent < 100 ? addXp(normalizedUser, gamificationConfig.rewards.completionXp) : 0;
+    const streakXp = completionDelta > 0 ? touchDailyStreak(normalizedUser) : 0;
+    const weeklyXp = completionDelta > 0 ? applyWeeklyChallenge(normalizedUser, completionDelta) : 0;
+
+    // The XP helpers above re-normalize gamification, so write through the current object.
+    ensureGamification(normalizedUser).progressByCourse[normalizedSlug] = {
+        courseSlug: normalizedSlug,
+        courseTitle: normalizedTitle,
+        completedCount: nextCompletedCount,
+        totalTopics: nextTotalTopics,
+        percent: nextPercent,
+        updatedAt: new Date().toISOString()
+    };
+
+    applyBadges(normalizedUser);
+    Object.assign(user, normalizedUser);
+    syncCareerPlan(user);
+    saveData(usersFile, users);
+
+    let certificate = null;
+    if (nextPercent >= 100 && certificatePolicy.autoIssue) {
+        const course = getCourseByIdentifier(normalizedSlug);
+        if (course && getCertificateEligibility(user, course.slug).eligible) {
+            certificate = toPublicCertificate(issueCertificate(user, course));
+        }
+    }
+
+    return res.json({
+        success: true,
+        xpGained: gainedFromTopics + completionBonus + streakXp + weeklyXp,
+        summary: getGamificationSummary(user),
+        certificate,
+        user: toClientUser(user)
+    });
+});
+
+app.get('/api/gamification/summary', (req, res) => {
+    const normalizedEmail = String(req.query.email || '').trim().toLowerCase();
+    if (!normalizedEmail) {
+        return res.status(400).json({
+            success: false,
+            message: 'Email is required'
+        });
+    }
+
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === normalizedEmail);
+    if (!user) {
+        return res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+    }
+
+    Object.assign(user, normalizeUserEnrollment(user));
     applyBadges(user);
     saveData(usersFile, users);
 
@@ -3688,7 +9506,7 @@ app.post('/api/website-assistant/chat', async (req, res) => {
 });
 
 // Admin login
-app.post('/api/admin/login', (req, res) => {
+app.post('/api/admin/login', async (req, res) => {
     const { username, password } = req.body;
 
     if (!username || !password) {
@@ -3698,37 +9516,229 @@ app.post('/api/admin/login', (req, res) => {
         });
     }
 
-    if (username !== ADMIN_USERNAME || password !== ADMIN_PASSWORD) {
+    const staff = findStaffByUsername(username);
+    const isValid = await verifyPassword(password, staff ? staff.passwordHash : DUMMY_PASSWORD_HASH) && Boolean(staff);
+    if (!isValid) {
         return res.status(401).json({
             success: false,
             message: 'Invalid admin credentials'
         });
     }
 
-    const token = crypto.randomBytes(32).toString('hex');
-    adminSessions.set(token, { username, createdAt: new Date().toISOString() });
+    if (staff.status !== 'active') {
+        return res.status(403).json({
+            success: false,
+            message: 'This staff account is disabled. Contact the institute owner.'
+        });
+    }
+
+    const token = createSession('admin', staff.username, req);
 
     res.json({
         success: true,
         message: 'Admin login successful',
-        token
+        token,
+        staff: toClientStaff(staff)
     });
 });
 
 // Validate admin session
 app.get('/api/admin/session', requireAdminAuth, (req, res) => {
-    res.json({ success: true });
+    res.json({
+        success: true,
+        session: toClientSession(req.adminSession, req.adminSession.tokenHash),
+        staff: toClientStaff(req.staff)
+    });
 });
 
 // Admin logout
 app.post('/api/admin/logout', requireAdminAuth, (req, res) => {
-    const token = getBearerToken(req);
-    adminSessions.delete(token);
+    revokeSessions('admin', session => session.tokenHash === req.adminSession.tokenHash);
     res.json({ success: true, message: 'Logged out successfully' });
 });
 
+app.post('/api/admin/logout-all', requireAdminAuth, (req, res) => {
+    const removed = revokeSessions('admin', session => session.subject === req.adminSession.subject);
+    res.json({ success: true, message: 'Logged out of all devices', revoked: removed });
+});
+
+// Staff accounts (owner only)
+app.get('/api/admin/staff', requireAdminPermission('staff:manage'), (req, res) => {
+    res.json({
+        success: true,
+        staff: staffAccounts.map(item => toClientStaff(item)),
+        roles: Object.keys(STAFF_ROLES).map(role => ({
+            id: role,
+            label: STAFF_ROLES[role].label,
+            permissions: STAFF_ROLES[role].permissions
+        }))
+    });
+});
+
+app.post('/api/admin/staff', requireAdminPermission('staff:manage'), async (req, res) => {
+    const username = normalizeStaffUsername(req.body.username);
+    const displayName = String(req.body.displayName || '').trim().slice(0, 80);
+    const role = String(req.body.role || '').trim();
+    const password = String(req.body.password || '');
+
+    if (!/^[a-z0-9._-]{3,40}$/.test(username)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Username must be 3-40 characters (letters, numbers, dot, dash, underscore).'
+        });
+    }
+    if (!STAFF_ROLES[role]) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid role'
+        });
+    }
+    if (password.length < 8) {
+        return res.status(400).json({
+            success: false,
+            message: 'Password must be at least 8 characters.'
+        });
+    }
+    if (findStaffByUsername(username)) {
+        return res.status(400).json({
+            success: false,
+            message: 'A staff account with this username already exists.'
+        });
+    }
+
+    const passwordHash = await hashPassword(password);
+    if (findStaffByUsername(username)) {
+        return res.status(400).json({
+            success: false,
+            message: 'A staff account with this username already exists.'
+        });
+    }
+
+    const now = new Date().toISOString();
+    const staff = {
+        id: staffAccounts.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+        username,
+        displayName: displayName || username,
+        role,
+        status: 'active',
+        passwordHash,
+        createdAt: now,
+        updatedAt: now
+    };
+    staffAccounts.push(staff);
+    saveData(staffFile, staffAccounts);
+
+    res.json({
+        success: true,
+        message: 'Staff account created',
+        staff: toClientStaff(staff)
+    });
+});
+
+app.put('/api/admin/staff/:id', requireAdminPermission('staff:manage'), async (req, res) => {
+    const staffId = Number(req.params.id);
+    const staff = staffAccounts.find(item => Number(item.id) === staffId);
+    if (!staff) {
+        return res.status(404).json({
+            success: false,
+            message: 'Staff account not found'
+        });
+    }
+
+    const nextRole = req.body.role === undefined ? staff.role : String(req.body.role).trim();
+    const nextStatus = req.body.status === undefined ? staff.status : String(req.body.status).trim();
+    if (!STAFF_ROLES[nextRole]) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid role'
+        });
+    }
+    if (!['active', 'disabled'].includes(nextStatus)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid status'
+        });
+    }
+    const losesOwner = staff.role === 'owner' && staff.status === 'active'
+        && (nextRole !== 'owner' || nextStatus !== 'active');
+    if (losesOwner && countActiveOwners(staff.id) === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'At least one active owner account is required.'
+        });
+    }
+
+    const password = req.body.password === undefined ? '' : String(req.body.password);
+    if (password && password.length < 8) {
+        return res.status(400).json({
+            success: false,
+            message: 'Password must be at least 8 characters.'
+        });
+    }
+    if (password) {
+        staff.passwordHash = await hashPassword(password);
+    }
+    if (req.body.displayName !== undefined) {
+        staff.displayName = String(req.body.displayName || '').trim().slice(0, 80) || staff.username;
+    }
+    staff.role = nextRole;
+    staff.status = nextStatus;
+    staff.updatedAt = new Date().toISOString();
+    saveData(staffFile, staffAccounts);
+
+    if (nextStatus !== 'active' || password) {
+        revokeSessions('admin', session => (
+            session.subject === staff.username && session.tokenHash !== req.adminSession.tokenHash
+        ));
+    }
+
+    res.json({
+        success: true,
+        message: 'Staff account updated',
+        staff: toClientStaff(staff)
+    });
+});
+
+function handleDeleteStaff(req, res) {
+    const staffId = Number(req.params.id);
+    const staffIndex = staffAccounts.findIndex(item => Number(item.id) === staffId);
+    if (staffIndex === -1) {
+        return res.status(404).json({
+            success: false,
+            message: 'Staff account not found'
+        });
+    }
+
+    const staff = staffAccounts[staffIndex];
+    if (staff.username === req.staff.username) {
+        return res.status(400).json({
+            success: false,
+            message: 'You cannot delete your own account.'
+        });
+    }
+    if (staff.role === 'owner' && staff.status === 'active' && countActiveOwners(staff.id) === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'At least one active owner account is required.'
+        });
+    }
+
+    staffAccounts.splice(staffIndex, 1);
+    saveData(staffFile, staffAccounts);
+    revokeSessions('admin', session => session.subject === staff.username);
+
+    return res.json({
+        success: true,
+        message: 'Staff account deleted',
+        staff: toClientStaff(staff)
+    });
+}
+
+app.delete('/api/admin/staff/:id', requireAdminPermission('staff:manage'), handleDeleteStaff);
+app.post('/api/admin/staff/:id/delete', requireAdminPermission('staff:manage'), handleDeleteStaff);
+
 // Get/update announcement (admin)
-app.get('/api/admin/announcement', requireAdminAuth, (req, res) => {
+app.get('/api/admin/announcement', requireAdminPermission('announcement:read'), (req, res) => {
     const normalized = normalizeAnnouncement({
         ...announcementState,
         updatedAt: announcementState.updatedAt || new Date().toISOString()
@@ -3737,7 +9747,7 @@ app.get('/api/admin/announcement', requireAdminAuth, (req, res) => {
     res.json(normalized);
 });
 
-app.put('/api/admin/announcement', requireAdminAuth, (req, res) => {
+app.put('/api/admin/announcement', requireAdminPermission('announcement:write'), (req, res) => {
     const next = normalizeAnnouncement(req.body);
     announcementState.title = next.title;
     announcementState.message = next.message;
@@ -3758,14 +9768,14 @@ app.put('/api/admin/announcement', requireAdminAuth, (req, res) => {
     });
 });
 
-app.get('/api/admin/gamification-config', requireAdminAuth, (req, res) => {
+app.get('/api/admin/gamification-config', requireAdminPermission('gamification:read'), (req, res) => {
     res.json({
         success: true,
         config: gamificationConfig
     });
 });
 
-app.put('/api/admin/gamification-config', requireAdminAuth, (req, res) => {
+app.put('/api/admin/gamification-config', requireAdminPermission('gamification:write'), (req, res) => {
     const next = normalizeGamificationConfig(req.body || {});
     gamificationConfig = next;
     saveData(gamificationConfigFile, gamificationConfig);
@@ -3776,7 +9786,7 @@ app.put('/api/admin/gamification-config', requireAdminAuth, (req, res) => {
     });
 });
 
-app.get('/api/admin/course-pricing', requireAdminAuth, (req, res) => {
+app.get('/api/admin/course-pricing', requireAdminPermission('pricing:read'), (req, res) => {
     const courses = getCoursesCatalog()
         .map(course => ({
             id: course.id,
@@ -3795,7 +9805,7 @@ app.get('/api/admin/course-pricing', requireAdminAuth, (req, res) => {
     });
 });
 
-app.put('/api/admin/course-pricing/:identifier', requireAdminAuth, (req, res) => {
+app.put('/api/admin/course-pricing/:identifier', requireAdminPermission('pricing:write'), (req, res) => {
     const identifier = String(req.params.identifier || '').trim();
     const price = Number(req.body?.price);
 
@@ -3839,7 +9849,7 @@ app.put('/api/admin/course-pricing/:identifier', requireAdminAuth, (req, res) =>
 });
 
 // Quick insights for admin panel
-app.get('/api/admin/insights', requireAdminAuth, (req, res) => {
+app.get('/api/admin/insights', requireAdminPermission('insights:read'), (req, res) => {
     const topCourse = getTopCourseDemand();
     const today = new Date().toDateString();
     const todayLeads = inquiries.filter(i => new Date(i.date).toDateString() === today).length;
@@ -3853,13 +9863,23 @@ app.get('/api/admin/insights', requireAdminAuth, (req, res) => {
 });
 
 // Get all users (for admin)
-app.get('/api/users', requireAdminAuth, (req, res) => {
-    const usersWithoutPassword = users.map(u => toClientUser(u));
+app.get('/api/users', requireAdminPermission('users:read'), (req, res) => {
+    const usersWithoutPassword = users.map(u => {
+        const dues = getStudentDues(String(u.email || '').trim().toLowerCase());
+        const attendance = getStudentAttendanceSummary(u);
+        return {
+            ...toClientUser(u),
+            feeOutstanding: dues.reduce((sum, item) => sum + item.outstanding, 0),
+            feeOverdue: dues.reduce((sum, item) => sum + item.overdueAmount, 0),
+            attendancePercent: attendance.percent,
+            attendanceLow: attendance.low
+        };
+    });
     res.json(usersWithoutPassword);
 });
 
 // Update a user (for admin)
-app.put('/api/users/:id', requireAdminAuth, (req, res) => {
+app.put('/api/users/:id', requireAdminPermission('users:write'), (req, res) => {
     const userId = Number(req.params.id);
     if (!Number.isInteger(userId)) {
         return res.status(400).json({
@@ -3900,325 +9920,592 @@ app.put('/api/users/:id', requireAdminAuth, (req, res) => {
         accountStatus: nextStatus
     });
 
-    users[userIndex] = updated;
-    saveData(usersFile, users);
+    users[userIndex] = updated;
+    saveData(usersFile, users);
+
+    return res.json({
+        success: true,
+        message: 'User updated successfully',
+        user: toClientUser(updated)
+    });
+});
+
+// Delete a user (for admin)
+function handleDeleteUser(req, res) {
+    const userId = Number(req.params.id);
+    if (!Number.isInteger(userId)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid user id'
+        });
+    }
+
+    const userIndex = users.findIndex(u => Number(u.id) === userId);
+    if (userIndex === -1) {
+        return res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+    }
+
+    const [removedUser] = users.splice(userIndex, 1);
+    saveData(usersFile, users);
+    const removedEmail = String(removedUser.email || '').trim().toLowerCase();
+    revokeSessions('user', session => session.subject === removedEmail);
+
+    return res.json({
+        success: true,
+        message: 'User deleted successfully',
+        user: toClientUser(removedUser)
+    });
+}
+
+app.delete('/api/users/:id', requireAdminPermission('users:delete'), handleDeleteUser);
+app.post('/api/users/:id/delete', requireAdminPermission('users:delete'), handleDeleteUser);
+
+// API Routes
+
+// Seed data for the first start. After that, courses.json is the source of truth
+// and courses are managed through /api/admin/courses.
+const DEFAULT_COURSE_CATALOG = [
+    {
+        id: 1,
+        title: 'Python Programming',
+        description: 'Learn Python from basics to advanced concepts including Django framework',
+        duration: '3 months',
+        level: 'Beginner to Advanced',
+        icon: 'fab fa-python',
+        image: 'https://images.unsplash.com/photo-1526379095098-d400fd0bf935?w=400'
+    },
+    {
+        id: 2,
+        title: 'Java Programming',
+        description: 'Master Java programming with OOP concepts and real-world applications',
+        duration: '4 months',
+        level: 'Beginner to Advanced',
+        icon: 'fab fa-java',
+        image: 'https://images.unsplash.com/photo-1629654297299-c8506221ca97?w=400'
+    },
+    {
+        id: 3,
+        title: 'C++ Programming',
+        description: 'Learn C++ for system programming and competitive coding',
+        duration: '3 months',
+        level: 'Beginner to Advanced',
+        icon: 'fas fa-code',
+        image: 'https://images.unsplash.com/photo-1515879218367-8466d910aaa4?w=400'
+    },
+    {
+        id: 4,
+        title: 'Data Science & AI',
+        description: 'Master data analysis, machine learning, and artificial intelligence',
+        duration: '6 months',
+        level: 'Intermediate to Advanced',
+        icon: 'fas fa-brain',
+        image: 'https://images.unsplash.com/photo-1551288049-bebda4e38f71?w=400'
+    },
+    {
+        id: 5,
+        title: 'Web Development',
+        description: 'Full stack web development with HTML, CSS, JavaScript, React, and Node.js',
+        duration: '6 months',
+        level: 'Beginner to Advanced',
+        icon: 'fas fa-globe',
+        image: 'https://images.unsplash.com/photo-1498050108023-c5249f4df085?w=400'
+    },
+    {
+        id: 6,
+        title: 'Basic Computer & MS Office',
+        description: 'Computer fundamentals, MS Word, Excel, PowerPoint, and Internet',
+        duration: '2 months',
+        level: 'Beginner',
+        icon: 'fas fa-laptop',
+        image: 'https://images.unsplash.com/photo-1531297484001-80022131f5a1?w=400'
+    },
+    {
+        id: 7,
+        title: 'Tally Prime & GST',
+        description: 'Accounting software training with GST concepts and tax returns',
+        duration: '2 months',
+        level: 'Beginner',
+        icon: 'fas fa-calculator',
+        image: 'https://images.unsplash.com/photo-1554224155-6726b3ff858f?w=400'
+    },
+    {
+        id: 8,
+        title: 'Digital Skills',
+        description: 'Digital marketing, social media, and online business skills',
+        duration: '2 months',
+        level: 'Beginner',
+        icon: 'fas fa-bullhorn',
+        image: 'https://images.unsplash.com/photo-1460925895917-afdab827c52f?w=400'
+    },
+    {
+        id: 9,
+        title: 'C Programming',
+        description: 'Learn C programming language for system-level programming',
+        duration: '2 months',
+        level: 'Beginner to Intermediate',
+        icon: 'fas fa-code',
+        image: 'https://images.unsplash.com/photo-1515879218367-8466d910aaa4?w=400'
+    },
+    {
+        id: 10,
+        title: 'JavaScript & React',
+        description: 'Modern JavaScript and React.js for building interactive web applications',
+        duration: '4 months',
+        level: 'Intermediate to Advanced',
+        icon: 'fab fa-react',
+        image: 'https://images.unsplash.com/photo-1633356122544-f134324a6cee?w=400'
+    },
+    {
+        id: 11,
+        title: 'Machine Learning',
+        description: 'Build ML models and understand neural networks with TensorFlow',
+        duration: '6 months',
+        level: 'Advanced',
+        icon: 'fas fa-network-wired',
+        image: 'https://images.unsplash.com/photo-1555949963-aa79dcee981c?w=400'
+    },
+    {
+        id: 12,
+        title: 'Database Management (SQL)',
+        description: 'Master MySQL, PostgreSQL, and database design concepts',
+        duration: '3 months',
+        level: 'Beginner to Intermediate',
+        icon: 'fas fa-database',
+        image: 'https://images.unsplash.com/photo-1544383835-bda2bc66a55d?w=400'
+    },
+    {
+        id: 13,
+        title: 'Cloud Computing (AWS)',
+        description: 'Learn Amazon Web Services for cloud deployment and infrastructure',
+        duration: '4 months',
+        level: 'Intermediate to Advanced',
+        icon: 'fas fa-cloud',
+        image: 'https://images.unsplash.com/photo-1451187580459-43490279c0fa?w=400'
+    },
+    {
+        id: 14,
+        title: 'Mobile App Development',
+        description: 'Build Android and iOS apps using Flutter and React Native',
+        duration: '6 months',
+        level: 'Intermediate to Advanced',
+        icon: 'fas fa-mobile-alt',
+        image: 'https://images.unsplash.com/photo-1512941937669-90a1b58e7e9c?w=400'
+    },
+    {
+        id: 15,
+        title: 'DevOps & Docker',
+        description: 'Learn DevOps practices, Docker containers, and CI/CD pipelines',
+        duration: '3 months',
+        level: 'Intermediate to Advanced',
+        icon: 'fas fa-cube',
+        image: 'https://images.unsplash.com/photo-1605745341112-85968b19335b?w=400'
+    },
+    {
+        id: 16,
+        title: 'Cyber Security',
+        description: 'Understand network security, ethical hacking, and cyber protection',
+        duration: '4 months',
+        level: 'Intermediate to Advanced',
+        icon: 'fas fa-shield-alt',
+        image: 'https://images.unsplash.com/photo-1550751827-4bd374c3f58b?w=400'
+    },
+    {
+        id: 17,
+        title: 'Data Structures & Algorithms',
+        description: 'Master DSA for competitive programming and technical interviews',
+        duration: '4 months',
+        level: 'Intermediate to Advanced',
+        icon: 'fas fa-sitemap',
+        image: 'https://images.unsplash.com/photo-1509228468518-180dd4864904?w=400'
+    },
+    {
+        id: 18,
+        title: 'PHP & MySQL',
+        description: 'Server-side programming with PHP and MySQL database',
+        duration: '3 months',
+        level: 'Beginner to Intermediate',
+        icon: 'fab fa-php',
+        image: 'https://images.unsplash.com/photo-1627398242454-45a1465c2479?w=400'
+    },
+    {
+        id: 19,
+        title: 'Angular Development',
+        description: 'Build enterprise web applications with Angular framework',
+        duration: '3 months',
+        level: 'Intermediate to Advanced',
+        icon: 'fab fa-angular',
+        image: 'https://images.unsplash.com/photo-1614741118887-7a4ee193a5fa?w=400'
+    },
+    {
+        id: 20,
+        title: 'UI/UX Design',
+        description: 'Learn Figma, Adobe XD for designing user interfaces and experiences',
+        duration: '3 months',
+        level: 'Beginner to Intermediate',
+        icon: 'fas fa-paint-brush',
+        image: 'https://images.unsplash.com/photo-1561070791-2526d30994b5?w=400'
+    },
+    {
+        id: 21,
+        title: 'Software Testing',
+        description: 'Manual and automation testing with Selenium and JMeter',
+        duration: '3 months',
+        level: 'Beginner to Intermediate',
+        icon: 'fas fa-bug',
+        image: 'https://images.unsplash.com/photo-1516110833967-0b5716ca1387?w=400'
+    },
+    {
+        id: 22,
+        title: 'Blockchain Development',
+        description: 'Learn blockchain fundamentals and build decentralized apps',
+        duration: '4 months',
+        level: 'Intermediate to Advanced',
+        icon: 'fas fa-link',
+        image: 'https://images.unsplash.com/photo-1639762681485-074b7f938ba0?w=400'
+    },
+    {
+        id: 23,
+        title: 'Generative AI & Prompt Engineering',
+        description: 'Build practical AI workflows using LLM tools, prompt design, and automation',
+        duration: '3 months',
+        level: 'Beginner to Intermediate',
+        icon: 'fas fa-wand-magic-sparkles',
+        image: 'https://images.unsplash.com/photo-1677442136019-21780ecad995?w=400'
+    },
+    {
+        id: 24,
+        title: 'MERN Stack Development',
+        description: 'Master MongoDB, Express, React, and Node.js for full-stack web apps',
+        duration: '5 months',
+        level: 'Intermediate to Advanced',
+        icon: 'fas fa-layer-group',
+        image: 'https://images.unsplash.com/photo-1518773553398-650c184e0bb3?w=400'
+    },
+    {
+        id: 25,
+        title: 'Django Full Stack',
+        description: 'Develop production-grade applications with Django, APIs, and frontend integration',
+        duration: '4 months',
+        level: 'Intermediate',
+        icon: 'fab fa-python',
+        image: 'https://images.unsplash.com/photo-1526379095098-d400fd0bf935?w=400'
+    },
+    {
+        id: 26,
+        title: 'Power BI & Data Visualization',
+        description: 'Create interactive dashboards and business reports with Power BI',
+        duration: '2 months',
+        level: 'Beginner to Intermediate',
+        icon: 'fas fa-chart-column',
+        image: 'https://images.unsplash.com/photo-1551288049-bebda4e38f71?w=400'
+    },
+    {
+        id: 27,
+        title: 'Linux & Shell Scripting',
+        description: 'Learn Linux administration, bash scripting, and server fundamentals',
+        duration: '2 months',
+        level: 'Beginner to Intermediate',
+        icon: 'fab fa-linux',
+        image: 'https://images.unsplash.com/photo-1527443224154-c4a3942d3acf?w=400'
+    },
+    {
+        id: 28,
+        title: 'Spring Boot Microservices',
+        description: 'Build scalable microservices architecture with Spring Boot and APIs',
+        duration: '4 months',
+        level: 'Advanced',
+        icon: 'fas fa-diagram-project',
+        image: 'https://images.unsplash.com/photo-1516387938699-a93567ec168e?w=400'
+    },
+    {
+        id: 29,
+        title: 'Flutter App Development',
+        description: 'Create cross-platform mobile apps with Flutter and Firebase integration',
+        duration: '4 months',
+        level: 'Intermediate to Advanced',
+        icon: 'fas fa-mobile-screen-button',
+        image: 'https://images.unsplash.com/photo-1512941937669-90a1b58e7e9c?w=400'
+    },
+    {
+        id: 30,
+        title: 'Ethical Hacking & Pen Testing',
+        description: 'Hands-on penetration testing, vulnerability analysis, and security hardening',
+        duration: '4 months',
+        level: 'Intermediate to Advanced',
+        icon: 'fas fa-user-shield',
+        image: 'https://images.unsplash.com/photo-1563206767-5b18f218e8de?w=400'
+    }
+];
+
+const COURSE_STATUSES = ['active', 'archived'];
+
+function toCourseRecord(course, order, now = new Date().toISOString()) {
+    return {
+        id: course.id,
+        title: course.title,
+        slug: course.slug || slugifyCourse(course.title),
+        description: course.description || '',
+        duration: course.duration || '',
+        level: course.level || '',
+        icon: course.icon || 'fas fa-book',
+        image: course.image || '',
+        specialTopics: Array.isArray(course.specialTopics)
+            ? course.specialTopics
+            : (COURSE_SPECIAL_TRACKS[course.title] || []),
+        status: COURSE_STATUSES.includes(course.status) ? course.status : 'active',
+        order: Number.isFinite(Number(course.order)) ? Number(course.order) : order,
+        createdAt: course.createdAt || now,
+        updatedAt: course.updatedAt || now
+    };
+}
+
+// Slugs are derived from the original titles, so existing enrollments, prices
+// and payments keep matching after the catalog moves into storage. "C++" and
+// "C" both slugify to c-programming; the first course keeps it, as lookups did
+// before, and the later one gets a unique slug.
+const courseRecords = loadData(coursesFile, []);
+if (!courseRecords.length) {
+    const seenSlugs = new Set();
+    DEFAULT_COURSE_CATALOG.forEach((course, index) => {
+        const record = toCourseRecord(course, index + 1);
+        if (seenSlugs.has(record.slug)) record.slug = `${record.slug}-${record.id}`;
+        seenSlugs.add(record.slug);
+        courseRecords.push(record);
+    });
+    saveData(coursesFile, courseRecords);
+}
+
+function saveCourseRecords() {
+    saveData(coursesFile, courseRecords);
+}
+
+// Build complete course catalog with details. Archived courses are hidden from
+// listings but still resolve by id/slug for students who are already enrolled.
+function getCoursesCatalog(options = {}) {
+    return courseRecords
+        .filter(course => options.includeArchived || course.status !== 'archived')
+        .slice()
+        .sort((a, b) => a.order - b.order || a.id - b.id)
+        .map(enrichCourse);
+}
+
+// Course catalog management (admin)
+const COURSE_TEXT_LIMITS = { title: 80, description: 400, duration: 40, level: 60, icon: 60, image: 500 };
+
+function normalizeCourseInput(body = {}, existing = {}) {
+    const pick = (key) => (body[key] === undefined ? existing[key] : body[key]);
+    const input = {};
+    Object.keys(COURSE_TEXT_LIMITS).forEach((key) => {
+        input[key] = String(pick(key) || '').trim();
+    });
+    const topics = pick('specialTopics');
+    input.specialTopics = (Array.isArray(topics) ? topics : String(topics || '').split('\n'))
+        .map(item => String(item || '').trim().slice(0, 120))
+        .filter(Boolean)
+        .slice(0, 20);
+    return input;
+}
+
+function validateCourseInput(input) {
+    const tooLong = Object.keys(COURSE_TEXT_LIMITS).find(key => input[key].length > COURSE_TEXT_LIMITS[key]);
+    if (tooLong) return `${tooLong} must be at most ${COURSE_TEXT_LIMITS[tooLong]} characters.`;
+    if (input.title.length < 3) return 'Title must be at least 3 characters.';
+    if (!input.description) return 'Description is required.';
+    if (!/^\d+\s*(week|weeks|month|months)$/i.test(input.duration)) {
+        return 'Duration must look like "3 months" or "6 weeks".';
+    }
+    if (!input.level) return 'Level is required.';
+    if (input.icon && !/^(fas|fab|far) fa-[a-z0-9-]+$/.test(input.icon)) {
+        return 'Icon must be a Font Awesome class such as "fas fa-code".';
+    }
+    if (input.image && !/^https?:\/\//i.test(input.image)) return 'Image must be an http(s) URL.';
+    return '';
+}
+
+function findCourseRecord(identifier) {
+    const value = String(identifier || '').trim();
+    return courseRecords.find(course => String(course.id) === value || course.slug === value) || null;
+}
+
+app.get('/api/admin/courses', requireAdminPermission('courses:read'), (req, res) => {
+    const courses = courseRecords
+        .slice()
+        .sort((a, b) => a.order - b.order || a.id - b.id)
+        .map(course => {
+            const enriched = enrichCourse(course);
+            return {
+                ...course,
+                price: enriched.price,
+                priceLabel: enriched.priceLabel,
+                enrolledCount: users.filter(u => normalizeUserEnrollment(u).enrolledCourses
+                    .some(entry => entry.slug === course.slug)).length
+            };
+        });
+    res.json({ success: true, courses });
+});
+
+app.post('/api/admin/courses', requireAdminPermission('courses:write'), (req, res) => {
+    const input = normalizeCourseInput(req.body || {});
+    const error = validateCourseInput(input);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    const slug = slugifyCourse(String((req.body && req.body.slug) || input.title));
+    if (!slug || /^\d+$/.test(slug)) {
+        return res.status(400).json({ success: false, message: 'Slug must contain letters.' });
+    }
+    const clash = courseRecords.find(course => course.slug === slug || slugifyCourse(course.title) === slug);
+    if (clash) {
+        return res.status(409).json({
+            success: false,
+            message: `Slug "${slug}" is already used by "${clash.title}"${clash.status === 'archived' ? ' (archived)' : ''}.`
+        });
+    }
+
+    const course = toCourseRecord({
+        ...input,
+        id: courseRecords.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+        slug,
+        icon: input.icon || 'fas fa-book',
+        status: 'active'
+    }, courseRecords.reduce((max, item) => Math.max(max, Number(item.order) || 0), 0) + 1);
+    courseRecords.push(course);
+    saveCourseRecords();
 
-    return res.json({
-        success: true,
-        message: 'User updated successfully',
-        user: toClientUser(updated)
-    });
+    res.json({ success: true, message: 'Course created', course: enrichCourse(course) });
 });
 
-// Delete a user (for admin)
-function handleDeleteUser(req, res) {
-    const userId = Number(req.params.id);
-    if (!Number.isInteger(userId)) {
+// Listed slugs take the top positions in the given order; any course left out
+// keeps its relative order after them.
+app.put('/api/admin/courses/order', requireAdminPermission('courses:write'), (req, res) => {
+    const slugs = Array.isArray(req.body && req.body.slugs) ? req.body.slugs.map(item => String(item || '').trim()) : [];
+    const known = new Set(courseRecords.map(course => course.slug));
+    if (!slugs.length || new Set(slugs).size !== slugs.length || slugs.some(slug => !known.has(slug))) {
         return res.status(400).json({
             success: false,
-            message: 'Invalid user id'
+            message: 'Provide each course slug exactly once.'
         });
     }
 
-    const userIndex = users.findIndex(u => Number(u.id) === userId);
-    if (userIndex === -1) {
-        return res.status(404).json({
+    let nextOrder = slugs.length;
+    slugs.forEach((slug, index) => {
+        courseRecords.find(course => course.slug === slug).order = index + 1;
+    });
+    courseRecords
+        .filter(course => !slugs.includes(course.slug))
+        .sort((a, b) => a.order - b.order || a.id - b.id)
+        .forEach(course => {
+            nextOrder += 1;
+            course.order = nextOrder;
+        });
+    saveCourseRecords();
+    res.json({ success: true, message: 'Course order saved' });
+});
+
+app.put('/api/admin/courses/:identifier', requireAdminPermission('courses:write'), (req, res) => {
+    const course = findCourseRecord(req.params.identifier);
+    if (!course) {
+        return res.status(404).json({ success: false, message: 'Course not found.' });
+    }
+    if (req.body && req.body.slug !== undefined && req.body.slug !== course.slug) {
+        return res.status(400).json({
             success: false,
-            message: 'User not found'
+            message: 'Slugs cannot be changed because enrollments and payments refer to them.'
         });
     }
 
-    const [removedUser] = users.splice(userIndex, 1);
-    saveData(usersFile, users);
+    const input = normalizeCourseInput(req.body || {}, course);
+    const error = validateCourseInput(input);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    const titleClash = courseRecords.find(item => item !== course && item.title.toLowerCase() === input.title.toLowerCase());
+    if (titleClash) {
+        return res.status(409).json({ success: false, message: 'Another course already has this title.' });
+    }
 
-    return res.json({
+    Object.assign(course, input, { updatedAt: new Date().toISOString() });
+    saveCourseRecords();
+    res.json({ success: true, message: 'Course updated', course: enrichCourse(course) });
+});
+
+function setCourseStatus(status) {
+    return (req, res) => {
+        const course = findCourseRecord(req.params.identifier);
+        if (!course) {
+            return res.status(404).json({ success: false, message: 'Course not found.' });
+        }
+        course.status = status;
+        course.updatedAt = new Date().toISOString();
+        saveCourseRecords();
+        return res.json({
+            success: true,
+            message: status === 'archived'
+                ? 'Course archived. Enrolled students keep access; it is hidden from new students.'
+                : 'Course restored',
+            course: enrichCourse(course)
+        });
+    };
+}
+
+app.post('/api/admin/courses/:identifier/archive', requireAdminPermission('courses:write'), setCourseStatus('archived'));
+app.post('/api/admin/courses/:identifier/restore', requireAdminPermission('courses:write'), setCourseStatus('active'));
+
+// Curriculum authoring (admin). An empty module list removes the authored
+// curriculum and the course falls back to the generated template.
+app.get('/api/admin/courses/:identifier/curriculum', requireAdminPermission('courses:read'), (req, res) => {
+    const course = getCourseByIdentifier(String(req.params.identifier || '').trim());
+    if (!course) {
+        return res.status(404).json({ success: false, message: 'Course not found.' });
+    }
+    const curriculum = curricula[course.slug] || null;
+    res.json({
         success: true,
-        message: 'User deleted successfully',
-        user: toClientUser(removedUser)
+        course: { id: course.id, title: course.title, slug: course.slug },
+        curriculum,
+        templateModules: curriculum ? [] : course.topicModules
     });
-}
+});
 
-app.delete('/api/users/:id', requireAdminAuth, handleDeleteUser);
-app.post('/api/users/:id/delete', requireAdminAuth, handleDeleteUser);
+app.put('/api/admin/courses/:identifier/curriculum', requireAdminPermission('courses:content'), (req, res) => {
+    const course = getCourseByIdentifier(String(req.params.identifier || '').trim());
+    if (!course) {
+        return res.status(404).json({ success: false, message: 'Course not found.' });
+    }
 
-// API Routes
+    const rawModules = req.body && req.body.modules;
+    if (Array.isArray(rawModules) && rawModules.length === 0) {
+        delete curricula[course.slug];
+        saveData(curriculaFile, curricula);
+        return res.json({
+            success: true,
+            message: 'Curriculum removed. The course shows the generated syllabus again.',
+            curriculum: null
+        });
+    }
 
-// Build complete course catalog with details
-function getCoursesCatalog() {
-    const courses = [
-        {
-            id: 1,
-            title: 'Python Programming',
-            description: 'Learn Python from basics to advanced concepts including Django framework',
-            duration: '3 months',
-            level: 'Beginner to Advanced',
-            icon: 'fab fa-python',
-            image: 'https://images.unsplash.com/photo-1526379095098-d400fd0bf935?w=400'
-        },
-        {
-            id: 2,
-            title: 'Java Programming',
-            description: 'Master Java programming with OOP concepts and real-world applications',
-            duration: '4 months',
-            level: 'Beginner to Advanced',
-            icon: 'fab fa-java',
-            image: 'https://images.unsplash.com/photo-1629654297299-c8506221ca97?w=400'
-        },
-        {
-            id: 3,
-            title: 'C++ Programming',
-            description: 'Learn C++ for system programming and competitive coding',
-            duration: '3 months',
-            level: 'Beginner to Advanced',
-            icon: 'fas fa-code',
-            image: 'https://images.unsplash.com/photo-1515879218367-8466d910aaa4?w=400'
-        },
-        {
-            id: 4,
-            title: 'Data Science & AI',
-            description: 'Master data analysis, machine learning, and artificial intelligence',
-            duration: '6 months',
-            level: 'Intermediate to Advanced',
-            icon: 'fas fa-brain',
-            image: 'https://images.unsplash.com/photo-1551288049-bebda4e38f71?w=400'
-        },
-        {
-            id: 5,
-            title: 'Web Development',
-            description: 'Full stack web development with HTML, CSS, JavaScript, React, and Node.js',
-            duration: '6 months',
-            level: 'Beginner to Advanced',
-            icon: 'fas fa-globe',
-            image: 'https://images.unsplash.com/photo-1498050108023-c5249f4df085?w=400'
-        },
-        {
-            id: 6,
-            title: 'Basic Computer & MS Office',
-            description: 'Computer fundamentals, MS Word, Excel, PowerPoint, and Internet',
-            duration: '2 months',
-            level: 'Beginner',
-            icon: 'fas fa-laptop',
-            image: 'https://images.unsplash.com/photo-1531297484001-80022131f5a1?w=400'
-        },
-        {
-            id: 7,
-            title: 'Tally Prime & GST',
-            description: 'Accounting software training with GST concepts and tax returns',
-            duration: '2 months',
-            level: 'Beginner',
-            icon: 'fas fa-calculator',
-            image: 'https://images.unsplash.com/photo-1554224155-6726b3ff858f?w=400'
-        },
-        {
-            id: 8,
-            title: 'Digital Skills',
-            description: 'Digital marketing, social media, and online business skills',
-            duration: '2 months',
-            level: 'Beginner',
-            icon: 'fas fa-bullhorn',
-            image: 'https://images.unsplash.com/photo-1460925895917-afdab827c52f?w=400'
-        },
-        {
-            id: 9,
-            title: 'C Programming',
-            description: 'Learn C programming language for system-level programming',
-            duration: '2 months',
-            level: 'Beginner to Intermediate',
-            icon: 'fas fa-code',
-            image: 'https://images.unsplash.com/photo-1515879218367-8466d910aaa4?w=400'
-        },
-        {
-            id: 10,
-            title: 'JavaScript & React',
-            description: 'Modern JavaScript and React.js for building interactive web applications',
-            duration: '4 months',
-            level: 'Intermediate to Advanced',
-            icon: 'fab fa-react',
-            image: 'https://images.unsplash.com/photo-1633356122544-f134324a6cee?w=400'
-        },
-        {
-            id: 11,
-            title: 'Machine Learning',
-            description: 'Build ML models and understand neural networks with TensorFlow',
-            duration: '6 months',
-            level: 'Advanced',
-            icon: 'fas fa-network-wired',
-            image: 'https://images.unsplash.com/photo-1555949963-aa79dcee981c?w=400'
-        },
-        {
-            id: 12,
-            title: 'Database Management (SQL)',
-            description: 'Master MySQL, PostgreSQL, and database design concepts',
-            duration: '3 months',
-            level: 'Beginner to Intermediate',
-            icon: 'fas fa-database',
-            image: 'https://images.unsplash.com/photo-1544383835-bda2bc66a55d?w=400'
-        },
-        {
-            id: 13,
-            title: 'Cloud Computing (AWS)',
-            description: 'Learn Amazon Web Services for cloud deployment and infrastructure',
-            duration: '4 months',
-            level: 'Intermediate to Advanced',
-            icon: 'fas fa-cloud',
-            image: 'https://images.unsplash.com/photo-1451187580459-43490279c0fa?w=400'
-        },
-        {
-            id: 14,
-            title: 'Mobile App Development',
-            description: 'Build Android and iOS apps using Flutter and React Native',
-            duration: '6 months',
-            level: 'Intermediate to Advanced',
-            icon: 'fas fa-mobile-alt',
-            image: 'https://images.unsplash.com/photo-1512941937669-90a1b58e7e9c?w=400'
-        },
-        {
-            id: 15,
-            title: 'DevOps & Docker',
-            description: 'Learn DevOps practices, Docker containers, and CI/CD pipelines',
-            duration: '3 months',
-            level: 'Intermediate to Advanced',
-            icon: 'fas fa-cube',
-            image: 'https://images.unsplash.com/photo-1605745341112-85968b19335b?w=400'
-        },
-        {
-            id: 16,
-            title: 'Cyber Security',
-            description: 'Understand network security, ethical hacking, and cyber protection',
-            duration: '4 months',
-            level: 'Intermediate to Advanced',
-            icon: 'fas fa-shield-alt',
-            image: 'https://images.unsplash.com/photo-1550751827-4bd374c3f58b?w=400'
-        },
-        {
-            id: 17,
-            title: 'Data Structures & Algorithms',
-            description: 'Master DSA for competitive programming and technical interviews',
-            duration: '4 months',
-            level: 'Intermediate to Advanced',
-            icon: 'fas fa-sitemap',
-            image: 'https://images.unsplash.com/photo-1509228468518-180dd4864904?w=400'
-        },
-        {
-            id: 18,
-            title: 'PHP & MySQL',
-            description: 'Server-side programming with PHP and MySQL database',
-            duration: '3 months',
-            level: 'Beginner to Intermediate',
-            icon: 'fab fa-php',
-            image: 'https://images.unsplash.com/photo-1627398242454-45a1465c2479?w=400'
-        },
-        {
-            id: 19,
-            title: 'Angular Development',
-            description: 'Build enterprise web applications with Angular framework',
-            duration: '3 months',
-            level: 'Intermediate to Advanced',
-            icon: 'fab fa-angular',
-            image: 'https://images.unsplash.com/photo-1614741118887-7a4ee193a5fa?w=400'
-        },
-        {
-            id: 20,
-            title: 'UI/UX Design',
-            description: 'Learn Figma, Adobe XD for designing user interfaces and experiences',
-            duration: '3 months',
-            level: 'Beginner to Intermediate',
-            icon: 'fas fa-paint-brush',
-            image: 'https://images.unsplash.com/photo-1561070791-2526d30994b5?w=400'
-        },
-        {
-            id: 21,
-            title: 'Software Testing',
-            description: 'Manual and automation testing with Selenium and JMeter',
-            duration: '3 months',
-            level: 'Beginner to Intermediate',
-            icon: 'fas fa-bug',
-            image: 'https://images.unsplash.com/photo-1516110833967-0b5716ca1387?w=400'
-        },
-        {
-            id: 22,
-            title: 'Blockchain Development',
-            description: 'Learn blockchain fundamentals and build decentralized apps',
-            duration: '4 months',
-            level: 'Intermediate to Advanced',
-            icon: 'fas fa-link',
-            image: 'https://images.unsplash.com/photo-1639762681485-074b7f938ba0?w=400'
-        },
-        {
-            id: 23,
-            title: 'Generative AI & Prompt Engineering',
-            description: 'Build practical AI workflows using LLM tools, prompt design, and automation',
-            duration: '3 months',
-            level: 'Beginner to Intermediate',
-            icon: 'fas fa-wand-magic-sparkles',
-            image: 'https://images.unsplash.com/photo-1677442136019-21780ecad995?w=400'
-        },
-        {
-            id: 24,
-            title: 'MERN Stack Development',
-            description: 'Master MongoDB, Express, React, and Node.js for full-stack web apps',
-            duration: '5 months',
-            level: 'Intermediate to Advanced',
-            icon: 'fas fa-layer-group',
-            image: 'https://images.unsplash.com/photo-1518773553398-650c184e0bb3?w=400'
-        },
-        {
-            id: 25,
-            title: 'Django Full Stack',
-            description: 'Develop production-grade applications with Django, APIs, and frontend integration',
-            duration: '4 months',
-            level: 'Intermediate',
-            icon: 'fab fa-python',
-            image: 'https://images.unsplash.com/photo-1526379095098-d400fd0bf935?w=400'
-        },
-        {
-            id: 26,
-            title: 'Power BI & Data Visualization',
-            description: 'Create interactive dashboards and business reports with Power BI',
-            duration: '2 months',
-            level: 'Beginner to Intermediate',
-            icon: 'fas fa-chart-column',
-            image: 'https://images.unsplash.com/photo-1551288049-bebda4e38f71?w=400'
-        },
-        {
-            id: 27,
-            title: 'Linux & Shell Scripting',
-            description: 'Learn Linux administration, bash scripting, and server fundamentals',
-            duration: '2 months',
-            level: 'Beginner to Intermediate',
-            icon: 'fab fa-linux',
-            image: 'https://images.unsplash.com/photo-1527443224154-c4a3942d3acf?w=400'
-        },
-        {
-            id: 28,
-            title: 'Spring Boot Microservices',
-            description: 'Build scalable microservices architecture with Spring Boot and APIs',
-            duration: '4 months',
-            level: 'Advanced',
-            icon: 'fas fa-diagram-project',
-            image: 'https://images.unsplash.com/photo-1516387938699-a93567ec168e?w=400'
-        },
-        {
-            id: 29,
-            title: 'Flutter App Development',
-            description: 'Create cross-platform mobile apps with Flutter and Firebase integration',
-            duration: '4 months',
-            level: 'Intermediate to Advanced',
-            icon: 'fas fa-mobile-screen-button',
-            image: 'https://images.unsplash.com/photo-1512941937669-90a1b58e7e9c?w=400'
-        },
-        {
-            id: 30,
-            title: 'Ethical Hacking & Pen Testing',
-            description: 'Hands-on penetration testing, vulnerability analysis, and security hardening',
-            duration: '4 months',
-            level: 'Intermediate to Advanced',
-            icon: 'fas fa-user-shield',
-            image: 'https://images.unsplash.com/photo-1563206767-5b18f218e8de?w=400'
-        }
-    ];
-    return courses.map(enrichCourse);
-}
+    const { modules, error } = normalizeCurriculumModules(rawModules);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+
+    curricula[course.slug] = {
+        modules,
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.staff.username
+    };
+    saveData(curriculaFile, curricula);
+    const updated = getCourseByIdentifier(course.slug);
+    res.json({
+        success: true,
+        message: `Curriculum saved: ${modules.length} modules, ${updated.topics.length} lessons.`,
+        curriculum: curricula[course.slug]
+    });
+});
 
 // Get all courses
 app.get('/api/courses', (req, res) => {
@@ -4270,33 +10557,520 @@ app.get('/api/practice/challenges/:id', (req, res) => {
         });
     }
 
-    return res.json({
-        success: true,
-        challenge: {
-            id: challenge.id,
-            title: challenge.title,
-            difficulty: challenge.difficulty,
-            category: challenge.category,
-            interview: Boolean(challenge.interview),
-            tags: challenge.tags || [],
-            statement: challenge.statement,
-            constraints: challenge.constraints || [],
-            examples: challenge.examples || [],
-            starterCode: challenge.starterCode || {},
-            testCount: Array.isArray(challenge.tests) ? challenge.tests.length : 0
-        }
-    });
-});
+    return res.json({
+        success: true,
+        challenge: toPublicPracticeChallenge(challenge)
+    });
+});
+
+// Custom inputs are run alongside the sample tests. An expected value is
+// optional; without one the row just shows what the code returned.
+function normalizePracticeCustomTests(challenge, input) {
+    if (typeof input === 'undefined' || input === null) return { tests: [] };
+    if (!Array.isArray(input)) return { error: 'Custom tests must be a list.' };
+    if (input.length > PRACTICE_CUSTOM_TEST_LIMIT) {
+        return { error: `You can run up to ${PRACTICE_CUSTOM_TEST_LIMIT} custom tests at a time.` };
+    }
+    const paramCount = challenge.signature ? challenge.signature.params.length : null;
+    const tests = [];
+    for (let i = 0; i < input.length; i += 1) {
+        const item = input[i] || {};
+        if (!Array.isArray(item.args)) {
+            return { error: `Custom test ${i + 1} needs an args array.` };
+        }
+        if (paramCount !== null && item.args.length !== paramCount) {
+            return { error: `Custom test ${i + 1} needs ${paramCount} argument${paramCount === 1 ? '' : 's'}.` };
+        }
+        if (JSON.stringify(item).length > 2000) {
+            return { error: `Custom test ${i + 1} is too large.` };
+        }
+        const test = { args: item.args, custom: true };
+        if (typeof item.expected !== 'undefined') test.expected = item.expected;
+        tests.push(test);
+    }
+    return { tests };
+}
+
+app.post('/api/practice/run', requireUserAuth, async (req, res) => {
+    const normalizedEmail = req.authUserEmail;
+    const challengeId = String(req.body?.challengeId || '').trim();
+    const language = String(req.body?.language || 'javascript').trim().toLowerCase();
+    const code = String(req.body?.code || '');
+
+    if (!code.trim()) {
+        return res.status(400).json({ success: false, message: 'Code cannot be empty.' });
+    }
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === normalizedEmail);
+    if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found.' });
+    }
+    if (user.accountStatus === 'blocked') {
+        return res.status(403).json({ success: false, message: 'Your account is blocked by admin.' });
+    }
+    const challenge = getPracticeChallengeById(challengeId);
+    if (!challenge) {
+        return res.status(404).json({ success: false, message: 'Challenge not found.' });
+    }
+    if (!PRACTICE_LANGUAGES.includes(language) || !(challenge.starterCode || {})[language]) {
+        return res.status(400).json({ success: false, message: 'This challenge is not available in that language yet.' });
+    }
+    const validation = validateCodeByLanguage(language, code);
+    if (!validation.valid) {
+        return res.status(400).json({ success: false, message: validation.message });
+    }
+    const custom = normalizePracticeCustomTests(challenge, req.body?.customTests);
+    if (custom.error) {
+        return res.status(400).json({ success: false, message: custom.error });
+    }
+
+    const samples = (challenge.tests || []).filter(test => !test.hidden);
+    const result = await evaluatePracticeChallenge(language, code, challenge, { tests: [...samples, ...custom.tests] });
+    return res.json({
+        success: true,
+        passed: Boolean(result.passed),
+        verdict: result.verdict,
+        passedCount: result.passedCount,
+        total: result.total,
+        limits: result.limits,
+        error: result.error || '',
+        results: result.results || []
+    });
+});
+
+// Practice submission history. Every graded submit is kept with its code so
+// students can compare and restore attempts and faculty can review them.
+const PRACTICE_SUBMISSION_HISTORY_LIMIT = 30;
+
+function recordPracticeSubmission(user, challenge, language, code, result) {
+    const entry = {
+        id: practiceSubmissions.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+        userEmail: String(user.email || '').trim().toLowerCase(),
+        studentName: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+        challengeId: challenge.id,
+        challengeTitle: challenge.title,
+        language,
+        code,
+        verdict: result.verdict,
+        passed: Boolean(result.passed),
+        passedCount: Number(result.passedCount) || 0,
+        total: Number(result.total) || 0,
+        createdAt: new Date().toISOString()
+    };
+    practiceSubmissions.push(entry);
+    const mine = practiceSubmissions.filter(item => item.userEmail === entry.userEmail && item.challengeId === entry.challengeId);
+    const overflow = new Set(mine.slice(0, Math.max(0, mine.length - PRACTICE_SUBMISSION_HISTORY_LIMIT)));
+    if (overflow.size) {
+        const kept = practiceSubmissions.filter(item => !overflow.has(item));
+        practiceSubmissions.splice(0, practiceSubmissions.length, ...kept);
+    }
+    saveData(practiceSubmissionsFile, practiceSubmissions);
+    return entry;
+}
+
+function toPracticeSubmissionSummary(entry) {
+    const { code: _, userEmail: __, studentName: ___, ...summary } = entry;
+    return { ...summary, lineCount: String(entry.code || '').split('\n').length };
+}
+
+function listPracticeSubmissions(email, challengeId = '') {
+    return practiceSubmissions
+        .filter(item => item.userEmail === email && (!challengeId || item.challengeId === challengeId))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id - a.id);
+}
+
+app.get('/api/users/practice/submissions', requireUserAuth, (req, res) => {
+    const challengeId = String(req.query.challengeId || '').trim();
+    res.json({
+        success: true,
+        submissions: listPracticeSubmissions(req.authUserEmail, challengeId).map(toPracticeSubmissionSummary)
+    });
+});
+
+app.get('/api/users/practice/submissions/:id', requireUserAuth, (req, res) => {
+    const entry = practiceSubmissions.find(item => item.id === Number(req.params.id) && item.userEmail === req.authUserEmail);
+    if (!entry) {
+        return res.status(404).json({ success: false, message: 'Submission not found.' });
+    }
+    res.json({ success: true, submission: { ...toPracticeSubmissionSummary(entry), code: entry.code } });
+});
+
+// Faculty review: a student's attempts, newest first, with the code.
+app.get('/api/admin/practice/submissions', requireAdminPermission('practice:read'), (req, res) => {
+    const email = String(req.query.email || '').trim().toLowerCase();
+    if (!email) {
+        return res.status(400).json({ success: false, message: 'Enter the student email.' });
+    }
+    const student = users.find(u => String(u.email || '').trim().toLowerCase() === email);
+    if (!student) {
+        return res.status(404).json({ success: false, message: 'Student not found.' });
+    }
+    const challengeId = String(req.query.challengeId || '').trim();
+    const normalized = normalizeUserEnrollment(student);
+    res.json({
+        success: true,
+        student: {
+            email,
+            name: `${student.firstName || ''} ${student.lastName || ''}`.trim(),
+            solvedCount: normalized.practiceArena.solvedChallengeIds.length,
+            attempts: normalized.practiceArena.attempts
+        },
+        challenges: getPracticeChallengeSummary().map(item => ({ id: item.id, title: item.title })),
+        submissions: listPracticeSubmissions(email, challengeId).map(entry => ({ ...toPracticeSubmissionSummary(entry), code: entry.code }))
+    });
+});
+
+// Practice challenge authoring (admin). New challenges are drafts until their
+// reference solution passes every test; a published challenge only takes an
+// edit that its reference solution still passes.
+const PRACTICE_DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+const PRACTICE_NORMALIZE_MODES = ['', 'sort', 'sort-nested'];
+
+function normalizePracticeChallengeInput(body = {}, existing = null) {
+    const pick = (key) => (body[key] === undefined && existing ? existing[key] : body[key]);
+    const id = normalizeRecordId(body, existing);
+    const title = String(pick('title') || '').trim();
+    const statement = String(pick('statement') || '').trim();
+    const category = String(pick('category') || '').trim();
+    const difficulty = PRACTICE_DIFFICULTIES.find(item => item.toLowerCase() === String(pick('difficulty') || '').trim().toLowerCase());
+    if (!id || /^\d+$/.test(id)) return { error: 'Challenge id must contain letters.' };
+    if (title.length < 3 || title.length > 80) return { error: 'Title must be 3-80 characters.' };
+    if (!difficulty) return { error: 'Difficulty must be Easy, Medium or Hard.' };
+    if (category.length < 2 || category.length > 40) return { error: 'Category must be 2-40 characters.' };
+    if (statement.length < 10 || statement.length > 4000) return { error: 'Statement must be 10-4000 characters.' };
+
+    const functionName = String(pick('functionName') || 'solve').trim();
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(functionName)) return { error: 'Function name is not a valid identifier.' };
+    const normalize = String(pick('normalize') || '').trim();
+    if (!PRACTICE_NORMALIZE_MODES.includes(normalize)) return { error: 'Normalize mode must be empty, sort or sort-nested.' };
+
+    const rawExamples = Array.isArray(pick('examples')) ? pick('examples') : [];
+    const examples = rawExamples.slice(0, 5).map(item => ({
+        input: String((item && item.input) || '').trim().slice(0, 300),
+        output: String((item && item.output) || '').trim().slice(0, 300)
+    })).filter(item => item.input && item.output);
+
+    let signature = null;
+    const rawSignature = pick('signature');
+    if (rawSignature && typeof rawSignature === 'object') {
+        const params = (Array.isArray(rawSignature.params) ? rawSignature.params : []).map(param => ({
+            name: String((param && param.name) || '').trim(),
+            type: String((param && param.type) || '').trim()
+        }));
+        const returns = String(rawSignature.returns || '').trim();
+        if (!params.length || params.length > 6) return { error: 'The signature needs 1-6 parameters.' };
+        for (const param of params) {
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(param.name)) return { error: `Parameter name "${param.name}" is not a valid identifier.` };
+            if (!PRACTICE_PARAM_TYPES.includes(param.type)) return { error: `Parameter "${param.name}" must use one of: ${PRACTICE_PARAM_TYPES.join(', ')}.` };
+        }
+        if (!PRACTICE_PARAM_TYPES.includes(returns)) return { error: `Return type must be one of: ${PRACTICE_PARAM_TYPES.join(', ')}.` };
+        signature = { params, returns };
+    }
+
+    const rawTests = Array.isArray(pick('tests')) ? pick('tests') : [];
+    if (rawTests.length < 2 || rawTests.length > 50) return { error: 'A challenge needs 2-50 tests.' };
+    const tests = [];
+    for (let i = 0; i < rawTests.length; i += 1) {
+        const item = rawTests[i];
+        if (!item || !Array.isArray(item.args) || item.expected === undefined) {
+            return { error: `Test ${i + 1} needs an args array and an expected value.` };
+        }
+        if (signature && item.args.length !== signature.params.length) {
+            return { error: `Test ${i + 1} has ${item.args.length} arguments but the signature has ${signature.params.length}.` };
+        }
+        tests.push(item.hidden ? { args: item.args, expected: item.expected, hidden: true } : { args: item.args, expected: item.expected });
+    }
+    if (!tests.some(test => !test.hidden)) return { error: 'Keep at least one sample test visible to students.' };
+    if (!tests.some(test => test.hidden)) return { error: 'Mark at least one test as hidden for grading.' };
+
+    const rawStarter = pick('starterCode');
+    const starterCode = {};
+    Object.entries(rawStarter && typeof rawStarter === 'object' ? rawStarter : {}).forEach(([language, code]) => {
+        const text = String(code || '').slice(0, 5000);
+        if (text.trim()) starterCode[String(language).trim().toLowerCase()] = text;
+    });
+    const starterLanguages = Object.keys(starterCode);
+    if (!starterLanguages.length) return { error: 'Provide starter code for at least one language.' };
+    const unknown = starterLanguages.find(language => !PRACTICE_LANGUAGES.includes(language));
+    if (unknown) return { error: `Starter code language "${unknown}" is not supported.` };
+    const typed = starterLanguages.find(language => PRACTICE_TYPED_LANGUAGES.includes(language));
+    if (typed && !signature) return { error: `Starter code for ${typed} needs a signature with parameter and return types.` };
+
+    const rawLimits = pick('limits') || {};
+    const limits = {
+        timeMs: Number(rawLimits.timeMs) || PRACTICE_DEFAULT_LIMITS.timeMs,
+        memoryMb: Number(rawLimits.memoryMb) || PRACTICE_DEFAULT_LIMITS.memoryMb
+    };
+    if (limits.timeMs < 100 || limits.timeMs > 5000) return { error: 'Time limit must be 100-5000 ms.' };
+    if (limits.memoryMb < 16 || limits.memoryMb > 512) return { error: 'Memory limit must be 16-512 MB.' };
+
+    const rawStress = Array.isArray(pick('stress')) ? pick('stress') : [];
+    if (rawStress.length > 3) return { error: 'A challenge can have at most 3 stress tests.' };
+    const stress = [];
+    for (const item of rawStress) {
+        const generator = String((item && item.generator) || '').trim();
+        const size = Number(item && item.size);
+        if (!PRACTICE_STRESS_GENERATORS[generator]) {
+            return { error: `Stress generator "${generator}" does not exist. Use one of: ${Object.keys(PRACTICE_STRESS_GENERATORS).join(', ')}.` };
+        }
+        if (!Number.isInteger(size) || size < 2 || size > 200000) return { error: `Stress size for "${generator}" must be a whole number from 2 to 200000.` };
+        stress.push({ generator, size });
+    }
+
+    let referenceSolution = existing ? existing.referenceSolution || null : null;
+    if (body.referenceSolution !== undefined) {
+        const rawReference = body.referenceSolution || {};
+        const language = String(rawReference.language || '').trim().toLowerCase();
+        const code = String(rawReference.code || '');
+        referenceSolution = null;
+        if (code.trim()) {
+            if (!PRACTICE_LANGUAGES.includes(language)) return { error: 'Pick a supported language for the reference solution.' };
+            if (PRACTICE_TYPED_LANGUAGES.includes(language) && !signature) return { error: `A ${language} reference solution needs a signature.` };
+            const validation = validateCodeByLanguage(language, code);
+            if (!validation.valid) return { error: `Reference solution: ${validation.message}` };
+            referenceSolution = { language, code };
+        }
+    }
+
+    const challenge = {
+        id,
+        title,
+        difficulty,
+        category,
+        interview: Boolean(pick('interview')),
+        tags: cleanTextList(pick('tags'), 8, 30),
+        functionName,
+        statement,
+        constraints: cleanTextList(pick('constraints'), 10, 200),
+        examples,
+        tests,
+        limits,
+        stress,
+        starterCode,
+        referenceSolution
+    };
+    if (signature) challenge.signature = signature;
+    if (normalize) challenge.normalize = normalize;
+    return { challenge };
+}
+
+async function validatePracticeChallenge(challenge) {
+    const reference = challenge.referenceSolution;
+    if (!reference || !reference.code) {
+        return { error: 'Add a reference solution before validating.' };
+    }
+    const result = await evaluatePracticeChallenge(reference.language, reference.code, challenge, { stress: true, reveal: true });
+    return {
+        validation: {
+            language: reference.language,
+            passed: Boolean(result.passed),
+            verdict: result.verdict,
+            passedCount: result.passedCount,
+            total: result.total,
+            validatedAt: new Date().toISOString()
+        },
+        result
+    };
+}
+
+function findAuthoredPracticeChallenge(id) {
+    return practiceChallenges.find(item => item.id === String(id || '').trim().toLowerCase()) || null;
+}
+
+function toAdminPracticeChallenge(challenge) {
+    return {
+        ...challenge,
+        submissionCount: practiceSubmissions.filter(item => item.challengeId === challenge.id).length
+    };
+}
+
+app.get('/api/admin/practice/challenges', requireAdminPermission('practice:read'), (req, res) => {
+    res.json({
+        success: true,
+        challenges: practiceChallenges.map(toAdminPracticeChallenge),
+        languages: PRACTICE_LANGUAGES,
+        paramTypes: PRACTICE_PARAM_TYPES,
+        stressGenerators: Object.keys(PRACTICE_STRESS_GENERATORS)
+    });
+});
+
+app.post('/api/admin/practice/challenges', requireAdminPermission('practice:write'), (req, res) => {
+    const result = normalizePracticeChallengeInput(req.body || {});
+    if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+    }
+    if (findAuthoredPracticeChallenge(result.challenge.id)) {
+        return res.status(409).json({ success: false, message: `Challenge id "${result.challenge.id}" is already used.` });
+    }
+    const now = new Date().toISOString();
+    const challenge = {
+        ...result.challenge,
+        status: 'draft',
+        validation: null,
+        createdBy: req.staff.username,
+        createdAt: now,
+        updatedAt: now
+    };
+    practiceChallenges.push(challenge);
+    saveData(practiceChallengesFile, practiceChallenges);
+    res.json({ success: true, message: 'Draft saved. Validate the reference solution to publish it.', challenge: toAdminPracticeChallenge(challenge) });
+});
+
+// Ended contests fall back to the challenge id, but upcoming and live ones
+// still judge it, so it has to stay as it is until they finish.
+function getContestsUsingChallenge(id) {
+    return contests.filter(item => item.challengeIds.includes(id) && getContestPhase(item) !== 'ended');
+}
+
+function rejectIfUsedByContests(res, challenge, action) {
+    const used = getContestsUsingChallenge(challenge.id);
+    if (!used.length) return false;
+    res.status(409).json({
+        success: false,
+        message: `This challenge is used by ${used.map(item => `"${item.title}"`).join(', ')}. ${action} it after the contest ends or remove it from the contest first.`,
+        contests: used.map(item => ({ id: item.id, title: item.title }))
+    });
+    return true;
+}
+
+app.put('/api/admin/practice/challenges/:id', requireAdminPermission('practice:write'), async (req, res) => {
+    const challenge = findAuthoredPracticeChallenge(req.params.id);
+    if (!challenge) {
+        return res.status(404).json({ success: false, message: 'Challenge not found.' });
+    }
+    if (rejectIfUsedByContests(res, challenge, 'Edit')) return;
+    const result = normalizePracticeChallengeInput(req.body || {}, challenge);
+    if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+    }
+    const updated = { ...challenge, ...result.challenge };
+    if (!result.challenge.signature) delete updated.signature;
+    if (!result.challenge.normalize) delete updated.normalize;
+
+    if (challenge.status === 'published') {
+        // Students are solving this one, so the edit has to keep it solvable.
+        const check = await validatePracticeChallenge(updated);
+        if (check.error) {
+            return res.status(400).json({ success: false, message: `${check.error} A published challenge is re-checked on every edit.` });
+        }
+        if (!check.validation.passed) {
+            return res.status(400).json({
+                success: false,
+                message: `The reference solution fails the edited tests (${check.result.verdict}), so the published version was kept. Unpublish it to edit freely.`,
+                validation: check.validation,
+                results: check.result.results
+            });
+        }
+        updated.validation = check.validation;
+    } else {
+        updated.validation = null;
+    }
+
+    Object.keys(challenge).forEach(key => delete challenge[key]);
+    Object.assign(challenge, updated, { updatedAt: new Date().toISOString() });
+    saveData(practiceChallengesFile, practiceChallenges);
+    res.json({ success: true, message: challenge.status === 'published' ? 'Challenge updated and re-validated.' : 'Draft updated.', challenge: toAdminPracticeChallenge(challenge) });
+});
+
+// Runs the saved reference solution (or one sent with the request) through the
+// same evaluator students get, stress tests included, and keeps the outcome.
+app.post('/api/admin/practice/challenges/:id/validate', requireAdminPermission('practice:write'), async (req, res) => {
+    const challenge = findAuthoredPracticeChallenge(req.params.id);
+    if (!challenge) {
+        return res.status(404).json({ success: false, message: 'Challenge not found.' });
+    }
+    if (req.body && req.body.referenceSolution !== undefined) {
+        if (challenge.status === 'published') {
+            return res.status(409).json({ success: false, message: 'Save the new reference solution with an edit; a published challenge is re-checked on every edit.' });
+        }
+        const result = normalizePracticeChallengeInput({ referenceSolution: req.body.referenceSolution }, challenge);
+        if (result.error) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+        challenge.referenceSolution = result.challenge.referenceSolution;
+    }
+    const check = await validatePracticeChallenge(challenge);
+    if (check.error) {
+        return res.status(400).json({ success: false, message: check.error });
+    }
+    challenge.validation = check.validation;
+    challenge.updatedAt = new Date().toISOString();
+    saveData(practiceChallengesFile, practiceChallenges);
+    res.json({
+        success: true,
+        message: check.validation.passed
+            ? 'Reference solution passed every test.'
+            : `Reference solution: ${check.result.verdict}, ${check.result.passedCount}/${check.result.total} tests passed.`,
+        validation: check.validation,
+        error: check.result.error || '',
+        results: check.result.results,
+        challenge: toAdminPracticeChallenge(challenge)
+    });
+});
+
+app.post('/api/admin/practice/challenges/:id/publish', requireAdminPermission('practice:write'), async (req, res) => {
+    const challenge = findAuthoredPracticeChallenge(req.params.id);
+    if (!challenge) {
+        return res.status(404).json({ success: false, message: 'Challenge not found.' });
+    }
+    if (challenge.status === 'published') {
+        return res.json({ success: true, message: 'Challenge is already published.', challenge: toAdminPracticeChallenge(challenge) });
+    }
+    const check = await validatePracticeChallenge(challenge);
+    if (check.error) {
+        return res.status(400).json({ success: false, message: check.error });
+    }
+    challenge.validation = check.validation;
+    challenge.updatedAt = new Date().toISOString();
+    if (!check.validation.passed) {
+        saveData(practiceChallengesFile, practiceChallenges);
+        return res.status(400).json({
+            success: false,
+            message: `Not published: the reference solution got ${check.result.verdict} (${check.result.passedCount}/${check.result.total} tests).`,
+            validation: check.validation,
+            results: check.result.results
+        });
+    }
+    challenge.status = 'published';
+    challenge.publishedAt = challenge.updatedAt;
+    saveData(practiceChallengesFile, practiceChallenges);
+    res.json({ success: true, message: 'Challenge published to the Practice Arena.', challenge: toAdminPracticeChallenge(challenge) });
+});
+
+app.post('/api/admin/practice/challenges/:id/unpublish', requireAdminPermission('practice:write'), (req, res) => {
+    const challenge = findAuthoredPracticeChallenge(req.params.id);
+    if (!challenge) {
+        return res.status(404).json({ success: false, message: 'Challenge not found.' });
+    }
+    if (rejectIfUsedByContests(res, challenge, 'Unpublish')) return;
+    challenge.status = 'draft';
+    challenge.updatedAt = new Date().toISOString();
+    saveData(practiceChallengesFile, practiceChallenges);
+    res.json({ success: true, message: 'Challenge moved back to drafts. Students no longer see it.', challenge: toAdminPracticeChallenge(challenge) });
+});
+
+function handleDeletePracticeChallenge(req, res) {
+    const index = practiceChallenges.findIndex(item => item.id === String(req.params.id || '').trim().toLowerCase());
+    if (index === -1) {
+        return res.status(404).json({ success: false, message: 'Challenge not found.' });
+    }
+    if (practiceChallenges.length === 1) {
+        return res.status(409).json({ success: false, message: 'Keep at least one practice challenge.' });
+    }
+    if (rejectIfUsedByContests(res, practiceChallenges[index], 'Delete')) return;
+    const [removed] = practiceChallenges.splice(index, 1);
+    saveData(practiceChallengesFile, practiceChallenges);
+    return res.json({ success: true, message: 'Challenge deleted. Student submission history for it is kept.', challenge: removed });
+}
+
+app.delete('/api/admin/practice/challenges/:id', requireAdminPermission('practice:write'), handleDeletePracticeChallenge);
+app.post('/api/admin/practice/challenges/:id/delete', requireAdminPermission('practice:write'), handleDeletePracticeChallenge);
 
-app.post('/api/practice/submit', async (req, res) => {
-    const normalizedEmail = String(req.body?.email || '').trim().toLowerCase();
+app.post('/api/practice/submit', requireUserAuth, async (req, res) => {
+    const normalizedEmail = req.authUserEmail;
     const challengeId = String(req.body?.challengeId || '').trim();
     const language = String(req.body?.language || 'javascript').trim().toLowerCase();
     const code = String(req.body?.code || '');
 
-    if (!normalizedEmail) {
-        return res.status(400).json({ success: false, message: 'Login required.' });
-    }
     if (!challengeId) {
         return res.status(400).json({ success: false, message: 'Challenge id is required.' });
     }
@@ -4317,8 +11091,11 @@ app.post('/api/practice/submit', async (req, res) => {
         return res.status(404).json({ success: false, message: 'Challenge not found.' });
     }
 
-    if (!['javascript', 'python'].includes(language)) {
-        return res.status(400).json({ success: false, message: 'Practice Arena supports JavaScript and Python only.' });
+    if (!PRACTICE_LANGUAGES.includes(language)) {
+        return res.status(400).json({ success: false, message: `Practice Arena supports ${PRACTICE_LANGUAGES.join(', ')}.` });
+    }
+    if (!(challenge.starterCode || {})[language]) {
+        return res.status(400).json({ success: false, message: 'This challenge is not available in that language yet.' });
     }
 
     const validation = validateCodeByLanguage(language, code);
@@ -4326,7 +11103,7 @@ app.post('/api/practice/submit', async (req, res) => {
         return res.status(400).json({ success: false, message: validation.message });
     }
 
-    const result = await evaluatePracticeChallenge(language, code, challenge);
+    const result = await evaluatePracticeChallenge(language, code, challenge, { stress: true });
     const normalizedUser = normalizeUserEnrollment(user);
     normalizedUser.practiceArena.attempts += 1;
     normalizedUser.practiceArena.lastAttemptAt = new Date().toISOString();
@@ -4342,10 +11119,13 @@ app.post('/api/practice/submit', async (req, res) => {
     }
 
     Object.assign(user, normalizedUser);
+    syncCareerPlan(user);
     saveData(usersFile, users);
+    const submission = recordPracticeSubmission(user, challenge, language, code, result);
 
     return res.json({
         success: true,
+        submission: toPracticeSubmissionSummary(submission),
         passed: Boolean(result.passed),
         passedCount: Number(result.passedCount) || 0,
         total: Number(result.total) || 0,
@@ -4353,6 +11133,9 @@ app.post('/api/practice/submit', async (req, res) => {
         expected: typeof result.expected === 'undefined' ? null : normalizePracticeValue(result.expected, challenge.normalize || ''),
         actual: typeof result.actual === 'undefined' ? null : normalizePracticeValue(result.actual, challenge.normalize || ''),
         error: result.error || '',
+        verdict: result.verdict,
+        limits: result.limits,
+        results: result.results || [],
         xpGained,
         practiceStats: {
             solvedCount: normalizedUser.practiceArena.solvedChallengeIds.length,
@@ -4362,6 +11145,777 @@ app.post('/api/practice/submit', async (req, res) => {
     });
 });
 
+// Coding contests. A contest is a fixed window over a set of Practice Arena
+// challenges. The scoreboard is rebuilt from contest-submissions.json on demand
+// and pushed to open Server-Sent Events streams after every submission.
+const CONTEST_SCORING = ['icpc', 'ioi'];
+const CONTEST_LABELS = 'ABCDEFGHIJKL';
+const CONTEST_XP = { participation: 20, perSolve: 40, podium: [100, 60, 30] };
+const CONTEST_SUBMIT_COOLDOWN_MS = 10 * 1000;
+const contestStreams = new Map();
+const contestStreamPhases = new Map();
+// "contestId:email" for every submission being judged. A student has one at a
+// time, and a contest is not finalized while any of its submissions are out.
+const contestJudging = new Set();
+
+function normalizeContestInput(body = {}, existing = {}) {
+    const pick = key => (body[key] === undefined ? existing[key] : body[key]);
+    const toIso = value => {
+        if (!value) return '';
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? 'invalid' : date.toISOString();
+    };
+    const challengeIds = Array.isArray(pick('challengeIds'))
+        ? [...new Set(pick('challengeIds').map(id => String(id || '').trim().toLowerCase()).filter(Boolean))]
+        : [];
+    return {
+        title: String(pick('title') || '').trim().slice(0, 120),
+        description: String(pick('description') || '').trim().slice(0, 1000),
+        challengeIds,
+        startsAt: toIso(pick('startsAt')),
+        endsAt: toIso(pick('endsAt')),
+        freezeMinutes: Math.round(Number(pick('freezeMinutes') === undefined ? 0 : pick('freezeMinutes'))),
+        scoring: String(pick('scoring') || 'icpc').trim().toLowerCase(),
+        penaltyMinutes: Math.round(Number(pick('penaltyMinutes') === undefined ? 20 : pick('penaltyMinutes')))
+    };
+}
+
+// A contest challenge must be solvable: either live in the arena or a draft
+// whose reference solution has passed, which keeps unseen problems for the lab.
+function validateContestInput(input) {
+    if (input.title.length < 3) return 'Title must be at least 3 characters.';
+    if (!input.challengeIds.length || input.challengeIds.length > CONTEST_LABELS.length) {
+        return `Pick 1 to ${CONTEST_LABELS.length} challenges.`;
+    }
+    for (const id of input.challengeIds) {
+        const challenge = findAuthoredPracticeChallenge(id);
+        if (!challenge) return `Challenge "${id}" does not exist.`;
+        if (challenge.status !== 'published' && !(challenge.validation && challenge.validation.passed)) {
+            return `Challenge "${id}" is a draft that has not passed validation.`;
+        }
+    }
+    if (!input.startsAt || !input.endsAt || input.startsAt === 'invalid' || input.endsAt === 'invalid') {
+        return 'Start and end times must be valid dates.';
+    }
+    const minutes = (new Date(input.endsAt) - new Date(input.startsAt)) / 60000;
+    if (minutes < 10 || minutes > 24 * 60) return 'A contest must run for 10 minutes to 24 hours.';
+    if (!Number.isInteger(input.freezeMinutes) || input.freezeMinutes < 0 || input.freezeMinutes >= minutes) {
+        return 'Freeze must be 0 or more minutes and shorter than the contest.';
+    }
+    if (!CONTEST_SCORING.includes(input.scoring)) return 'Scoring must be icpc or ioi.';
+    if (!Number.isInteger(input.penaltyMinutes) || input.penaltyMinutes < 0 || input.penaltyMinutes > 60) {
+        return 'Penalty must be 0 to 60 minutes per wrong submission.';
+    }
+    return '';
+}
+
+function getContestPhase(contest, now = Date.now()) {
+    const start = new Date(contest.startsAt).getTime();
+    const end = new Date(contest.endsAt).getTime();
+    if (now < start) return 'upcoming';
+    if (now >= end) return 'ended';
+    if (contest.freezeMinutes && now >= end - contest.freezeMinutes * 60000) return 'frozen';
+    return 'running';
+}
+
+function getContestFreezeAt(contest) {
+    if (!contest.freezeMinutes) return '';
+    return new Date(new Date(contest.endsAt).getTime() - contest.freezeMinutes * 60000).toISOString();
+}
+
+function toContestSummary(contest) {
+    return {
+        id: contest.id,
+        title: contest.title,
+        description: contest.description,
+        startsAt: contest.startsAt,
+        endsAt: contest.endsAt,
+        freezeAt: getContestFreezeAt(contest),
+        scoring: contest.scoring,
+        penaltyMinutes: contest.penaltyMinutes,
+        challengeCount: contest.challengeIds.length,
+        phase: getContestPhase(contest),
+        finalized: Boolean(contest.finalizedAt)
+    };
+}
+
+function getContestChallenges(contest) {
+    return contest.challengeIds.map((id, index) => {
+        const challenge = findAuthoredPracticeChallenge(id);
+        return { label: CONTEST_LABELS[index], id, title: challenge ? challenge.title : id, challenge };
+    });
+}
+
+// ICPC counts a problem once it is accepted: its penalty is the minutes from
+// the start plus penaltyMinutes for each wrong try before that. IOI scores each
+// problem by the best share of tests passed (0-100); the penalty is taken at the
+// first submission reaching that best score. Ranking is score, then penalty.
+// `cutoff` hides later submissions (the freeze); they show up as pending.
+function buildContestScoreboard(contest, options = {}) {
+    const start = new Date(contest.startsAt).getTime();
+    const cutoff = options.cutoff ? new Date(options.cutoff).getTime() : Infinity;
+    const challenges = getContestChallenges(contest);
+    const byUser = new Map();
+    contestSubmissions
+        .filter(item => item.contestId === contest.id)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id - b.id)
+        .forEach(item => {
+            if (!byUser.has(item.userEmail)) byUser.set(item.userEmail, { name: item.studentName, email: item.userEmail, list: [] });
+            byUser.get(item.userEmail).list.push(item);
+        });
+
+    const rows = [...byUser.values()].map(entry => {
+        const cells = challenges.map(({ id }) => {
+            const mine = entry.list.filter(item => item.challengeId === id);
+            const visible = mine.filter(item => new Date(item.createdAt).getTime() < cutoff);
+            const points = item => (contest.scoring === 'icpc' ? (item.verdict === 'Accepted' ? 1 : 0) : item.points);
+            const best = visible.reduce((max, item) => Math.max(max, points(item)), 0);
+            const bestIndex = best > 0 ? visible.findIndex(item => points(item) === best) : -1;
+            const minute = bestIndex === -1 ? null : Math.floor((new Date(visible[bestIndex].createdAt).getTime() - start) / 60000);
+            return {
+                challengeId: id,
+                attempts: visible.length,
+                pending: mine.length - visible.length,
+                score: best,
+                solved: visible.some(item => item.verdict === 'Accepted'),
+                minute,
+                penalty: bestIndex === -1 ? 0 : minute + bestIndex * contest.penaltyMinutes
+            };
+        });
+        const solvedCells = cells.filter(cell => cell.score > 0);
+        return {
+            email: entry.email,
+            name: entry.name,
+            score: cells.reduce((sum, cell) => sum + cell.score, 0),
+            solved: cells.filter(cell => cell.solved).length,
+            penalty: solvedCells.reduce((sum, cell) => sum + cell.penalty, 0),
+            lastMinute: solvedCells.reduce((max, cell) => Math.max(max, cell.minute), 0),
+            cells
+        };
+    });
+
+    rows.sort((a, b) => b.score - a.score || a.penalty - b.penalty || a.lastMinute - b.lastMinute || a.name.localeCompare(b.name));
+    rows.forEach((row, index) => {
+        const previous = rows[index - 1];
+        row.rank = previous && previous.score === row.score && previous.penalty === row.penalty && previous.lastMinute === row.lastMinute
+            ? previous.rank
+            : index + 1;
+    });
+
+    return {
+        contest: toContestSummary(contest),
+        challenges: challenges.map(({ label, id, title }) => ({ label, id, title })),
+        frozen: Boolean(options.cutoff),
+        rows,
+        generatedAt: new Date().toISOString()
+    };
+}
+
+// Students and the lab screen see the frozen board during the freeze. Names are
+// shortened to first name and last initial, and emails are left out.
+function buildPublicContestScoreboard(contest) {
+    const phase = getContestPhase(contest);
+    const board = buildContestScoreboard(contest, phase === 'frozen' ? { cutoff: getContestFreezeAt(contest) } : {});
+    board.rows = board.rows.map(({ email, name, ...row }) => {
+        const [first = '', ...rest] = String(name || 'Student').split(' ');
+        const last = rest.join(' ').trim();
+        return { ...row, name: last ? `${first} ${last[0]}.` : first };
+    });
+    return board;
+}
+
+function broadcastContestScoreboard(contest) {
+    const streams = contestStreams.get(contest.id);
+    if (!streams || !streams.size) return;
+    const payload = `event: scoreboard\ndata: ${JSON.stringify(buildPublicContestScoreboard(contest))}\n\n`;
+    streams.forEach(res => res.write(payload));
+}
+
+// Runs once per contest after it ends: XP for taking part and for each solved
+// problem, a bonus for the top three, and a contestResults entry for badges.
+function finalizeContest(contest) {
+    const board = buildContestScoreboard(contest);
+    board.rows.forEach(row => {
+        const user = users.find(u => String(u.email || '').trim().toLowerCase() === row.email);
+        if (!user) return;
+        const results = Array.isArray(user.contestResults) ? user.contestResults : [];
+        if (results.some(item => item.contestId === contest.id)) return;
+        const podium = row.score > 0 ? CONTEST_XP.podium[row.rank - 1] || 0 : 0;
+        const xp = addXp(user, CONTEST_XP.participation + row.solved * CONTEST_XP.perSolve + podium);
+        results.push({
+            contestId: contest.id,
+            title: contest.title,
+            rank: row.rank,
+            participants: board.rows.length,
+            score: row.score,
+            solved: row.solved,
+            penalty: row.penalty,
+            xp,
+            finishedAt: contest.endsAt
+        });
+        user.contestResults = results;
+        applyBadges(user);
+    });
+    saveData(usersFile, users);
+    contest.finalizedAt = new Date().toISOString();
+    saveData(contestsFile, contests);
+    broadcastContestScoreboard(contest);
+}
+
+function finalizeEndedContests() {
+    contests
+        .filter(contest => !contest.finalizedAt && getContestPhase(contest) === 'ended')
+        .filter(contest => ![...contestJudging].some(key => key.startsWith(`${contest.id}:`)))
+        .forEach(finalizeContest);
+}
+
+// Keeps streams alive through proxies and catches contests ending or freezing
+// with nobody submitting.
+setInterval(() => {
+    finalizeEndedContests();
+    contestStreams.forEach((streams, contestId) => {
+        const contest = contests.find(item => item.id === contestId);
+        streams.forEach(res => res.write(': ping\n\n'));
+        if (contest && getContestPhase(contest) !== contestStreamPhases.get(contestId)) {
+            contestStreamPhases.set(contestId, getContestPhase(contest));
+            broadcastContestScoreboard(contest);
+        }
+    });
+}, 20 * 1000).unref();
+
+function findContest(id) {
+    return contests.find(item => item.id === Number(id)) || null;
+}
+
+app.get('/api/contests', (req, res) => {
+    finalizeEndedContests();
+    const list = contests
+        .map(toContestSummary)
+        .sort((a, b) => b.startsAt.localeCompare(a.startsAt));
+    res.json({ success: true, contests: list });
+});
+
+// Problem statements stay hidden until the contest starts.
+app.get('/api/contests/:id', (req, res) => {
+    const contest = findContest(req.params.id);
+    if (!contest) {
+        return res.status(404).json({ success: false, message: 'Contest not found.' });
+    }
+    finalizeEndedContests();
+    const started = getContestPhase(contest) !== 'upcoming';
+    res.json({
+        success: true,
+        contest: toContestSummary(contest),
+        challenges: started
+            ? getContestChallenges(contest)
+                .filter(item => item.challenge)
+                .map(item => ({ label: item.label, ...toPublicPracticeChallenge(item.challenge) }))
+            : []
+    });
+});
+
+app.get('/api/contests/:id/scoreboard', (req, res) => {
+    const contest = findContest(req.params.id);
+    if (!contest) {
+        return res.status(404).json({ success: false, message: 'Contest not found.' });
+    }
+    finalizeEndedContests();
+    res.json({ success: true, scoreboard: buildPublicContestScoreboard(contest) });
+});
+
+app.get('/api/contests/:id/scoreboard/stream', (req, res) => {
+    const contest = findContest(req.params.id);
+    if (!contest) {
+        return res.status(404).json({ success: false, message: 'Contest not found.' });
+    }
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.write('retry: 5000\n\n');
+    res.write(`event: scoreboard\ndata: ${JSON.stringify(buildPublicContestScoreboard(contest))}\n\n`);
+    if (!contestStreams.has(contest.id)) {
+        contestStreams.set(contest.id, new Set());
+        contestStreamPhases.set(contest.id, getContestPhase(contest));
+    }
+    contestStreams.get(contest.id).add(res);
+    req.on('close', () => {
+        const streams = contestStreams.get(contest.id);
+        if (!streams) return;
+        streams.delete(res);
+        if (!streams.size) {
+            contestStreams.delete(contest.id);
+            contestStreamPhases.delete(contest.id);
+        }
+    });
+});
+
+// The student's own submissions, with verdicts, even during the freeze.
+app.get('/api/contests/:id/submissions', requireUserAuth, (req, res) => {
+    const contest = findContest(req.params.id);
+    if (!contest) {
+        return res.status(404).json({ success: false, message: 'Contest not found.' });
+    }
+    const list = contestSubmissions
+        .filter(item => item.contestId === contest.id && item.userEmail === req.authUserEmail)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(({ code: _, userEmail: __, studentName: ___, ...item }) => item);
+    res.json({ success: true, submissions: list });
+});
+
+app.post('/api/contests/:id/submit', requireUserAuth, async (req, res) => {
+    // Penalty minutes, the freeze and the end of the contest all go by when the
+    // submission arrived, not by when judging finished.
+    const receivedAt = Date.now();
+    const contest = findContest(req.params.id);
+    if (!contest) {
+        return res.status(404).json({ success: false, message: 'Contest not found.' });
+    }
+    const phase = getContestPhase(contest, receivedAt);
+    if (phase === 'upcoming' || phase === 'ended') {
+        return res.status(409).json({ success: false, message: phase === 'upcoming' ? 'The contest has not started yet.' : 'The contest has ended.' });
+    }
+    const user = users.find(u => String(u.email || '').trim().toLowerCase() === req.authUserEmail);
+    if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found.' });
+    }
+    if (user.accountStatus === 'blocked') {
+        return res.status(403).json({ success: false, message: 'Your account is blocked by admin.' });
+    }
+
+    // Contest problem ids are stored lowercased, the same way challenges are looked up.
+    const challengeId = String((req.body && req.body.challengeId) || '').trim().toLowerCase();
+    const language = String((req.body && req.body.language) || '').trim().toLowerCase();
+    const code = String((req.body && req.body.code) || '');
+    const challenge = contest.challengeIds.includes(challengeId) ? findAuthoredPracticeChallenge(challengeId) : null;
+    if (!challenge) {
+        return res.status(404).json({ success: false, message: 'That challenge is not part of this contest.' });
+    }
+    if (!PRACTICE_LANGUAGES.includes(language) || !(challenge.starterCode || {})[language]) {
+        return res.status(400).json({ success: false, message: 'This challenge is not available in that language.' });
+    }
+    const validation = validateCodeByLanguage(language, code);
+    if (!validation.valid) {
+        return res.status(400).json({ success: false, message: validation.message });
+    }
+    const last = contestSubmissions
+        .filter(item => item.contestId === contest.id && item.userEmail === req.authUserEmail)
+        .reduce((max, item) => Math.max(max, new Date(item.createdAt).getTime()), 0);
+    if (receivedAt - last < CONTEST_SUBMIT_COOLDOWN_MS) {
+        return res.status(429).json({ success: false, message: 'Wait a few seconds between submissions.' });
+    }
+    const solvedAlready = contestSubmissions.some(item => item.contestId === contest.id
+        && item.userEmail === req.authUserEmail
+        && item.challengeId === challengeId
+        && item.verdict === 'Accepted');
+    if (solvedAlready) {
+        return res.status(409).json({ success: false, message: 'You already solved this problem.' });
+    }
+    const judgingKey = `${contest.id}:${req.authUserEmail}`;
+    if (contestJudging.has(judgingKey)) {
+        return res.status(429).json({ success: false, message: 'Your previous submission is still being judged.' });
+    }
+
+    contestJudging.add(judgingKey);
+    let result;
+    try {
+        result = await evaluatePracticeChallenge(language, code, challenge, { stress: true });
+    } finally {
+        contestJudging.delete(judgingKey);
+    }
+    const entry = {
+        id: contestSubmissions.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+        contestId: contest.id,
+        userEmail: req.authUserEmail,
+        studentName: `${user.firstName || ''} ${user.lastName || ''}`.trim() || req.authUserEmail,
+        challengeId,
+        language,
+        code,
+        verdict: result.verdict,
+        passedCount: result.passedCount,
+        total: result.total,
+        points: result.total ? Math.round((result.passedCount / result.total) * 100) : 0,
+        createdAt: new Date(receivedAt).toISOString()
+    };
+    contestSubmissions.push(entry);
+    saveData(contestSubmissionsFile, contestSubmissions);
+    broadcastContestScoreboard(contest);
+    // The contest may have ended while this was being judged.
+    finalizeEndedContests();
+
+    const { code: _, userEmail: __, studentName: ___, ...submission } = entry;
+    res.json({
+        success: true,
+        submission,
+        verdict: result.verdict,
+        passed: Boolean(result.passed),
+        passedCount: result.passedCount,
+        total: result.total,
+        limits: result.limits,
+        error: result.error || '',
+        results: result.results || []
+    });
+});
+
+// Contests (admin)
+app.get('/api/admin/contests', requireAdminPermission('practice:read'), (req, res) => {
+    finalizeEndedContests();
+    res.json({
+        success: true,
+        contests: contests.map(contest => ({
+            ...contest,
+            ...toContestSummary(contest),
+            submissionCount: contestSubmissions.filter(item => item.contestId === contest.id).length
+        })),
+        challenges: practiceChallenges
+            .filter(item => item.status === 'published' || (item.validation && item.validation.passed))
+            .map(item => ({ id: item.id, title: item.title, status: item.status }))
+    });
+});
+
+app.post('/api/admin/contests', requireAdminPermission('practice:write'), (req, res) => {
+    const input = normalizeContestInput(req.body || {});
+    const error = validateContestInput(input);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    const now = new Date().toISOString();
+    const contest = {
+        id: contests.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1,
+        ...input,
+        finalizedAt: '',
+        createdBy: req.staff.username,
+        createdAt: now,
+        updatedAt: now
+    };
+    contests.push(contest);
+    saveData(contestsFile, contests);
+    res.json({ success: true, message: 'Contest scheduled', contest });
+});
+
+// Once a contest has started its problems and scoring are fixed; only the
+// title, description, end time and freeze can still change.
+app.put('/api/admin/contests/:id', requireAdminPermission('practice:write'), (req, res) => {
+    const contest = findContest(req.params.id);
+    if (!contest) {
+        return res.status(404).json({ success: false, message: 'Contest not found.' });
+    }
+    if (contest.finalizedAt) {
+        return res.status(409).json({ success: false, message: 'This contest is over and its results were awarded.' });
+    }
+    const input = normalizeContestInput(req.body || {}, contest);
+    if (getContestPhase(contest) !== 'upcoming') {
+        const locked = ['challengeIds', 'startsAt', 'scoring', 'penaltyMinutes']
+            .find(key => JSON.stringify(input[key]) !== JSON.stringify(contest[key]));
+        if (locked) {
+            return res.status(409).json({ success: false, message: `The contest has started, so ${locked} can no longer change.` });
+        }
+    }
+    const error = validateContestInput(input);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    Object.assign(contest, input, { updatedAt: new Date().toISOString() });
+    saveData(contestsFile, contests);
+    broadcastContestScoreboard(contest);
+    res.json({ success: true, message: 'Contest updated', contest });
+});
+
+function handleDeleteContest(req, res) {
+    const contest = findContest(req.params.id);
+    if (!contest) {
+        return res.status(404).json({ success: false, message: 'Contest not found.' });
+    }
+    if (contestSubmissions.some(item => item.contestId === contest.id)) {
+        return res.status(409).json({ success: false, message: 'Students have already submitted to this contest, so it is kept.' });
+    }
+    contests.splice(contests.indexOf(contest), 1);
+    saveData(contestsFile, contests);
+    return res.json({ success: true, message: 'Contest deleted', contest });
+}
+
+app.delete('/api/admin/contests/:id', requireAdminPermission('practice:write'), handleDeleteContest);
+app.post('/api/admin/contests/:id/delete', requireAdminPermission('practice:write'), handleDeleteContest);
+
+// Staff always see the live board, freeze or not, with emails.
+app.get('/api/admin/contests/:id/scoreboard', requireAdminPermission('practice:read'), (req, res) => {
+    const contest = findContest(req.params.id);
+    if (!contest) {
+        return res.status(404).json({ success: false, message: 'Contest not found.' });
+    }
+    finalizeEndedContests();
+    res.json({ success: true, scoreboard: buildContestScoreboard(contest) });
+});
+
+// Skill Analyzer tracks and career path blueprints (admin)
+const SKILL_TRACK_STAGES = ['beginner', 'intermediate', 'jobReady'];
+const SKILL_CHECK_LANGUAGES = ['javascript', 'python'];
+
+function cleanTextList(value, maxItems, maxLength) {
+    const list = Array.isArray(value) ? value : String(value || '').split('\n');
+    return list
+        .map(item => String(item || '').trim().slice(0, maxLength))
+        .filter(Boolean)
+        .slice(0, maxItems);
+}
+
+function normalizeRecordId(body, existing) {
+    if (existing) return existing.id;
+    return slugifyCourse(String(body.id || body.title || ''));
+}
+
+function normalizeSkillTrackInput(body = {}, existing = null) {
+    const pick = (key) => (body[key] === undefined && existing ? existing[key] : body[key]);
+    const id = normalizeRecordId(body, existing);
+    const title = String(pick('title') || '').trim();
+    const description = String(pick('description') || '').trim();
+    if (!id || /^\d+$/.test(id)) return { error: 'Track id must contain letters.' };
+    if (title.length < 3 || title.length > 80) return { error: 'Title must be 3-80 characters.' };
+    if (description.length > 200) return { error: 'Description must be at most 200 characters.' };
+
+    const rawSkillMap = pick('skillMap');
+    const skillEntries = Array.isArray(rawSkillMap)
+        ? rawSkillMap.map(item => [item && item.key, item && item.label])
+        : Object.entries(rawSkillMap && typeof rawSkillMap === 'object' ? rawSkillMap : {});
+    const skillMap = {};
+    for (const [rawKey, rawLabel] of skillEntries) {
+        const key = String(rawKey || '').trim();
+        const label = String(rawLabel || '').trim();
+        if (!/^[a-z][a-z0-9_]{0,39}$/.test(key)) {
+            return { error: `Skill key "${key}" must use lowercase letters, digits and underscores.` };
+        }
+        if (label.length < 2 || label.length > 80) return { error: `Skill "${key}" needs a label of 2-80 characters.` };
+        if (skillMap[key]) return { error: `Skill key "${key}" is listed twice.` };
+        skillMap[key] = label;
+    }
+    const skillCount = Object.keys(skillMap).length;
+    if (skillCount < 1 || skillCount > 12) return { error: 'A track needs 1-12 skills.' };
+
+    const rawRoadmap = pick('roadmap') || {};
+    const roadmap = {};
+    for (const stage of SKILL_TRACK_STAGES) {
+        roadmap[stage] = cleanTextList(rawRoadmap[stage], 10, 160);
+        if (!roadmap[stage].length) return { error: `Roadmap stage "${stage}" needs at least one topic.` };
+    }
+
+    const ids = new Set();
+    const rawQuestions = Array.isArray(pick('questions')) ? pick('questions') : [];
+    if (rawQuestions.length < 1 || rawQuestions.length > 30) return { error: 'A track needs 1-30 self-rating questions.' };
+    const questions = [];
+    for (let i = 0; i < rawQuestions.length; i += 1) {
+        const item = rawQuestions[i] || {};
+        const question = {
+            id: String(item.id || `${id}-q${i + 1}`).trim().slice(0, 40),
+            skill: String(item.skill || '').trim(),
+            prompt: String(item.prompt || '').trim(),
+            options: cleanTextList(item.options, 4, 120)
+        };
+        if (!skillMap[question.skill]) return { error: `Question ${i + 1}: skill "${question.skill}" is not in the skill map.` };
+        if (question.prompt.length < 5 || question.prompt.length > 300) return { error: `Question ${i + 1}: prompt must be 5-300 characters.` };
+        if (question.options.length !== 4) return { error: `Question ${i + 1}: provide exactly 4 options, from lowest to highest confidence.` };
+        if (ids.has(question.id)) return { error: `Question id "${question.id}" is used twice.` };
+        ids.add(question.id);
+        questions.push(question);
+    }
+
+    const rawChecks = Array.isArray(pick('checks')) ? pick('checks') : [];
+    if (rawChecks.length > 20) return { error: 'A track can have at most 20 knowledge checks.' };
+    const checks = [];
+    for (let i = 0; i < rawChecks.length; i += 1) {
+        const item = rawChecks[i] || {};
+        const type = item.type === 'code' ? 'code' : 'mcq';
+        const check = {
+            id: String(item.id || `${id}-k${i + 1}`).trim().slice(0, 40),
+            type,
+            skill: String(item.skill || '').trim(),
+            prompt: String(item.prompt || '').trim()
+        };
+        const label = `Knowledge check ${i + 1}`;
+        if (!skillMap[check.skill]) return { error: `${label}: skill "${check.skill}" is not in the skill map.` };
+        if (check.prompt.length < 5 || check.prompt.length > 500) return { error: `${label}: prompt must be 5-500 characters.` };
+        if (ids.has(check.id)) return { error: `Question id "${check.id}" is used twice.` };
+        ids.add(check.id);
+
+        if (type === 'mcq') {
+            check.options = cleanTextList(item.options, 6, 200);
+            check.answer = Number(item.answer);
+            if (check.options.length < 2) return { error: `${label}: provide 2-6 options.` };
+            if (!Number.isInteger(check.answer) || check.answer < 0 || check.answer >= check.options.length) {
+                return { error: `${label}: answer must be the index of one of the options.` };
+            }
+        } else {
+            check.language = String(item.language || '').trim().toLowerCase();
+            check.functionName = String(item.functionName || 'solve').trim();
+            check.starterCode = String(item.starterCode || '').slice(0, 5000);
+            check.tests = Array.isArray(item.tests) ? item.tests : [];
+            if (!SKILL_CHECK_LANGUAGES.includes(check.language)) return { error: `${label}: language must be JavaScript or Python.` };
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(check.functionName)) return { error: `${label}: function name is not a valid identifier.` };
+            if (check.tests.length < 1 || check.tests.length > 20) return { error: `${label}: provide 1-20 tests.` };
+            if (check.tests.some(test => !test || !Array.isArray(test.args) || test.expected === undefined)) {
+                return { error: `${label}: each test needs an args array and an expected value.` };
+            }
+            check.tests = check.tests.map(test => ({ args: test.args, expected: test.expected }));
+            if (item.normalize === 'sort' || item.normalize === 'sort-nested') check.normalize = item.normalize;
+        }
+        checks.push(check);
+    }
+
+    return { track: { id, title, description, skillMap, roadmap, questions, checks } };
+}
+
+// Recommended courses are stored by title, as the generator matches on title.
+function normalizeCareerPathInput(body = {}, existing = null) {
+    const pick = (key) => (body[key] === undefined && existing ? existing[key] : body[key]);
+    const id = normalizeRecordId(body, existing);
+    const title = String(pick('title') || '').trim();
+    const summary = String(pick('summary') || '').trim();
+    if (!id || /^\d+$/.test(id)) return { error: 'Career path id must contain letters.' };
+    if (title.length < 3 || title.length > 80) return { error: 'Title must be 3-80 characters.' };
+    if (!summary || summary.length > 300) return { error: 'Summary is required and must be at most 300 characters.' };
+
+    const catalog = getCoursesCatalog();
+    const requested = cleanTextList(pick('recommendedCourses'), 8, 120);
+    if (!requested.length) return { error: 'Recommend at least one course.' };
+    const recommendedCourses = [];
+    for (const name of requested) {
+        const course = catalog.find(item => item.title.toLowerCase() === name.toLowerCase() || item.slug === name);
+        if (!course) return { error: `Course "${name}" is not in the catalog.` };
+        if (!recommendedCourses.includes(course.title)) recommendedCourses.push(course.title);
+    }
+
+    const rawRoadmap = Array.isArray(pick('roadmap')) ? pick('roadmap') : [];
+    if (rawRoadmap.length < 1 || rawRoadmap.length > 6) return { error: 'A career path needs 1-6 stages.' };
+    const roadmap = [];
+    for (let i = 0; i < rawRoadmap.length; i += 1) {
+        const item = rawRoadmap[i] || {};
+        const stage = {
+            stage: String(item.stage || '').trim().slice(0, 60),
+            duration: String(item.duration || '').trim().slice(0, 40),
+            milestones: cleanTextList(item.milestones, 10, 160)
+        };
+        if (!stage.stage) return { error: `Stage ${i + 1} needs a name.` };
+        if (!stage.milestones.length) return { error: `Stage "${stage.stage}" needs at least one milestone.` };
+        roadmap.push(stage);
+    }
+
+    return { careerPath: { id, title, summary, recommendedCourses, roadmap } };
+}
+
+function countSkillTrackAttempts(trackId) {
+    return users.reduce((sum, user) => sum + (Array.isArray(user.skillAnalyzerHistory)
+        ? user.skillAnalyzerHistory.filter(item => item.trackId === trackId).length
+        : 0), 0);
+}
+
+app.get('/api/admin/skill-tracks', requireAdminPermission('careers:read'), (req, res) => {
+    res.json({
+        success: true,
+        tracks: skillTracks.map(track => ({ ...track, attemptCount: countSkillTrackAttempts(track.id) }))
+    });
+});
+
+app.post('/api/admin/skill-tracks', requireAdminPermission('careers:write'), (req, res) => {
+    const result = normalizeSkillTrackInput(req.body || {});
+    if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+    }
+    if (getSkillAnalyzerTrack(result.track.id)) {
+        return res.status(409).json({ success: false, message: `Track id "${result.track.id}" is already used.` });
+    }
+    const now = new Date().toISOString();
+    const track = { ...result.track, createdAt: now, updatedAt: now };
+    skillTracks.push(track);
+    saveData(skillTracksFile, skillTracks);
+    res.json({ success: true, message: 'Track created', track });
+});
+
+app.put('/api/admin/skill-tracks/:id', requireAdminPermission('careers:write'), (req, res) => {
+    const track = getSkillAnalyzerTrack(req.params.id);
+    if (!track) {
+        return res.status(404).json({ success: false, message: 'Track not found.' });
+    }
+    const result = normalizeSkillTrackInput(req.body || {}, track);
+    if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+    }
+    Object.assign(track, result.track, { updatedAt: new Date().toISOString() });
+    saveData(skillTracksFile, skillTracks);
+    res.json({ success: true, message: 'Track updated. Earlier results keep the scores they were given.', track });
+});
+
+function handleDeleteSkillTrack(req, res) {
+    const index = skillTracks.findIndex(track => track.id === String(req.params.id || '').trim().toLowerCase());
+    if (index === -1) {
+        return res.status(404).json({ success: false, message: 'Track not found.' });
+    }
+    if (skillTracks.length === 1) {
+        return res.status(409).json({ success: false, message: 'Keep at least one Skill Analyzer track.' });
+    }
+    const [removed] = skillTracks.splice(index, 1);
+    saveData(skillTracksFile, skillTracks);
+    return res.json({ success: true, message: 'Track deleted. Student history for it is kept.', track: removed });
+}
+
+app.delete('/api/admin/skill-tracks/:id', requireAdminPermission('careers:write'), handleDeleteSkillTrack);
+app.post('/api/admin/skill-tracks/:id/delete', requireAdminPermission('careers:write'), handleDeleteSkillTrack);
+
+app.get('/api/admin/career-paths', requireAdminPermission('careers:read'), (req, res) => {
+    const titles = new Set(getCoursesCatalog().map(course => course.title));
+    res.json({
+        success: true,
+        careerPaths: careerPaths.map(item => ({
+            ...item,
+            missingCourses: item.recommendedCourses.filter(title => !titles.has(title))
+        }))
+    });
+});
+
+app.post('/api/admin/career-paths', requireAdminPermission('careers:write'), (req, res) => {
+    const result = normalizeCareerPathInput(req.body || {});
+    if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+    }
+    if (getCareerPathByGoal(result.careerPath.id)) {
+        return res.status(409).json({ success: false, message: `Career path id "${result.careerPath.id}" is already used.` });
+    }
+    const now = new Date().toISOString();
+    const careerPath = { ...result.careerPath, createdAt: now, updatedAt: now };
+    careerPaths.push(careerPath);
+    saveData(careerPathsFile, careerPaths);
+    res.json({ success: true, message: 'Career path created', careerPath });
+});
+
+app.put('/api/admin/career-paths/:id', requireAdminPermission('careers:write'), (req, res) => {
+    const careerPath = getCareerPathByGoal(req.params.id);
+    if (!careerPath) {
+        return res.status(404).json({ success: false, message: 'Career path not found.' });
+    }
+    const result = normalizeCareerPathInput(req.body || {}, careerPath);
+    if (result.error) {
+        return res.status(400).json({ success: false, message: result.error });
+    }
+    Object.assign(careerPath, result.careerPath, { updatedAt: new Date().toISOString() });
+    saveData(careerPathsFile, careerPaths);
+    res.json({ success: true, message: 'Career path updated', careerPath });
+});
+
+function handleDeleteCareerPath(req, res) {
+    const index = careerPaths.findIndex(item => item.id === String(req.params.id || '').trim().toLowerCase());
+    if (index === -1) {
+        return res.status(404).json({ success: false, message: 'Career path not found.' });
+    }
+    if (careerPaths.length === 1) {
+        return res.status(409).json({ success: false, message: 'Keep at least one career path.' });
+    }
+    const [removed] = careerPaths.splice(index, 1);
+    saveData(careerPathsFile, careerPaths);
+    return res.json({ success: true, message: 'Career path deleted', careerPath: removed });
+}
+
+app.delete('/api/admin/career-paths/:id', requireAdminPermission('careers:write'), handleDeleteCareerPath);
+app.post('/api/admin/career-paths/:id/delete', requireAdminPermission('careers:write'), handleDeleteCareerPath);
+
 app.get('/api/skill-analyzer/tracks', (req, res) => {
     res.json({
         success: true,
@@ -4391,11 +11945,12 @@ app.get('/api/skill-analyzer/test', (req, res) => {
             title: track.title,
             description: track.description
         },
-        questions
+        questions,
+        checks: (track.checks || []).map(toPublicSkillCheck)
     });
 });
 
-app.post('/api/skill-analyzer/evaluate', (req, res) => {
+app.post('/api/skill-analyzer/evaluate', async (req, res) => {
     const trackId = String(req.body?.track || '').trim().toLowerCase();
     const track = getSkillAnalyzerTrack(trackId);
     if (!track) {
@@ -4415,11 +11970,9 @@ app.post('/api/skill-analyzer/evaluate', (req, res) => {
 
     let totalScore = 0;
     const maxScore = track.questions.length * 3;
-    const weakCounter = new Map();
 
     for (let i = 0; i < track.questions.length; i += 1) {
         const answerIndex = Number(answers[i]);
-        const question = track.questions[i];
         if (!Number.isInteger(answerIndex) || answerIndex < 0 || answerIndex > 3) {
             return res.status(400).json({
                 success: false,
@@ -4427,18 +11980,45 @@ app.post('/api/skill-analyzer/evaluate', (req, res) => {
             });
         }
         totalScore += answerIndex;
-        if (answerIndex <= 1 && question.skill) {
-            weakCounter.set(question.skill, (weakCounter.get(question.skill) || 0) + (2 - answerIndex));
+    }
+
+    const checks = Array.isArray(track.checks) ? track.checks : [];
+    const checkAnswers = Array.isArray(req.body?.checkAnswers) ? req.body.checkAnswers : [];
+    if (checkAnswers.length !== checks.length) {
+        return res.status(400).json({
+            success: false,
+            message: 'Please answer all knowledge check questions.'
+        });
+    }
+    for (let i = 0; i < checks.length; i += 1) {
+        const answerError = getSkillCheckAnswerError(checks[i], checkAnswers[i]);
+        if (answerError) {
+            return res.status(400).json({
+                success: false,
+                message: `Knowledge check ${i + 1}: ${answerError}`
+            });
         }
     }
 
-    const scorePercent = Math.round((totalScore / Math.max(1, maxScore)) * 100);
+    const checkResults = [];
+    for (let i = 0; i < checks.length; i += 1) {
+        checkResults.push(await gradeSkillCheck(checks[i], checkAnswers[i]));
+    }
+
+    const selfPercent = Math.round((totalScore / Math.max(1, maxScore)) * 100);
+    const measuredPercent = checkResults.length
+        ? Math.round((checkResults.reduce((sum, item) => sum + item.score, 0) / checkResults.length) * 100)
+        : null;
+    const scorePercent = combineSkillPercents(selfPercent, measuredPercent);
+    const gap = measuredPercent === null ? null : selfPercent - measuredPercent;
     const level = getLevelFromScorePercent(scorePercent);
     const roadmap = buildRoadmapByLevel(track, level);
-    const weakAreas = [...weakCounter.entries()]
-        .sort((a, b) => b[1] - a[1])
+    const skillScores = buildSkillScores(track, answers, checkResults);
+    const weakAreas = skillScores
+        .filter(item => item.scorePercent < 50)
+        .sort((a, b) => a.scorePercent - b.scorePercent)
         .slice(0, 3)
-        .map(([skill]) => track.skillMap[skill] || skill);
+        .map(item => item.label);
 
     const recommendations = [
         `Follow the ${level} roadmap for ${track.title} with weekly milestones.`,
@@ -4447,20 +12027,45 @@ app.post('/api/skill-analyzer/evaluate', (req, res) => {
             : 'Strengthen consistency with daily coding and revision.',
         'Build one portfolio project at each stage and review with mentor feedback.'
     ];
+    if (gap !== null && gap >= 20) {
+        const widest = skillScores
+            .filter(item => item.gap !== null)
+            .sort((a, b) => b.gap - a.gap)[0];
+        recommendations.push(`Your self-rating is ${gap} points above your measured score. Revise ${widest ? widest.label : 'the fundamentals'} before moving up a level.`);
+    } else if (gap !== null && gap <= -20) {
+        recommendations.push('You scored higher than you rated yourself. Try harder practice challenges to build confidence.');
+    }
 
-    const normalizedEmail = String(req.body?.email || '').trim().toLowerCase();
-    if (normalizedEmail) {
-        const user = users.find(u => String(u.email || '').trim().toLowerCase() === normalizedEmail);
+    // Anyone can take the test, but only a logged-in student's result is saved
+    // to their history, and only under the account the token belongs to.
+    const session = resolveSession('user', getBearerToken(req));
+    if (session) {
+        const user = users.find(u => String(u.email || '').trim().toLowerCase() === session.subject);
         if (user) {
+            const updatedAt = new Date().toISOString();
+            recordSkillAnalyzerAttempt(user, {
+                trackId: track.id,
+                trackTitle: track.title,
+                level,
+                scorePercent,
+                selfPercent,
+                measuredPercent,
+                gap,
+                skillScores
+            }, updatedAt);
             user.skillAnalyzer = {
                 trackId: track.id,
                 trackTitle: track.title,
                 level,
                 scorePercent,
+                selfPercent,
+                measuredPercent,
+                gap,
+                skillScores,
                 weakAreas,
                 roadmap,
                 recommendations,
-                updatedAt: new Date().toISOString()
+                updatedAt
             };
             saveData(usersFile, users);
         }
@@ -4473,6 +12078,11 @@ app.post('/api/skill-analyzer/evaluate', (req, res) => {
             trackTitle: track.title,
             level,
             scorePercent,
+            selfPercent,
+            measuredPercent,
+            gap,
+            skillScores,
+            checkResults,
             weakAreas,
             roadmap,
             recommendations
@@ -4500,12 +12110,14 @@ app.post('/api/career-paths/generate', (req, res) => {
     const catalog = getCoursesCatalog();
     const normalizedEmail = String(req.body?.email || '').trim().toLowerCase();
     let enrolledSlugs = new Set();
+    let adopted = false;
 
     if (normalizedEmail) {
         const user = users.find(u => String(u.email || '').trim().toLowerCase() === normalizedEmail);
         if (user) {
             const normalizedUser = normalizeUserEnrollment(user);
             enrolledSlugs = new Set((normalizedUser.enrolledCourses || []).map(item => item.slug));
+            adopted = Boolean(user.careerPlan && user.careerPlan.pathId === path.id);
         }
     }
 
@@ -4541,7 +12153,8 @@ app.post('/api/career-paths/generate', (req, res) => {
             title: path.title,
             summary: path.summary,
             roadmap,
-            recommendedCourses
+            recommendedCourses,
+            adopted
         }
     });
 });
@@ -4555,15 +12168,29 @@ app.get('/api/courses/:identifier/syllabus.pdf', (req, res) => {
     }
 
     const lines = [
-        `${course.title} - Full Syllabus`,
+        { text: `${course.title} - Full Syllabus`, bold: true, size: 14 },
         `Duration: ${course.duration}`,
-        `Level: ${course.level}`,
-        ' ',
-        'Topics Covered:'
+        `Level: ${course.level}`
     ];
-    course.topics.forEach((topic, idx) => {
-        lines.push(`${idx + 1}. ${topic}`);
-    });
+    if (course.curriculumSource === 'authored') {
+        if (course.totalHours) lines.push(`Estimated effort: ${course.totalHours} hours`);
+        let lessonNumber = 0;
+        course.topicModules.forEach((module, moduleIndex) => {
+            lines.push(' ', { text: `Module ${moduleIndex + 1}: ${module.name}${module.hours ? ` (${module.hours} h)` : ''}`, bold: true });
+            module.objectives.forEach(objective => lines.push(`  Objective: ${objective}`));
+            module.lessons.forEach(lesson => {
+                lessonNumber += 1;
+                lines.push(`${lessonNumber}. ${lesson.title}${lesson.hours ? ` - ${lesson.hours} h` : ''}`);
+                lesson.objectives.forEach(objective => lines.push(`     - ${objective}`));
+                lesson.resources.forEach(resource => lines.push(`     Resource: ${resource.title} <${resource.url}>`));
+            });
+        });
+    } else {
+        lines.push(' ', 'Topics Covered:');
+        course.topics.forEach((topic, idx) => {
+            lines.push(`${idx + 1}. ${topic}`);
+        });
+    }
 
     const pdfBuffer = createSimplePdf(lines);
     res.setHeader('Content-Type', 'application/pdf');
@@ -4617,12 +12244,12 @@ app.post('/api/contact', (req, res) => {
 });
 
 // Get all inquiries (for admin)
-app.get('/api/inquiries', requireAdminAuth, (req, res) => {
+app.get('/api/inquiries', requireAdminPermission('inquiries:read'), (req, res) => {
     res.json(inquiries.map(normalizeInquiry));
 });
 
 // Update inquiry (for admin)
-app.put('/api/inquiries/:id', requireAdminAuth, (req, res) => {
+app.put('/api/inquiries/:id', requireAdminPermission('inquiries:write'), (req, res) => {
     const inquiryId = Number(req.params.id);
     if (!Number.isInteger(inquiryId)) {
         return res.status(400).json({
@@ -4684,8 +12311,8 @@ function handleDeleteInquiry(req, res) {
     });
 }
 
-app.delete('/api/inquiries/:id', requireAdminAuth, handleDeleteInquiry);
-app.post('/api/inquiries/:id/delete', requireAdminAuth, handleDeleteInquiry);
+app.delete('/api/inquiries/:id', requireAdminPermission('inquiries:delete'), handleDeleteInquiry);
+app.post('/api/inquiries/:id/delete', requireAdminPermission('inquiries:delete'), handleDeleteInquiry);
 
 // Serve HTML pages
 app.get('/', (req, res) => {
@@ -4760,6 +12387,18 @@ app.get('/practice-arena', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'practice-arena.html'));
 });
 
+app.get('/contests', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'contests.html'));
+});
+
+app.get('/exam', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'exam.html'));
+});
+
+app.get(['/verify', '/verify/:certificateId'], (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'verify.html'));
+});
+
 // Start server
 app.listen(PORT, () => {
     console.log(`Tejas Computer Institute website running on http://localhost:${PORT}`);